@@ -1,10 +1,45 @@
 import React, { useRef, useState } from 'react';
 import './App.css';
 import ThreeView from './components/ThreeView.js';
+import ProfileEditor from './components/ProfileEditor.js';
+import { DEFAULT_BUILD_OPTIONS } from './lib/pipes.js';
+import { CRS_CHOICES, localizeGeoJSON } from './lib/crs.js';
+import { DEFAULT_IMPORT_PROFILE } from './lib/importProfile.js';
+
+// 折れ線の表示方法（lineMode / joint の組み合わせ）
+const LINE_MODE_CHOICES = [
+  { value: 'segments', label: '区間ごとの円柱', options: { lineMode: 'segments' } },
+  { value: 'tube-miter', label: '連続管（マイター継手）', options: { lineMode: 'tube', joint: 'miter' } },
+  { value: 'tube-elbow', label: '連続管（エルボ継手）', options: { lineMode: 'tube', joint: 'elbow' } }
+];
+
+// 描画方式（大規模データはインスタンス描画で描画呼び出しを削減）
+const RENDER_MODE_CHOICES = [
+  { value: 'standard', label: '標準（区間ごとのメッシュ）' },
+  { value: 'instanced', label: '高速（インスタンス描画）' }
+];
+
+// 座標の Z 値の解釈
+const ELEVATION_MODE_CHOICES = [
+  { value: 'depth', label: '地表からの深さ' },
+  { value: 'elevation', label: '標高' }
+];
 
 function App() {
   const [geojsonData, setGeojsonData] = useState(null);
+  // 読み込んだままの GeoJSON（エクスポートで編集していない部分をそのまま書き出すため）
+  const [sourceGeoJSON, setSourceGeoJSON] = useState(null);
+  const [crsFrame, setCrsFrame] = useState(null);
   const [importError, setImportError] = useState(null);
+  const [lineMode, setLineMode] = useState(LINE_MODE_CHOICES[0].value);
+  const [renderMode, setRenderMode] = useState(RENDER_MODE_CHOICES[0].value);
+  const [elevationMode, setElevationMode] = useState(ELEVATION_MODE_CHOICES[0].value);
+  const [elevationOrigin, setElevationOrigin] = useState('0');
+  const [crs, setCrs] = useState(CRS_CHOICES[0].value);
+  const [originX, setOriginX] = useState('');
+  const [originY, setOriginY] = useState('');
+  const [profile, setProfile] = useState(DEFAULT_IMPORT_PROFILE);
+  const [buildOptions, setBuildOptions] = useState(DEFAULT_BUILD_OPTIONS);
   const fileInputRef = useRef(null);
 
   function onClickImport() {
@@ -21,7 +56,23 @@ function App() {
       try {
         const text = String(reader.result || '');
         const json = JSON.parse(text);
-        setGeojsonData(json);
+        // 原点は両方入力されていれば使用、なければ範囲中心
+        const origin = originX !== '' && originY !== '' && isFinite(Number(originX)) && isFinite(Number(originY))
+          ? [Number(originX), Number(originY)]
+          : null;
+        const { geojson: localized, frame } = localizeGeoJSON(json, { crs, origin });
+        const choice = LINE_MODE_CHOICES.find(c => c.value === lineMode) ?? LINE_MODE_CHOICES[0];
+        setBuildOptions({
+          ...DEFAULT_BUILD_OPTIONS,
+          ...choice.options,
+          renderMode,
+          elevationMode,
+          elevationOrigin: Number(elevationOrigin) || 0,
+          profile
+        });
+        setCrsFrame(frame);
+        setSourceGeoJSON(json);
+        setGeojsonData(localized);
       } catch (err) {
         setImportError('GeoJSON の読み込みに失敗しました。ファイル内容を確認してください。');
         console.error(err);
@@ -42,13 +93,71 @@ function App() {
     React.createElement('header', { className: 'app-header' }, 'three-geojson-cylinders'),
     React.createElement('div', { className: 'app-content' },
       geojsonData
-        ? React.createElement(ThreeView, { geojsonData })
+        ? React.createElement(ThreeView, { geojsonData, sourceGeoJSON, buildOptions, crsFrame })
         : React.createElement(
             'div',
             { className: 'import-container' },
             React.createElement('div', { className: 'import-card' },
               React.createElement('div', { className: 'import-title' }, 'GeoJSON をインポート'),
               React.createElement('div', { className: 'import-desc' }, 'ローカルの .geojson / .json ファイルを選択してください'),
+              React.createElement('div', { className: 'import-option' },
+                React.createElement('label', { htmlFor: 'crs' }, '座標系'),
+                React.createElement('select', {
+                  id: 'crs',
+                  value: crs,
+                  onChange: (e) => setCrs(e.target.value)
+                }, CRS_CHOICES.map(c => React.createElement('option', { key: c.value, value: c.value }, c.label)))
+              ),
+              React.createElement('div', { className: 'import-option' },
+                React.createElement('label', null, '原点 (X, Y)'),
+                React.createElement('input', {
+                  type: 'number',
+                  placeholder: '自動',
+                  value: originX,
+                  onChange: (e) => setOriginX(e.target.value)
+                }),
+                React.createElement('input', {
+                  type: 'number',
+                  placeholder: '自動',
+                  value: originY,
+                  onChange: (e) => setOriginY(e.target.value)
+                })
+              ),
+              React.createElement(ProfileEditor, { profile, onChange: setProfile }),
+              React.createElement('div', { className: 'import-option' },
+                React.createElement('label', { htmlFor: 'line-mode' }, '折れ線の表示'),
+                React.createElement('select', {
+                  id: 'line-mode',
+                  value: lineMode,
+                  onChange: (e) => setLineMode(e.target.value)
+                }, LINE_MODE_CHOICES.map(c => React.createElement('option', { key: c.value, value: c.value }, c.label)))
+              ),
+              React.createElement('div', { className: 'import-option' },
+                React.createElement('label', { htmlFor: 'render-mode' }, '描画方式'),
+                React.createElement('select', {
+                  id: 'render-mode',
+                  value: renderMode,
+                  onChange: (e) => setRenderMode(e.target.value)
+                }, RENDER_MODE_CHOICES.map(c => React.createElement('option', { key: c.value, value: c.value }, c.label)))
+              ),
+              React.createElement('div', { className: 'import-option' },
+                React.createElement('label', { htmlFor: 'elevation-mode' }, '座標の Z 値'),
+                React.createElement('select', {
+                  id: 'elevation-mode',
+                  value: elevationMode,
+                  onChange: (e) => setElevationMode(e.target.value)
+                }, ELEVATION_MODE_CHOICES.map(c => React.createElement('option', { key: c.value, value: c.value }, c.label)))
+              ),
+              elevationMode === 'elevation' && React.createElement('div', { className: 'import-option' },
+                React.createElement('label', { htmlFor: 'elevation-origin' }, '地表の標高 (m)'),
+                React.createElement('input', {
+                  id: 'elevation-origin',
+                  type: 'number',
+                  step: '0.01',
+                  value: elevationOrigin,
+                  onChange: (e) => setElevationOrigin(e.target.value)
+                })
+              ),
               React.createElement('button', { className: 'import-button', onClick: onClickImport }, 'ファイルを選択'),
               importError && React.createElement('div', { className: 'import-error' }, importError),
               React.createElement('input', {
@@ -0,0 +1,276 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import { toNumber } from '../lib/numbers.js';
+
+const buttonStyle = {
+  padding: '4px 8px',
+  background: '#fff',
+  border: '1px solid #ccc',
+  borderRadius: '4px',
+  cursor: 'pointer',
+  fontSize: '11px'
+};
+
+const activeStyle = { background: '#2563eb', color: '#fff', borderColor: '#2563eb' };
+
+const ROW_HEIGHT = 22;
+const HEADER_HEIGHT = 48;
+// 見えている行の前後に余分に描く行数
+const OVERSCAN = 8;
+const INDEX_WIDTH = 64;
+const COLUMN_WIDTH = 120;
+
+const DOCKS = [
+  { value: 'bottom', label: '下' },
+  { value: 'right', label: '右' }
+];
+
+const collator = new Intl.Collator('ja', { numeric: true });
+
+const cellStyle = {
+  flex: 'none',
+  padding: '0 4px',
+  overflow: 'hidden',
+  textOverflow: 'ellipsis',
+  whiteSpace: 'nowrap',
+  borderRight: '1px solid #eee',
+  boxSizing: 'border-box'
+};
+
+// 行番号（区間に分けた線は「要素番号-区間番号」）
+function rowLabel(item) {
+  const { featureIndex, segmentIndex } = item.userData;
+  return segmentIndex == null ? String(featureIndex) : `${featureIndex}-${segmentIndex}`;
+}
+
+function cellValue(item, key) {
+  return String(item.userData.properties?.[key] ?? '');
+}
+
+// 数字を含む値だけを数値として読む（"75mm" → 75、"DIP" → NaN）
+function numericValue(text) {
+  return /\d/.test(text) ? toNumber(text) : NaN;
+}
+
+/**
+ * 列の絞り込み条件。">= 150" のように比較演算子で始まれば数値で比べ、それ以外は大文字小文字を区別しない部分一致。
+ */
+function filterMatcher(text) {
+  const m = text.trim().match(/^(>=|<=|>|<|=)\s*(.+)$/);
+  if (m && Number.isFinite(Number(m[2]))) {
+    const limit = Number(m[2]);
+    const compare = {
+      '>=': v => v >= limit,
+      '<=': v => v <= limit,
+      '>': v => v > limit,
+      '<': v => v < limit,
+      '=': v => v === limit
+    }[m[1]];
+    return value => compare(numericValue(value));
+  }
+  const needle = text.trim().toLowerCase();
+  return value => value.toLowerCase().includes(needle);
+}
+
+// 並べ替え。どちらも数値なら数値で、それ以外は文字列で比べる（空欄は昇順で後ろ）
+function sortRows(items, key, dir) {
+  const decorated = items.map(item => {
+    const text = cellValue(item, key);
+    return { item, text, num: numericValue(text) };
+  });
+  decorated.sort((a, b) => {
+    if (a.text === '' || b.text === '') return ((a.text === '') - (b.text === '')) * dir;
+    if (Number.isFinite(a.num) && Number.isFinite(b.num) && a.num !== b.num) return (a.num - b.num) * dir;
+    return collator.compare(a.text, b.text) * dir;
+  });
+  return decorated.map(d => d.item);
+}
+
+/**
+ * 全要素の属性テーブル。items は管（pipes.js の forEachPipe の順）、列は属性名の和集合。
+ * 見えている範囲の行だけを描くため、数万行でも重くならない。
+ * 行のクリックで onSelectRow(item, additive)（Shift / Ctrl で追加・解除）、セルのダブルクリックで編集し onEdit(item, key, value)。
+ * primary（属性パネルに出している管）が変わったらその行までスクロールする。
+ */
+function AttributeTable({ style, dock, onDockChange, items, selectedItems, primary, onSelectRow, onEdit, onClose }) {
+  const [sort, setSort] = useState(null);
+  const [filters, setFilters] = useState({});
+  const [editing, setEditing] = useState(null);
+  const [viewport, setViewport] = useState({ top: 0, height: 0 });
+  const scrollRef = useRef(null);
+  const scrolledToRef = useRef(null);
+
+  const columns = useMemo(() => {
+    const keys = new Set();
+    for (const item of items) {
+      for (const key in item.userData.properties ?? {}) keys.add(key);
+    }
+    return [...keys];
+  }, [items]);
+
+  const rows = useMemo(() => {
+    const active = Object.entries(filters)
+      .filter(([, text]) => text.trim())
+      .map(([key, text]) => [key, filterMatcher(text)]);
+    const list = active.length > 0
+      ? items.filter(item => active.every(([key, match]) => match(cellValue(item, key))))
+      : items;
+    return sort ? sortRows(list, sort.key, sort.dir) : list;
+  }, [items, filters, sort]);
+
+  const selected = useMemo(() => new Set(selectedItems), [selectedItems]);
+
+  // 表示範囲はスクロールとパネルの大きさ（ドックの切り替え）に追従
+  useEffect(() => {
+    const el = scrollRef.current;
+    const update = () => setViewport({ top: el.scrollTop, height: el.clientHeight });
+    update();
+    const observer = new ResizeObserver(update);
+    observer.observe(el);
+    return () => observer.disconnect();
+  }, []);
+
+  // 3D で選んだ管の行が見えていなければ、その行が中央に来るまでスクロール
+  useEffect(() => {
+    if (!primary) {
+      scrolledToRef.current = null;
+      return;
+    }
+    if (scrolledToRef.current === primary) return;
+    const index = rows.indexOf(primary);
+    if (index < 0) return;
+    scrolledToRef.current = primary;
+    const el = scrollRef.current;
+    const top = index * ROW_HEIGHT;
+    const bodyHeight = el.clientHeight - HEADER_HEIGHT;
+    if (top < el.scrollTop || top + ROW_HEIGHT > el.scrollTop + bodyHeight) {
+      el.scrollTop = Math.max(0, top - (bodyHeight - ROW_HEIGHT) / 2);
+    }
+  }, [primary, rows]);
+
+  function toggleSort(key) {
+    if (sort?.key !== key) setSort({ key, dir: 1 });
+    else if (sort.dir === 1) setSort({ key, dir: -1 });
+    else setSort(null);
+  }
+
+  function commitEdit() {
+    if (!editing) return;
+    const { item, key, draft } = editing;
+    setEditing(null);
+    if (draft !== cellValue(item, key)) onEdit(item, key, draft);
+  }
+
+  const first = Math.max(0, Math.floor((viewport.top - HEADER_HEIGHT) / ROW_HEIGHT) - OVERSCAN);
+  const last = Math.min(rows.length, Math.ceil((viewport.top + viewport.height) / ROW_HEIGHT) + OVERSCAN);
+  const width = INDEX_WIDTH + columns.length * COLUMN_WIDTH;
+
+  function renderCell(item, key) {
+    if (editing?.item === item && editing.key === key) {
+      return React.createElement('input', {
+        key,
+        autoFocus: true,
+        value: editing.draft,
+        onChange: (e) => setEditing({ ...editing, draft: e.target.value }),
+        onBlur: commitEdit,
+        onKeyDown: (e) => {
+          if (e.key === 'Enter') e.target.blur();
+          else if (e.key === 'Escape') setEditing(null);
+        },
+        onClick: (e) => e.stopPropagation(),
+        style: { ...cellStyle, width: COLUMN_WIDTH, height: ROW_HEIGHT, fontSize: '11px', padding: '0 3px' }
+      });
+    }
+    const value = cellValue(item, key);
+    return React.createElement('div', {
+      key,
+      title: value,
+      onDoubleClick: () => setEditing({ item, key, draft: value }),
+      style: { ...cellStyle, width: COLUMN_WIDTH }
+    }, value);
+  }
+
+  const header = React.createElement('div', {
+    style: {
+      position: 'sticky',
+      top: 0,
+      zIndex: 1,
+      display: 'flex',
+      width,
+      height: HEADER_HEIGHT,
+      background: '#f3f4f6',
+      borderBottom: '1px solid #ddd'
+    }
+  },
+  React.createElement('div', {
+    onClick: () => setSort(null),
+    title: '読込順に戻す',
+    style: { ...cellStyle, width: INDEX_WIDTH, fontWeight: 700, cursor: 'pointer', paddingTop: '2px' }
+  }, '#'),
+  columns.map(key => React.createElement('div', { key, style: { ...cellStyle, width: COLUMN_WIDTH, paddingTop: '2px' } },
+    React.createElement('div', {
+      onClick: () => toggleSort(key),
+      title: key,
+      style: { fontWeight: 700, cursor: 'pointer', overflow: 'hidden', textOverflow: 'ellipsis' }
+    }, key, sort?.key === key ? (sort.dir === 1 ? ' ▲' : ' ▼') : ''),
+    React.createElement('input', {
+      value: filters[key] ?? '',
+      onChange: (e) => setFilters({ ...filters, [key]: e.target.value }),
+      placeholder: '絞り込み',
+      title: '部分一致。>= 150 のように書くと数値で比較',
+      style: { width: '100%', fontSize: '11px', boxSizing: 'border-box' }
+    })
+  ))
+  );
+
+  const body = React.createElement('div', { style: { position: 'relative', width, height: rows.length * ROW_HEIGHT } },
+    rows.slice(first, last).map((item, i) => {
+      const index = first + i;
+      const background = item === primary ? '#bfdbfe' : selected.has(item) ? '#dbeafe' : index % 2 ? '#fafafa' : '#fff';
+      return React.createElement('div', {
+        key: item.uuid,
+        onClick: (e) => onSelectRow(item, e.shiftKey || e.ctrlKey || e.metaKey),
+        style: {
+          position: 'absolute',
+          top: index * ROW_HEIGHT,
+          left: 0,
+          display: 'flex',
+          width,
+          height: ROW_HEIGHT,
+          lineHeight: `${ROW_HEIGHT}px`,
+          background,
+          cursor: 'pointer',
+          borderBottom: '1px solid #f0f0f0',
+          boxSizing: 'border-box'
+        }
+      },
+      React.createElement('div', { style: { ...cellStyle, width: INDEX_WIDTH, color: '#666' } }, rowLabel(item)),
+      columns.map(key => renderCell(item, key))
+      );
+    })
+  );
+
+  return React.createElement(
+    'div',
+    { style: { ...style, display: 'flex', flexDirection: 'column' } },
+    React.createElement('div', { style: { display: 'flex', alignItems: 'center', gap: '6px', marginBottom: '6px' } },
+      React.createElement('div', { style: { fontWeight: 700, flex: 1 } },
+        `属性テーブル（${rows.length === items.length ? `${items.length} 行` : `${rows.length} / ${items.length} 行`}）`),
+      React.createElement('span', { style: { fontSize: '11px', color: '#666' } }, '配置'),
+      DOCKS.map(d => React.createElement('button', {
+        key: d.value,
+        style: { ...buttonStyle, ...(dock === d.value ? activeStyle : {}) },
+        onClick: () => onDockChange(d.value)
+      }, d.label)),
+      React.createElement('button', { style: buttonStyle, onClick: onClose }, '閉じる')
+    ),
+    React.createElement('div', {
+      ref: scrollRef,
+      onScroll: (e) => setViewport({ top: e.currentTarget.scrollTop, height: e.currentTarget.clientHeight }),
+      style: { flex: 1, minHeight: 0, overflow: 'auto', position: 'relative', border: '1px solid #eee', fontSize: '11px' }
+    }, header, body),
+    React.createElement('div', { style: { fontSize: '11px', color: '#666', marginTop: '4px' } },
+      '見出しのクリックで並べ替え、セルのダブルクリックで編集（Enter で確定、Esc で取消）。Shift / Ctrl+クリックで選択に追加')
+  );
+}
+
+export default AttributeTable;
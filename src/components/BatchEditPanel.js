@@ -0,0 +1,28 @@
+import React from 'react';
+
+/**
+ * 複数選択した管の属性の一括編集。rows は selection.js の summarizeProperties の戻り値。
+ * 値がそろっていない属性は空欄で示し、入力するとすべての管に同じ値を書き込む。
+ */
+function BatchEditPanel({ style, count, rows, onChange }) {
+  return React.createElement(
+    'div',
+    { style },
+    React.createElement('div', { style: { fontWeight: 700, marginBottom: '6px' } }, `選択した ${count} 件の属性（一括編集）`),
+    rows.map(({ key, value, mixed }) =>
+      React.createElement(
+        'div',
+        { key, style: { display: 'flex', alignItems: 'center', gap: '6px', marginBottom: '6px' } },
+        React.createElement('label', { style: { width: '40%' } }, key),
+        React.createElement('input', {
+          style: { flex: 1, ...(mixed ? { background: '#fffbeb' } : {}) },
+          value,
+          placeholder: mixed ? '(複数の値)' : '',
+          onChange: (e) => onChange(key, e.target.value)
+        })
+      )
+    )
+  );
+}
+
+export default BatchEditPanel;
@@ -0,0 +1,57 @@
+import React, { useRef } from 'react';
+
+const buttonStyle = {
+  padding: '4px 8px',
+  background: '#fff',
+  border: '1px solid #ccc',
+  borderRadius: '4px',
+  cursor: 'pointer',
+  fontSize: '11px'
+};
+
+/**
+ * 変更セット（changeSet.js）の書き出し・読み込みのパネル。
+ * author は変更に記録する編集者名、conflicts は読み込みで当てはめられなかった変更 [{ label, reason }]。
+ */
+function ChangeSetPanel({ style, author, onAuthorChange, onExport, onImport, message, conflicts }) {
+  const fileInputRef = useRef(null);
+
+  return React.createElement(
+    'div',
+    { style },
+    React.createElement('div', { style: { fontWeight: 700, marginBottom: '6px' } }, '変更セット'),
+    React.createElement('div', { style: { display: 'flex', alignItems: 'center', gap: '6px', flexWrap: 'wrap', marginBottom: '6px' } },
+      React.createElement('label', { style: { display: 'flex', alignItems: 'center', gap: '4px', fontSize: '11px' } },
+        '編集者',
+        React.createElement('input', {
+          value: author,
+          onChange: (e) => onAuthorChange(e.target.value),
+          placeholder: '名前',
+          style: { width: '96px', fontSize: '11px' }
+        })
+      ),
+      React.createElement('button', { style: buttonStyle, onClick: onExport }, '書き出す'),
+      React.createElement('button', { style: buttonStyle, onClick: () => fileInputRef.current?.click() }, '読み込んで適用'),
+      React.createElement('input', {
+        ref: fileInputRef,
+        type: 'file',
+        accept: '.json,application/json',
+        style: { display: 'none' },
+        onChange: (e) => {
+          const file = e.target.files?.[0];
+          if (file) onImport(file);
+          e.target.value = '';
+        }
+      })
+    ),
+    message && React.createElement('div', { style: { fontSize: '11px', color: '#555', marginBottom: '4px' } }, message),
+    conflicts.length > 0 && React.createElement('div', { style: { maxHeight: '120px', overflowY: 'auto', fontSize: '11px' } },
+      conflicts.map((c, i) => React.createElement('div', { key: i, style: { color: '#dc2626', borderBottom: '1px solid #f0f0f0', padding: '2px 0' } },
+        `${c.label}: ${c.reason}`))
+    ),
+    React.createElement('div', { style: { fontSize: '11px', color: '#666' } },
+      '読み込んだファイルとの差分（要素ごとの属性・形状の変更前後、編集者、時刻）を書き出す。同じファイルを読み込んだ状態で適用すると編集を再現する（取り消し可）。')
+  );
+}
+
+export default ChangeSetPanel;
@@ -0,0 +1,80 @@
+import React from 'react';
+
+const buttonStyle = {
+  padding: '4px 8px',
+  background: '#fff',
+  border: '1px solid #ccc',
+  borderRadius: '4px',
+  cursor: 'pointer',
+  fontSize: '11px'
+};
+
+const inputStyle = { minWidth: 0, fontSize: '11px' };
+
+/**
+ * 異なる埋設物どうしの離隔・干渉チェックのパネル。
+ * rules は [{ a, b, clearance }]（入力中の文字列のまま）、clashes は [{ label, distance, clearance }]。
+ */
+function ClashPanel({
+  style,
+  rules,
+  onRulesChange,
+  defaultClearance,
+  onDefaultClearanceChange,
+  onDetect,
+  clashes,
+  onSelectClash
+}) {
+  const updateRule = (index, patch) => onRulesChange(rules.map((r, i) => (i === index ? { ...r, ...patch } : r)));
+
+  return React.createElement(
+    'div',
+    { style },
+    React.createElement('div', { style: { fontWeight: 700, marginBottom: '6px' } }, '離隔・干渉チェック'),
+    React.createElement('div', { style: { fontSize: '11px', color: '#666', marginBottom: '4px' } },
+      'レイヤー名（部分一致）の組ごとに必要な離隔 (m)'),
+    rules.map((rule, i) => React.createElement('div', { key: i, style: { display: 'flex', gap: '4px', marginBottom: '4px' } },
+      React.createElement('input', { value: rule.a, onChange: (e) => updateRule(i, { a: e.target.value }), style: { ...inputStyle, flex: 1 } }),
+      React.createElement('input', { value: rule.b, onChange: (e) => updateRule(i, { b: e.target.value }), style: { ...inputStyle, flex: 1 } }),
+      React.createElement('input', {
+        type: 'number',
+        step: '0.05',
+        min: 0,
+        value: rule.clearance,
+        onChange: (e) => updateRule(i, { clearance: e.target.value }),
+        style: { ...inputStyle, width: '50px' }
+      }),
+      React.createElement('button', { style: buttonStyle, onClick: () => onRulesChange(rules.filter((_, j) => j !== i)) }, '×')
+    )),
+    React.createElement('div', { style: { display: 'flex', alignItems: 'center', gap: '6px', marginBottom: '6px' } },
+      React.createElement('button', { style: buttonStyle, onClick: () => onRulesChange([...rules, { a: '', b: '', clearance: '0.3' }]) }, 'ルール追加'),
+      React.createElement('label', { style: { fontSize: '11px' } }, 'その他'),
+      React.createElement('input', {
+        type: 'number',
+        step: '0.05',
+        min: 0,
+        value: defaultClearance,
+        placeholder: '対象外',
+        onChange: (e) => onDefaultClearanceChange(e.target.value),
+        style: { ...inputStyle, width: '50px' }
+      }),
+      React.createElement('button', { style: buttonStyle, onClick: onDetect }, 'チェック')
+    ),
+
+    clashes && React.createElement('div', { style: { fontSize: '11px', fontWeight: 600 } }, `離隔不足 ${clashes.length} 件`),
+    clashes && React.createElement(
+      'div',
+      { style: { maxHeight: '150px', overflowY: 'auto' } },
+      clashes.map((c, i) => React.createElement('div', {
+        key: i,
+        onClick: () => onSelectClash(i),
+        style: { cursor: 'pointer', fontSize: '11px', padding: '2px 4px', borderBottom: '1px solid #eee' }
+      },
+      React.createElement('span', { style: { color: c.distance < 0 ? '#b91c1c' : '#b45309', fontWeight: 600, marginRight: '6px' } },
+        c.distance < 0 ? '干渉' : '離隔不足'),
+      `${c.label}  ${c.distance.toFixed(2)} m（必要 ${c.clearance} m）`))
+    )
+  );
+}
+
+export default ClashPanel;
@@ -0,0 +1,100 @@
+import React from 'react';
+import { COVER_COLORS } from '../lib/terrain.js';
+
+const STATUS_LABELS = { ok: '適正', shallow: '土被り不足', exposed: '地表より上', nodata: '地表なし' };
+
+const buttonStyle = {
+  padding: '4px 8px',
+  background: '#fff',
+  border: '1px solid #ccc',
+  borderRadius: '4px',
+  cursor: 'pointer',
+  fontSize: '11px'
+};
+
+const inputStyle = { minWidth: 0, fontSize: '11px' };
+
+/**
+ * 点群から作った地表に対する土被りチェックのパネル。
+ * rules は [{ layer, minCover }]（入力中の文字列のまま）、problems は判定が適正以外の管 [{ label, status, minCover, required, groundOffset }]。
+ */
+function CoverPanel({
+  style,
+  hasTerrain,
+  rules,
+  onRulesChange,
+  defaultMinCover,
+  onDefaultMinCoverChange,
+  onCheck,
+  counts,
+  problems,
+  onSelectProblem
+}) {
+  const updateRule = (index, patch) => onRulesChange(rules.map((r, i) => (i === index ? { ...r, ...patch } : r)));
+
+  return React.createElement(
+    'div',
+    { style },
+    React.createElement('div', { style: { fontWeight: 700, marginBottom: '6px' } }, '土被り（点群の地表）'),
+    !hasTerrain && React.createElement('div', { style: { fontSize: '11px', color: '#666' } },
+      '「地表面」で点群から地表モデルを作るとチェックできます。'),
+
+    hasTerrain && React.createElement(
+      'div',
+      null,
+      React.createElement('div', { style: { fontSize: '11px', color: '#666', marginBottom: '4px' } },
+        'レイヤー名（部分一致）ごとの最小土被り (m)'),
+      rules.map((rule, i) => React.createElement('div', { key: i, style: { display: 'flex', gap: '4px', marginBottom: '4px' } },
+        React.createElement('input', { value: rule.layer, onChange: (e) => updateRule(i, { layer: e.target.value }), style: { ...inputStyle, flex: 1 } }),
+        React.createElement('input', {
+          type: 'number',
+          step: '0.1',
+          min: 0,
+          value: rule.minCover,
+          onChange: (e) => updateRule(i, { minCover: e.target.value }),
+          style: { ...inputStyle, width: '50px' }
+        }),
+        React.createElement('button', { style: buttonStyle, onClick: () => onRulesChange(rules.filter((_, j) => j !== i)) }, '×')
+      )),
+      React.createElement('div', { style: { display: 'flex', alignItems: 'center', gap: '6px', marginBottom: '6px' } },
+        React.createElement('button', { style: buttonStyle, onClick: () => onRulesChange([...rules, { layer: '', minCover: '0.6' }]) }, 'ルール追加'),
+        React.createElement('label', { style: { fontSize: '11px' } }, 'その他'),
+        React.createElement('input', {
+          type: 'number',
+          step: '0.1',
+          min: 0,
+          value: defaultMinCover,
+          placeholder: '対象外',
+          onChange: (e) => onDefaultMinCoverChange(e.target.value),
+          style: { ...inputStyle, width: '50px' }
+        }),
+        React.createElement('button', { style: buttonStyle, onClick: onCheck }, 'チェック')
+      )
+    ),
+
+    counts && React.createElement(
+      'div',
+      null,
+      React.createElement('div', { style: { display: 'flex', flexWrap: 'wrap', gap: '10px', fontSize: '11px', marginBottom: '4px' } },
+        Object.keys(STATUS_LABELS).map(status => React.createElement('span', { key: status },
+          React.createElement('span', { style: { color: COVER_COLORS[status], fontWeight: 700 } }, '■ '),
+          `${STATUS_LABELS[status]} ${counts[status]}`))
+      ),
+      React.createElement(
+        'div',
+        { style: { maxHeight: '150px', overflowY: 'auto' } },
+        problems.map((p, i) => React.createElement('div', {
+          key: i,
+          onClick: () => onSelectProblem(i),
+          style: { cursor: 'pointer', fontSize: '11px', padding: '2px 4px', borderBottom: '1px solid #eee' }
+        },
+        React.createElement('span', { style: { color: COVER_COLORS[p.status], fontWeight: 600, marginRight: '6px' } }, STATUS_LABELS[p.status]),
+        p.status === 'nodata'
+          ? p.label
+          : `${p.label}  最小 ${p.minCover.toFixed(2)} m（必要 ${p.required} m）地表差 ${p.groundOffset >= 0 ? '+' : ''}${p.groundOffset.toFixed(2)} m`))
+      )
+    )
+  );
+}
+
+export default CoverPanel;
@@ -0,0 +1,61 @@
+import React, { useState } from 'react';
+import { countDiagnostics } from '../lib/diagnostics.js';
+
+const SEVERITY_COLORS = { error: '#b91c1c', warning: '#b45309' };
+const SEVERITY_LABELS = { error: 'スキップ', warning: '要確認' };
+
+/**
+ * 取込時の診断結果の一覧。項目のクリックで onSelect(entry) を呼ぶ（該当要素へ移動）。
+ */
+function DiagnosticsPanel({ entries, onSelect, style }) {
+  const [filter, setFilter] = useState('all');
+  const counts = countDiagnostics(entries);
+  const visible = filter === 'all' ? entries : entries.filter(e => e.severity === filter);
+
+  const filterButton = (value, label) => React.createElement('button', {
+    key: value,
+    onClick: () => setFilter(value),
+    style: {
+      padding: '2px 6px',
+      fontSize: '11px',
+      border: '1px solid #ccc',
+      borderRadius: '4px',
+      background: filter === value ? '#e5e7eb' : '#fff',
+      cursor: 'pointer'
+    }
+  }, label);
+
+  return React.createElement(
+    'div',
+    { style },
+    React.createElement('div', { style: { fontWeight: 700, marginBottom: '6px' } },
+      `取込チェック（スキップ ${counts.error} 件・要確認 ${counts.warning} 件）`),
+    React.createElement('div', { style: { display: 'flex', gap: '4px', marginBottom: '6px' } },
+      filterButton('all', 'すべて'),
+      filterButton('error', 'スキップ'),
+      filterButton('warning', '要確認')
+    ),
+    React.createElement(
+      'div',
+      { style: { maxHeight: '200px', overflowY: 'auto' } },
+      visible.map((entry, i) =>
+        React.createElement(
+          'div',
+          {
+            key: i,
+            onClick: () => onSelect(entry),
+            title: 'クリックで該当箇所へ移動',
+            style: { cursor: 'pointer', padding: '3px 4px', borderBottom: '1px solid #eee', fontSize: '11px' }
+          },
+          React.createElement('span', { style: { color: SEVERITY_COLORS[entry.severity], fontWeight: 600, marginRight: '6px' } },
+            SEVERITY_LABELS[entry.severity]),
+          React.createElement('span', { style: { color: '#666', marginRight: '6px' } },
+            `#${entry.featureIndex}${entry.featureId != null ? `（${entry.featureId}）` : ''}${entry.partIndex > 0 ? ` 部分 ${entry.partIndex}` : ''}`),
+          entry.reason
+        )
+      )
+    )
+  );
+}
+
+export default DiagnosticsPanel;
@@ -0,0 +1,89 @@
+import React from 'react';
+
+const buttonStyle = {
+  padding: '4px 8px',
+  background: '#fff',
+  border: '1px solid #ccc',
+  borderRadius: '4px',
+  cursor: 'pointer',
+  fontSize: '11px'
+};
+
+const activeStyle = { background: '#2563eb', color: '#fff', borderColor: '#2563eb' };
+const inputStyle = { width: '56px', fontSize: '11px' };
+
+const MODES = [
+  { value: 'vertex', label: '頂点移動' },
+  { value: 'split', label: '分割' },
+  { value: 'merge', label: '結合' },
+  { value: 'draw', label: '新規作図' }
+];
+
+/**
+ * 管の形状編集のパネル。
+ * mode は 'vertex'（クリックした管の最寄りの頂点をギズモで動かす）| 'split'（クリック位置で分割）
+ * | 'merge'（クリック位置の最寄りの頂点で一直線の 2 区間を結合）| 'draw'（地表のクリックで新しい管を作図）| null。
+ * drawProps は作図する管の属性 { layer, diameter (mm), depth (m) }、drawCount は作図中の頂点数。
+ */
+function GeometryEditPanel({
+  style,
+  mode,
+  onModeChange,
+  snapTolerance,
+  onSnapToleranceChange,
+  drawProps,
+  onDrawPropsChange,
+  drawCount,
+  onFinishDraw,
+  onCancelDraw,
+  message
+}) {
+  const field = (key, label, width) => React.createElement('label', { style: { display: 'flex', alignItems: 'center', gap: '4px', fontSize: '11px' } },
+    label,
+    React.createElement('input', {
+      value: drawProps[key],
+      onChange: (e) => onDrawPropsChange({ ...drawProps, [key]: e.target.value }),
+      style: { ...inputStyle, width }
+    })
+  );
+
+  return React.createElement(
+    'div',
+    { style },
+    React.createElement('div', { style: { fontWeight: 700, marginBottom: '6px' } }, '形状編集'),
+    React.createElement('div', { style: { display: 'flex', alignItems: 'center', gap: '6px', flexWrap: 'wrap', marginBottom: '6px' } },
+      MODES.map(m => React.createElement('button', {
+        key: m.value,
+        style: { ...buttonStyle, ...(mode === m.value ? activeStyle : {}) },
+        onClick: () => onModeChange(m.value)
+      }, m.label)),
+      React.createElement('label', { style: { display: 'flex', alignItems: 'center', gap: '4px', fontSize: '11px' } },
+        '吸着 (m)',
+        React.createElement('input', {
+          type: 'number',
+          min: 0,
+          step: 0.1,
+          value: snapTolerance,
+          onChange: (e) => onSnapToleranceChange(e.target.value),
+          style: inputStyle
+        })
+      )
+    ),
+
+    mode === 'draw' && React.createElement('div', { style: { display: 'flex', alignItems: 'center', gap: '6px', flexWrap: 'wrap', marginBottom: '6px' } },
+      field('layer', 'レイヤー', '72px'),
+      field('diameter', '管径 (mm)', '56px'),
+      field('depth', '深さ (m)', '48px'),
+      React.createElement('button', {
+        style: { ...buttonStyle, opacity: drawCount >= 2 ? 1 : 0.5 },
+        disabled: drawCount < 2,
+        onClick: onFinishDraw
+      }, `確定（${drawCount} 点）`),
+      React.createElement('button', { style: buttonStyle, disabled: drawCount === 0, onClick: onCancelDraw }, 'やり直す')
+    ),
+
+    message && React.createElement('div', { style: { fontSize: '11px', color: '#555' } }, message)
+  );
+}
+
+export default GeometryEditPanel;
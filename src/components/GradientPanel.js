@@ -0,0 +1,89 @@
+import React from 'react';
+import { GRADIENT_COLORS } from '../lib/gradient.js';
+
+const STATUS_LABELS = { ok: '適正', flat: '勾配不足', adverse: '逆勾配' };
+
+const buttonStyle = {
+  padding: '4px 8px',
+  background: '#fff',
+  border: '1px solid #ccc',
+  borderRadius: '4px',
+  cursor: 'pointer',
+  fontSize: '11px'
+};
+
+/**
+ * 自然流下管の勾配解析パネル。
+ * problems は勾配不足・逆勾配の管の一覧 [{ label, status, slope }]、onSelectProblem(index) で該当管へ移動する。
+ */
+function GradientPanel({
+  style,
+  gravityLayers,
+  onGravityLayersChange,
+  minSlopePermil,
+  onMinSlopeChange,
+  onAnalyze,
+  counts,
+  problems,
+  onSelectProblem,
+  showColors,
+  onToggleColors,
+  showArrows,
+  onToggleArrows
+}) {
+  return React.createElement(
+    'div',
+    { style },
+    React.createElement('div', { style: { fontWeight: 700, marginBottom: '6px' } }, '勾配・流下方向'),
+    React.createElement('div', { style: { display: 'flex', alignItems: 'center', gap: '6px', marginBottom: '4px' } },
+      React.createElement('label', { style: { fontSize: '11px', width: '90px' } }, '対象レイヤー'),
+      React.createElement('input', {
+        value: gravityLayers,
+        placeholder: '部分一致、カンマ区切り',
+        onChange: (e) => onGravityLayersChange(e.target.value),
+        style: { flex: 1, minWidth: 0, fontSize: '11px' }
+      })
+    ),
+    React.createElement('div', { style: { display: 'flex', alignItems: 'center', gap: '6px', marginBottom: '6px' } },
+      React.createElement('label', { style: { fontSize: '11px', width: '90px' } }, '最小勾配 (‰)'),
+      React.createElement('input', {
+        type: 'number',
+        step: '0.1',
+        min: 0,
+        value: minSlopePermil,
+        onChange: (e) => onMinSlopeChange(e.target.value),
+        style: { width: '60px', fontSize: '11px' }
+      }),
+      React.createElement('button', { style: buttonStyle, onClick: onAnalyze }, '解析')
+    ),
+
+    counts && React.createElement(
+      'div',
+      null,
+      React.createElement('div', { style: { display: 'flex', gap: '10px', fontSize: '11px', marginBottom: '4px' } },
+        Object.keys(STATUS_LABELS).map(status => React.createElement('span', { key: status },
+          React.createElement('span', { style: { color: GRADIENT_COLORS[status], fontWeight: 700 } }, '■ '),
+          `${STATUS_LABELS[status]} ${counts[status]}`))
+      ),
+      React.createElement('label', { style: { display: 'flex', alignItems: 'center', gap: '4px', fontSize: '11px' } },
+        React.createElement('input', { type: 'checkbox', checked: showColors, onChange: onToggleColors }),
+        '判定で色分け'),
+      React.createElement('label', { style: { display: 'flex', alignItems: 'center', gap: '4px', fontSize: '11px', marginBottom: '4px' } },
+        React.createElement('input', { type: 'checkbox', checked: showArrows, onChange: onToggleArrows }),
+        '流下方向の矢印'),
+      React.createElement(
+        'div',
+        { style: { maxHeight: '120px', overflowY: 'auto' } },
+        problems.map((p, i) => React.createElement('div', {
+          key: i,
+          onClick: () => onSelectProblem(i),
+          style: { cursor: 'pointer', fontSize: '11px', padding: '2px 4px', borderBottom: '1px solid #eee' }
+        },
+        React.createElement('span', { style: { color: GRADIENT_COLORS[p.status], fontWeight: 600, marginRight: '6px' } }, STATUS_LABELS[p.status]),
+        `${p.label}  ${(p.slope * 1000).toFixed(1)}‰`))
+      )
+    )
+  );
+}
+
+export default GradientPanel;
@@ -0,0 +1,58 @@
+import React from 'react';
+
+const buttonStyle = {
+  padding: '4px 8px',
+  background: '#fff',
+  border: '1px solid #ccc',
+  borderRadius: '4px',
+  cursor: 'pointer',
+  fontSize: '11px'
+};
+
+/**
+ * 編集履歴のパネル。entries は history.js の entries（古い順）。
+ * 項目のクリックでその操作の直後の状態まで戻す・やり直す。
+ */
+function HistoryPanel({ style, entries, onUndo, onRedo, onJump, canRevert, onRevert, message }) {
+  const canUndo = entries.some(e => e.done);
+  const canRedo = entries.some(e => !e.done);
+  const time = (t) => new Date(t).toLocaleTimeString();
+
+  return React.createElement(
+    'div',
+    { style },
+    React.createElement('div', { style: { fontWeight: 700, marginBottom: '6px' } }, '編集履歴'),
+    React.createElement('div', { style: { display: 'flex', alignItems: 'center', gap: '6px', flexWrap: 'wrap', marginBottom: '6px' } },
+      React.createElement('button', { style: { ...buttonStyle, opacity: canUndo ? 1 : 0.5 }, disabled: !canUndo, onClick: onUndo, title: 'Ctrl+Z' }, '元に戻す'),
+      React.createElement('button', { style: { ...buttonStyle, opacity: canRedo ? 1 : 0.5 }, disabled: !canRedo, onClick: onRedo, title: 'Ctrl+Y' }, 'やり直す'),
+      React.createElement('button', {
+        style: { ...buttonStyle, opacity: canRevert ? 1 : 0.5 },
+        disabled: !canRevert,
+        onClick: onRevert
+      }, '選択した要素を読込時に戻す')
+    ),
+    message && React.createElement('div', { style: { fontSize: '11px', color: '#555', marginBottom: '4px' } }, message),
+    entries.length === 0
+      ? React.createElement('div', { style: { fontSize: '11px', color: '#888' } }, '編集はまだありません')
+      : React.createElement('div', { style: { maxHeight: '160px', overflowY: 'auto' } },
+        entries.map((entry, i) => React.createElement('div', {
+          key: i,
+          onClick: () => onJump(i),
+          style: {
+            display: 'flex',
+            gap: '6px',
+            padding: '2px 4px',
+            cursor: 'pointer',
+            fontSize: '11px',
+            color: entry.done ? '#222' : '#9ca3af',
+            borderBottom: '1px solid #f0f0f0'
+          }
+        },
+        React.createElement('span', { style: { flex: 1 } }, entry.label),
+        React.createElement('span', { style: { color: '#888' } }, time(entry.time))
+        )).reverse()
+      )
+  );
+}
+
+export default HistoryPanel;
@@ -0,0 +1,81 @@
+import React from 'react';
+
+const buttonStyle = {
+  padding: '4px 8px',
+  background: '#fff',
+  border: '1px solid #ccc',
+  borderRadius: '4px',
+  cursor: 'pointer',
+  fontSize: '11px'
+};
+
+/**
+ * 管網の接続解析（上流・下流の追跡、孤立した島、行き止まり端点）の操作パネル。
+ * network は解析結果の要約 { layers: [{ layer, nodes, edges, islands, dangling }], islands: [{ layer, count }] }、未解析なら null。
+ */
+function NetworkPanel({
+  style,
+  tolerance,
+  onToleranceChange,
+  network,
+  onAnalyze,
+  canTrace,
+  onTrace,
+  onSelectIsland,
+  showDangling,
+  onToggleDangling,
+  onClear,
+  message
+}) {
+  return React.createElement(
+    'div',
+    { style },
+    React.createElement('div', { style: { fontWeight: 700, marginBottom: '6px' } }, '管網の接続'),
+    React.createElement('div', { style: { display: 'flex', alignItems: 'center', gap: '6px', marginBottom: '6px' } },
+      React.createElement('label', { style: { fontSize: '11px' } }, '端点の許容距離 (m)'),
+      React.createElement('input', {
+        type: 'number',
+        step: '0.01',
+        min: 0,
+        value: tolerance,
+        onChange: (e) => onToleranceChange(e.target.value),
+        style: { width: '60px', fontSize: '11px' }
+      }),
+      React.createElement('button', { style: buttonStyle, onClick: onAnalyze }, network ? '再解析' : '解析')
+    ),
+
+    network && React.createElement(
+      'div',
+      null,
+      network.layers.map(l => React.createElement('div', { key: l.layer, style: { fontSize: '11px', color: '#444' } },
+        `${l.layer || '(レイヤー名なし)'}: 管 ${l.edges} 本・節点 ${l.nodes}・島 ${l.islands}・行き止まり ${l.dangling}`)),
+
+      React.createElement('div', { style: { display: 'flex', gap: '4px', margin: '6px 0' } },
+        React.createElement('button', { style: buttonStyle, disabled: !canTrace, onClick: () => onTrace('upstream') }, '上流'),
+        React.createElement('button', { style: buttonStyle, disabled: !canTrace, onClick: () => onTrace('downstream') }, '下流'),
+        React.createElement('button', { style: buttonStyle, disabled: !canTrace, onClick: () => onTrace('connected') }, '接続範囲'),
+        React.createElement('button', { style: buttonStyle, onClick: onClear }, '強調解除')
+      ),
+      !canTrace && React.createElement('div', { style: { fontSize: '11px', color: '#666' } }, '追跡するには管を選択してください。'),
+
+      React.createElement('label', { style: { display: 'flex', alignItems: 'center', gap: '4px', fontSize: '11px', margin: '4px 0' } },
+        React.createElement('input', { type: 'checkbox', checked: showDangling, onChange: onToggleDangling }),
+        '行き止まりの端点を表示'),
+
+      network.islands.length > 0 && React.createElement('div', { style: { fontSize: '11px', fontWeight: 600, marginTop: '4px' } }, '孤立した島'),
+      React.createElement(
+        'div',
+        { style: { maxHeight: '120px', overflowY: 'auto' } },
+        network.islands.map((island, i) => React.createElement('div', {
+          key: i,
+          onClick: () => onSelectIsland(i),
+          style: { cursor: 'pointer', fontSize: '11px', padding: '2px 4px', borderBottom: '1px solid #eee' }
+        }, `${island.layer || '(レイヤー名なし)'}: 管 ${island.count} 本`))
+      )
+    ),
+
+    message && React.createElement('div', { style: { fontSize: '11px', color: '#2563eb', marginTop: '4px' } }, message)
+  );
+}
+
+export default NetworkPanel;
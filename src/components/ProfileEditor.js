@@ -0,0 +1,130 @@
+import React, { useState } from 'react';
+import {
+  DEFAULT_IMPORT_PROFILE,
+  PROFILE_FIELDS,
+  UNIT_CHOICES,
+  loadSavedProfiles,
+  normalizeProfile,
+  propertyNames,
+  removeSavedProfile,
+  saveProfile
+} from '../lib/importProfile.js';
+
+/**
+ * 取込プロファイル（属性名と単位の対応）の選択・編集・保存。
+ * profile は編集中のプロファイル、onChange(profile) で変更を通知する。
+ */
+function ProfileEditor({ profile, onChange }) {
+  const [saved, setSaved] = useState(() => loadSavedProfiles());
+  const [message, setMessage] = useState(null);
+  const choices = [DEFAULT_IMPORT_PROFILE, ...saved];
+
+  function selectProfile(name) {
+    const next = choices.find(p => p.name === name);
+    if (next) onChange(next);
+    setMessage(null);
+  }
+
+  function updateField(key, patch) {
+    const field = { ...(profile.fields[key] ?? DEFAULT_IMPORT_PROFILE.fields[key]), ...patch };
+    onChange({ ...profile, fields: { ...profile.fields, [key]: field } });
+  }
+
+  function onSave() {
+    if (!profile.name || profile.name === DEFAULT_IMPORT_PROFILE.name) {
+      setMessage('既定と異なる名前を付けてください。');
+      return;
+    }
+    setSaved(saveProfile(profile));
+    setMessage(`「${profile.name}」を保存しました。`);
+  }
+
+  function onRemove() {
+    setSaved(removeSavedProfile(profile.name));
+    onChange(DEFAULT_IMPORT_PROFILE);
+    setMessage(null);
+  }
+
+  function onDownload() {
+    const blob = new Blob([JSON.stringify(normalizeProfile(profile), null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `${profile.name || 'import-profile'}.json`;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+  }
+
+  async function onFileChange(e) {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+      onChange(normalizeProfile(JSON.parse(await file.text())));
+      setMessage(null);
+    } catch (err) {
+      setMessage('プロファイルの読み込みに失敗しました: ' + err.message);
+    }
+  }
+
+  const isSaved = saved.some(p => p.name === profile.name);
+
+  return React.createElement(
+    'div',
+    null,
+    React.createElement('div', { className: 'import-option' },
+      React.createElement('label', { htmlFor: 'import-profile' }, '取込プロファイル'),
+      React.createElement('select', {
+        id: 'import-profile',
+        value: choices.some(p => p.name === profile.name) ? profile.name : '',
+        onChange: (e) => selectProfile(e.target.value)
+      },
+      !choices.some(p => p.name === profile.name) && React.createElement('option', { value: '' }, `${profile.name}（未保存）`),
+      choices.map(p => React.createElement('option', { key: p.name, value: p.name }, p.name)))
+    ),
+    React.createElement('details', { className: 'profile-editor' },
+      React.createElement('summary', null, '属性名と単位の対応を編集'),
+      React.createElement('div', { className: 'import-option' },
+        React.createElement('label', { htmlFor: 'profile-name' }, 'プロファイル名'),
+        React.createElement('input', {
+          id: 'profile-name',
+          value: profile.name,
+          onChange: (e) => onChange({ ...profile, name: e.target.value })
+        })
+      ),
+      PROFILE_FIELDS.map(({ key, label, length }) => {
+        const field = profile.fields[key] ?? DEFAULT_IMPORT_PROFILE.fields[key];
+        return React.createElement('div', { key, className: 'import-option profile-field' },
+          React.createElement('label', null, label),
+          React.createElement('input', {
+            value: propertyNames(field).join(', '),
+            placeholder: '属性名（カンマ区切りで候補）',
+            onChange: (e) => updateField(key, { property: e.target.value.split(',').map(n => n.trim()) })
+          }),
+          length && React.createElement('select', {
+            value: field.unit ?? 'm',
+            onChange: (e) => updateField(key, { unit: e.target.value })
+          }, UNIT_CHOICES.map(c => React.createElement('option', { key: c.value, value: c.value }, c.label)))
+        );
+      }),
+      React.createElement('div', { className: 'profile-actions' },
+        React.createElement('button', { onClick: onSave }, 'ブラウザに保存'),
+        isSaved && React.createElement('button', { onClick: onRemove }, '削除'),
+        React.createElement('button', { onClick: onDownload }, '書き出し'),
+        React.createElement('label', { htmlFor: 'profile-file-input', className: 'profile-file-label' }, '読込'),
+        React.createElement('input', {
+          id: 'profile-file-input',
+          type: 'file',
+          accept: '.json,application/json',
+          style: { display: 'none' },
+          onChange: onFileChange
+        })
+      ),
+      message && React.createElement('div', { className: 'profile-message' }, message)
+    )
+  );
+}
+
+export default ProfileEditor;
@@ -0,0 +1,61 @@
+import React from 'react';
+
+const buttonStyle = {
+  padding: '4px 8px',
+  background: '#fff',
+  border: '1px solid #ccc',
+  borderRadius: '4px',
+  cursor: 'pointer',
+  fontSize: '11px'
+};
+
+const COLUMNS = ['区間', '追加距離 (m)', '延長 (m)', '寸法', '管底高 始 / 終 (m)', '土被り 始 / 終 (m)', '勾配 (‰)'];
+
+/**
+ * 縦断図（profile.js の profileToSVG）と区間表。
+ * rows は [{ label, from, to, length, size, invert: [始, 終], cover: [始, 終], slope }]。
+ */
+function ProfileView({ style, svg, rows, onSelectRow, onExport, onClose }) {
+  const cell = { borderBottom: '1px solid #f0f0f0', padding: '2px 4px', whiteSpace: 'nowrap' };
+  return React.createElement(
+    'div',
+    { style },
+    React.createElement('div', { style: { display: 'flex', alignItems: 'center', gap: '6px', marginBottom: '6px' } },
+      React.createElement('div', { style: { fontWeight: 700, flex: 1 } }, `縦断面（${rows.length} 区間）`),
+      React.createElement('button', { style: buttonStyle, onClick: onExport }, 'SVG 書き出し'),
+      React.createElement('button', { style: buttonStyle, onClick: onClose }, '閉じる')
+    ),
+    // 自前で生成した SVG（文字列は profileToSVG でエスケープ済み）
+    React.createElement('div', {
+      style: { maxHeight: '320px', overflow: 'auto', border: '1px solid #eee' },
+      dangerouslySetInnerHTML: { __html: svg }
+    }),
+    React.createElement(
+      'div',
+      { style: { maxHeight: '160px', overflow: 'auto', marginTop: '6px' } },
+      React.createElement(
+        'table',
+        { style: { width: '100%', fontSize: '11px', borderCollapse: 'collapse' } },
+        React.createElement('thead', null,
+          React.createElement('tr', null,
+            COLUMNS.map(h => React.createElement('th', {
+              key: h,
+              style: { textAlign: 'left', borderBottom: '1px solid #ddd', padding: '2px 4px', whiteSpace: 'nowrap' }
+            }, h)))
+        ),
+        React.createElement('tbody', null,
+          rows.map((r, i) => React.createElement('tr', { key: i, onClick: () => onSelectRow(i), style: { cursor: 'pointer' } },
+            React.createElement('td', { style: cell }, r.label),
+            React.createElement('td', { style: cell }, `${r.from.toFixed(1)} – ${r.to.toFixed(1)}`),
+            React.createElement('td', { style: cell }, r.length.toFixed(2)),
+            React.createElement('td', { style: cell }, r.size),
+            React.createElement('td', { style: cell }, r.invert.map(v => v.toFixed(2)).join(' / ')),
+            React.createElement('td', { style: cell }, r.cover.map(v => v.toFixed(2)).join(' / ')),
+            React.createElement('td', { style: { ...cell, color: r.slope < 0 ? '#dc2626' : undefined } }, (r.slope * 1000).toFixed(1))
+          )))
+      )
+    )
+  );
+}
+
+export default ProfileView;
@@ -0,0 +1,95 @@
+import React, { useState } from 'react';
+
+const buttonStyle = {
+  padding: '4px 8px',
+  background: '#fff',
+  border: '1px solid #ccc',
+  borderRadius: '4px',
+  cursor: 'pointer',
+  fontSize: '11px'
+};
+
+const rowStyle = { display: 'flex', alignItems: 'center', gap: '6px', marginBottom: '6px' };
+
+/**
+ * 属性の絞り込み式（query.js の compileQuery）で表示する管を絞るパネル。レイヤーの表示切り替えと組み合わせて効く。
+ * applied は表示に反映している式、counts は { matches（式に一致）, visible（表示中） }（絞り込みなしは null）。
+ * views は保存した表示 [{ name, query, hiddenLayers }]。
+ */
+function QueryPanel({
+  style,
+  text,
+  onTextChange,
+  onApply,
+  onClear,
+  applied,
+  error,
+  counts,
+  onSelectMatches,
+  views,
+  onSaveView,
+  onApplyView,
+  onRemoveView
+}) {
+  const [viewName, setViewName] = useState('');
+  const [selectedView, setSelectedView] = useState('');
+  const current = views.some(v => v.name === selectedView) ? selectedView : (views[0]?.name ?? '');
+
+  return React.createElement(
+    'div',
+    { style },
+    React.createElement('div', { style: { fontWeight: 700, marginBottom: '6px' } }, '属性で絞り込み'),
+    React.createElement('input', {
+      value: text,
+      onChange: (e) => onTextChange(e.target.value),
+      onKeyDown: (e) => {
+        if (e.key === 'Enter') onApply();
+      },
+      placeholder: "diameter >= 150 AND material = 'DIP'",
+      style: { width: '100%', boxSizing: 'border-box', fontSize: '11px', marginBottom: '6px' }
+    }),
+    React.createElement('div', { style: rowStyle },
+      React.createElement('button', { style: buttonStyle, onClick: onApply }, '適用'),
+      React.createElement('button', { style: buttonStyle, disabled: !applied, onClick: onClear }, '解除'),
+      React.createElement('button', {
+        style: { ...buttonStyle, opacity: counts?.visible ? 1 : 0.5 },
+        disabled: !counts?.visible,
+        onClick: onSelectMatches
+      }, '一致をすべて選択')
+    ),
+    error && React.createElement('div', { style: { fontSize: '11px', color: '#dc2626', marginBottom: '6px' } }, error),
+    counts && React.createElement('div', { style: { fontSize: '11px', marginBottom: '6px' } },
+      `一致 ${counts.matches} 本（表示中 ${counts.visible} 本）: ${applied}`),
+
+    React.createElement('div', { style: rowStyle },
+      React.createElement('select', {
+        value: current,
+        onChange: (e) => setSelectedView(e.target.value),
+        style: { flex: 1, fontSize: '11px' }
+      }, views.map(v => React.createElement('option', { key: v.name, value: v.name }, v.name))),
+      React.createElement('button', { style: buttonStyle, disabled: !current, onClick: () => onApplyView(current) }, '表示を適用'),
+      React.createElement('button', { style: buttonStyle, disabled: !current, onClick: () => onRemoveView(current) }, '削除')
+    ),
+    React.createElement('div', { style: rowStyle },
+      React.createElement('input', {
+        value: viewName,
+        onChange: (e) => setViewName(e.target.value),
+        placeholder: '表示の名前',
+        style: { flex: 1, fontSize: '11px' }
+      }),
+      React.createElement('button', {
+        style: buttonStyle,
+        disabled: !viewName.trim(),
+        onClick: () => {
+          onSaveView(viewName.trim());
+          setSelectedView(viewName.trim());
+          setViewName('');
+        }
+      }, '現在の表示を保存')
+    ),
+    React.createElement('div', { style: { fontSize: '11px', color: '#666' } },
+      "比較 = != < <= > >=、LIKE '下水%'、CONTAINS、BETWEEN 1 AND 2、IN (a, b)、IS NULL を AND / OR / NOT と括弧で組み合わせる。表示の保存は絞り込みとレイヤーの表示状態をまとめて残す。")
+  );
+}
+
+export default QueryPanel;
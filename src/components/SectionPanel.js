@@ -0,0 +1,36 @@
+import React from 'react';
+
+const buttonStyle = {
+  padding: '4px 8px',
+  background: '#fff',
+  border: '1px solid #ccc',
+  borderRadius: '4px',
+  cursor: 'pointer',
+  fontSize: '11px'
+};
+
+/**
+ * 断面図ツールのパネル。
+ * 横断面は active の間に地表のクリックで断面線の 2 点を取る。縦断面は選択した管から前後につながる管路で作る。
+ */
+function SectionPanel({ style, active, onToggle, canProfile, onProfile, message }) {
+  return React.createElement(
+    'div',
+    { style },
+    React.createElement('div', { style: { fontWeight: 700, marginBottom: '6px' } }, '断面図'),
+    React.createElement('div', { style: { display: 'flex', alignItems: 'center', gap: '6px', flexWrap: 'wrap' } },
+      React.createElement('button', {
+        style: { ...buttonStyle, ...(active ? { background: '#2563eb', color: '#fff', borderColor: '#2563eb' } : {}) },
+        onClick: onToggle
+      }, active ? '作図をやめる' : '横断面線を引く'),
+      React.createElement('button', {
+        style: { ...buttonStyle, opacity: canProfile ? 1 : 0.5 },
+        disabled: !canProfile,
+        onClick: onProfile
+      }, '縦断面（選択した管）'),
+      message && React.createElement('span', { style: { fontSize: '11px', color: '#555' } }, message)
+    )
+  );
+}
+
+export default SectionPanel;
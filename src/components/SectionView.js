@@ -0,0 +1,50 @@
+import React from 'react';
+
+const buttonStyle = {
+  padding: '4px 8px',
+  background: '#fff',
+  border: '1px solid #ccc',
+  borderRadius: '4px',
+  cursor: 'pointer',
+  fontSize: '11px'
+};
+
+/**
+ * 断面図（section.js の sectionToSVG）と交わる管の一覧。
+ * rows は [{ layer, material, offset, depth, size }]（size は断面寸法の表示文字列）。
+ */
+function SectionView({ style, svg, rows, onExport, onClose }) {
+  return React.createElement(
+    'div',
+    { style },
+    React.createElement('div', { style: { display: 'flex', alignItems: 'center', gap: '6px', marginBottom: '6px' } },
+      React.createElement('div', { style: { fontWeight: 700, flex: 1 } }, `横断面（交わる管 ${rows.length} 本）`),
+      React.createElement('button', { style: buttonStyle, onClick: onExport }, 'SVG 書き出し'),
+      React.createElement('button', { style: buttonStyle, onClick: onClose }, '閉じる')
+    ),
+    // 自前で生成した SVG（文字列は sectionToSVG でエスケープ済み）
+    React.createElement('div', {
+      style: { maxHeight: '320px', overflow: 'auto', border: '1px solid #eee' },
+      dangerouslySetInnerHTML: { __html: svg }
+    }),
+    rows.length > 0 && React.createElement(
+      'table',
+      { style: { width: '100%', fontSize: '11px', borderCollapse: 'collapse', marginTop: '6px' } },
+      React.createElement('thead', null,
+        React.createElement('tr', null,
+          ['距離 (m)', 'レイヤー', '材質', '寸法', '深さ (m)'].map(h => React.createElement('th', {
+            key: h,
+            style: { textAlign: 'left', borderBottom: '1px solid #ddd', padding: '2px 4px' }
+          }, h)))
+      ),
+      React.createElement('tbody', null,
+        rows.map((r, i) => React.createElement('tr', { key: i },
+          [r.offset.toFixed(2), r.layer, r.material, r.size, r.depth.toFixed(2)].map((v, j) => React.createElement('td', {
+            key: j,
+            style: { borderBottom: '1px solid #f0f0f0', padding: '2px 4px' }
+          }, v)))))
+    )
+  );
+}
+
+export default SectionView;
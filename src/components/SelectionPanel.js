@@ -0,0 +1,63 @@
+import React, { useState } from 'react';
+
+const buttonStyle = {
+  padding: '4px 8px',
+  background: '#fff',
+  border: '1px solid #ccc',
+  borderRadius: '4px',
+  cursor: 'pointer',
+  fontSize: '11px'
+};
+
+const rowStyle = { display: 'flex', alignItems: 'center', gap: '6px', marginBottom: '6px' };
+
+/**
+ * 複数選択のパネル。Shift+クリックで追加・解除、範囲選択はドラッグした矩形内の管を選ぶ（Shift で追加）。
+ * レイヤー・属性値での選択は表示中の管が対象。tableOpen / onToggleTable は属性テーブルの開閉。
+ */
+function SelectionPanel({ style, count, marquee, onToggleMarquee, layers, onSelectLayer, onSelectByProperty, onClear, tableOpen, onToggleTable }) {
+  const [layer, setLayer] = useState('');
+  const [key, setKey] = useState('material');
+  const [value, setValue] = useState('');
+
+  return React.createElement(
+    'div',
+    { style },
+    React.createElement('div', { style: { display: 'flex', alignItems: 'center', gap: '6px', marginBottom: '6px' } },
+      React.createElement('div', { style: { fontWeight: 700, flex: 1 } }, `選択（${count} 件）`),
+      React.createElement('button', {
+        style: { ...buttonStyle, ...(marquee ? { background: '#2563eb', color: '#fff', borderColor: '#2563eb' } : {}) },
+        onClick: onToggleMarquee
+      }, marquee ? '範囲選択を終了' : '範囲選択'),
+      React.createElement('button', {
+        style: { ...buttonStyle, ...(tableOpen ? { background: '#2563eb', color: '#fff', borderColor: '#2563eb' } : {}) },
+        onClick: onToggleTable
+      }, '属性テーブル'),
+      React.createElement('button', { style: buttonStyle, disabled: count === 0, onClick: onClear }, '解除')
+    ),
+    React.createElement('div', { style: rowStyle },
+      React.createElement('select', {
+        value: layer,
+        onChange: (e) => setLayer(e.target.value),
+        style: { flex: 1, fontSize: '11px' }
+      }, layers.map(l => React.createElement('option', { key: l, value: l }, l || '(レイヤー名なし)'))),
+      React.createElement('button', {
+        style: buttonStyle,
+        disabled: layers.length === 0,
+        onClick: () => onSelectLayer(layers.includes(layer) ? layer : layers[0])
+      }, 'レイヤーで選択')
+    ),
+    React.createElement('div', { style: { ...rowStyle, marginBottom: 0 } },
+      React.createElement('input', { value: key, onChange: (e) => setKey(e.target.value), placeholder: '属性名', style: { width: '80px', fontSize: '11px' } }),
+      '=',
+      React.createElement('input', { value, onChange: (e) => setValue(e.target.value), placeholder: '値', style: { flex: 1, fontSize: '11px' } }),
+      React.createElement('button', {
+        style: buttonStyle,
+        disabled: !key.trim(),
+        onClick: () => onSelectByProperty(key.trim(), value)
+      }, '属性で選択')
+    )
+  );
+}
+
+export default SelectionPanel;
@@ -0,0 +1,130 @@
+import React, { useState } from 'react';
+import { styleLegend, validateStyle } from '../lib/style.js';
+
+const buttonStyle = {
+  padding: '4px 8px',
+  background: '#fff',
+  border: '1px solid #ccc',
+  borderRadius: '4px',
+  cursor: 'pointer',
+  fontSize: '11px'
+};
+
+/**
+ * スタイルの凡例と、スタイル JSON の読込・編集・保存。
+ * onApply(style) は検証済みのスタイルで呼ばれる。
+ */
+function StylePanel({ style, onApply }) {
+  const [editing, setEditing] = useState(false);
+  const [draft, setDraft] = useState('');
+  const [message, setMessage] = useState(null);
+
+  function apply(next) {
+    const problem = validateStyle(next);
+    if (problem) {
+      setMessage(problem);
+      return false;
+    }
+    setMessage(null);
+    onApply(next);
+    return true;
+  }
+
+  function applyText(text) {
+    try {
+      return apply(JSON.parse(text));
+    } catch (err) {
+      setMessage('JSON の解析に失敗しました: ' + err.message);
+      return false;
+    }
+  }
+
+  function toggleEditing() {
+    if (!editing) setDraft(JSON.stringify(style, null, 2));
+    setMessage(null);
+    setEditing(!editing);
+  }
+
+  async function onFileChange(e) {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+    const text = await file.text();
+    if (applyText(text)) setDraft(text);
+  }
+
+  function saveStyle() {
+    const blob = new Blob([JSON.stringify(style, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = 'pipe-style.json';
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+  }
+
+  const legend = styleLegend(style);
+
+  return React.createElement(
+    'div',
+    { style: { marginTop: '10px', paddingTop: '8px', borderTop: '1px solid #e5e7eb' } },
+    React.createElement('div', { style: { fontWeight: 700, marginBottom: '6px' } }, '凡例'),
+    React.createElement(
+      'div',
+      { style: { maxHeight: '160px', overflowY: 'auto', marginBottom: '8px' } },
+      legend.map((entry, i) =>
+        React.createElement(
+          'div',
+          { key: i, style: { display: 'flex', alignItems: 'center', gap: '6px', marginBottom: '3px', fontSize: '11px' } },
+          entry.stops
+            ? React.createElement('span', {
+              title: entry.stops.map(s => `${s.value}: ${s.color}`).join(' / '),
+              style: {
+                width: '40px',
+                height: '10px',
+                borderRadius: '2px',
+                background: `linear-gradient(to right, ${entry.stops.map(s => s.color).join(', ')})`
+              }
+            })
+            : React.createElement('span', {
+              style: { width: '14px', height: '10px', borderRadius: '2px', background: entry.color, border: '1px solid rgba(0,0,0,0.2)' }
+            }),
+          React.createElement('span', null, entry.label)
+        )
+      )
+    ),
+
+    React.createElement(
+      'div',
+      { style: { display: 'flex', gap: '6px', marginBottom: '6px' } },
+      React.createElement('button', { style: buttonStyle, onClick: toggleEditing }, editing ? '編集を閉じる' : 'スタイル編集'),
+      React.createElement('label', { htmlFor: 'style-file-input', style: buttonStyle }, '読込'),
+      React.createElement('input', {
+        id: 'style-file-input',
+        type: 'file',
+        accept: '.json,application/json',
+        onChange: onFileChange,
+        style: { display: 'none' }
+      }),
+      React.createElement('button', { style: buttonStyle, onClick: saveStyle }, '保存')
+    ),
+
+    editing && React.createElement(
+      'div',
+      null,
+      React.createElement('textarea', {
+        value: draft,
+        onChange: (e) => setDraft(e.target.value),
+        spellCheck: false,
+        style: { width: '100%', height: '180px', fontFamily: 'monospace', fontSize: '11px', boxSizing: 'border-box' }
+      }),
+      React.createElement('button', { style: buttonStyle, onClick: () => applyText(draft) }, '適用')
+    ),
+
+    message && React.createElement('div', { style: { color: '#b91c1c', fontSize: '11px', marginTop: '4px' } }, message)
+  );
+}
+
+export default StylePanel;
@@ -0,0 +1,114 @@
+import React from 'react';
+
+const buttonStyle = {
+  padding: '4px 8px',
+  background: '#fff',
+  border: '1px solid #ccc',
+  borderRadius: '4px',
+  cursor: 'pointer',
+  fontSize: '11px'
+};
+
+const rowStyle = { display: 'flex', alignItems: 'center', gap: '6px', marginBottom: '4px' };
+const labelStyle = { fontSize: '11px', width: '110px' };
+const checkStyle = { display: 'flex', alignItems: 'center', gap: '4px', fontSize: '11px' };
+
+/**
+ * 点群の地表点から作る地表モデル（地表面メッシュ・等高線・管の深さの基準）のパネル。
+ * terrainInfo は作成済みの地表モデルの要約 { source, pointCount, cols, rows, cellSize }（未作成なら null）。
+ */
+function TerrainPanel({
+  style,
+  hasPoints,
+  groundElevation,
+  onGroundElevationChange,
+  cellSize,
+  onCellSizeChange,
+  onBuild,
+  terrainInfo,
+  showSurface,
+  onToggleSurface,
+  opacity,
+  onOpacityChange,
+  showContours,
+  onToggleContours,
+  contourInterval,
+  onContourIntervalChange,
+  hangPipes,
+  onToggleHangPipes
+}) {
+  return React.createElement(
+    'div',
+    { style },
+    React.createElement('div', { style: { fontWeight: 700, marginBottom: '6px' } }, '地表面'),
+    !hasPoints && React.createElement('div', { style: { fontSize: '11px', color: '#666' } },
+      'LAS ファイルを読み込むと地表モデルを作れます（GeoJSON と同じ座標系の点群）。'),
+
+    hasPoints && React.createElement(
+      'div',
+      null,
+      React.createElement('div', { style: rowStyle },
+        React.createElement('label', { style: labelStyle }, 'Y=0 の標高 (m)'),
+        React.createElement('input', {
+          type: 'number',
+          step: '0.1',
+          value: groundElevation,
+          onChange: (e) => onGroundElevationChange(e.target.value),
+          style: { width: '70px', fontSize: '11px' }
+        })
+      ),
+      React.createElement('div', { style: rowStyle },
+        React.createElement('label', { style: labelStyle }, '格子の大きさ (m)'),
+        React.createElement('input', {
+          type: 'number',
+          step: '0.5',
+          min: 0.1,
+          value: cellSize,
+          onChange: (e) => onCellSizeChange(e.target.value),
+          style: { width: '70px', fontSize: '11px' }
+        }),
+        React.createElement('button', { style: buttonStyle, onClick: onBuild }, '作成')
+      )
+    ),
+
+    terrainInfo && React.createElement(
+      'div',
+      null,
+      React.createElement('div', { style: { fontSize: '11px', color: '#666', marginBottom: '4px' } },
+        `${terrainInfo.source === 'ground' ? '地表分類の点' : 'セルごとの最低点'} ${terrainInfo.pointCount.toLocaleString()} 点、${terrainInfo.cols}×${terrainInfo.rows} 格子（${terrainInfo.cellSize} m）`),
+      React.createElement('div', { style: rowStyle },
+        React.createElement('label', { style: { ...checkStyle, width: '110px' } },
+          React.createElement('input', { type: 'checkbox', checked: showSurface, onChange: onToggleSurface }),
+          '地表面を表示'),
+        React.createElement('input', {
+          type: 'range',
+          min: 0.1,
+          max: 1,
+          step: 0.05,
+          value: opacity,
+          disabled: !showSurface,
+          onChange: (e) => onOpacityChange(Number(e.target.value)),
+          style: { flex: 1 }
+        })
+      ),
+      React.createElement('div', { style: rowStyle },
+        React.createElement('label', { style: { ...checkStyle, width: '110px' } },
+          React.createElement('input', { type: 'checkbox', checked: showContours, onChange: onToggleContours }),
+          '等高線 (m 間隔)'),
+        React.createElement('input', {
+          type: 'number',
+          step: '0.5',
+          min: 0.1,
+          value: contourInterval,
+          onChange: (e) => onContourIntervalChange(e.target.value),
+          style: { width: '70px', fontSize: '11px' }
+        })
+      ),
+      React.createElement('label', { style: checkStyle },
+        React.createElement('input', { type: 'checkbox', checked: hangPipes, onChange: onToggleHangPipes }),
+        '管の深さを地表面から測る')
+    )
+  );
+}
+
+export default TerrainPanel;
@@ -1,22 +1,138 @@
 import React, { useEffect, useRef, useState } from 'react';
 import * as THREE from 'three';
 import { OrbitControls } from 'three/examples/jsm/controls/OrbitControls.js';
+import { TransformControls } from 'three/examples/jsm/controls/TransformControls.js';
 import { LASLoader } from '@loaders.gl/las';
 import Stats from 'three-stats';
-import { addPipesFromGeoJSON } from '../lib/pipes.js';
-import { buildPipesGroupFromGeoJSON, rebuildPipeMeshFromUserData } from '../lib/pipes.js';
+import {
+  buildPipesGroupFromGeoJSON,
+  rebuildPipeMeshFromUserData,
+  forEachPipe,
+  pipeFromIntersection,
+  getPipeColor,
+  getPipeBounds,
+  getPipeSection,
+  restylePipes,
+  setPipesDepthCorrect,
+  setPipesGroundSurface,
+  buildFeaturePipes,
+  removePipe,
+  restorePipe
+} from '../lib/pipes.js';
+import { buildRoundTripGeoJSON, featureList } from '../lib/geojsonExport.js';
+import { mapGeoJSONPositions } from '../lib/crs.js';
+import { DEFAULT_STYLE, withLayerColor } from '../lib/style.js';
+import StylePanel from './StylePanel.js';
+import DiagnosticsPanel from './DiagnosticsPanel.js';
+import NetworkPanel from './NetworkPanel.js';
+import GradientPanel from './GradientPanel.js';
+import ClashPanel from './ClashPanel.js';
+import { DEFAULT_CLASH_OPTIONS, detectClashes } from '../lib/clash.js';
+import CoverPanel from './CoverPanel.js';
+import TerrainPanel from './TerrainPanel.js';
+import {
+  COVER_COLORS,
+  DEFAULT_COVER_OPTIONS,
+  DEFAULT_TERRAIN_OPTIONS,
+  analyzeCover,
+  buildTerrainGrid,
+  countCoverStatus,
+  createContourLines,
+  createTerrainMesh,
+  localizePointCloud,
+  setTerrainOpacity,
+  terrainSurface
+} from '../lib/terrain.js';
+import { DEFAULT_GRADIENT_OPTIONS, GRADIENT_COLORS, analyzeGradients, countGradientStatus, gradientArrows } from '../lib/gradient.js';
+import { DEFAULT_SNAP_TOLERANCE, buildTopology, findDanglingEnds, findIslands, traceNetwork, tracePipeRun } from '../lib/topology.js';
+import { createArrowMarkers, createCenterlineOverlay, createPointMarkers, createPolylineOverlay, disposeOverlay } from '../lib/overlay.js';
+import SectionPanel from './SectionPanel.js';
+import SectionView from './SectionView.js';
+import { crossSection, sectionToSVG } from '../lib/section.js';
+import ProfileView from './ProfileView.js';
+import { longitudinalProfile, profileToSVG } from '../lib/profile.js';
+import XrayPanel from './XrayPanel.js';
+import { clippingPlanes } from '../lib/clipping.js';
+import GeometryEditPanel from './GeometryEditPanel.js';
+import {
+  DEFAULT_EDIT_OPTIONS,
+  addLinePipe,
+  captureLine,
+  editableVertices,
+  lineItems,
+  mergeAtVertex,
+  moveVertex,
+  nearestVertex,
+  restoreLine,
+  snapVertex,
+  splitPipe,
+  vertexPosition
+} from '../lib/geometryEdit.js';
+import { writeProfileLength, writeProfileValue } from '../lib/importProfile.js';
+import HistoryPanel from './HistoryPanel.js';
+import { createHistory } from '../lib/history.js';
+import SelectionPanel from './SelectionPanel.js';
+import BatchEditPanel from './BatchEditPanel.js';
+import { createHighlighter, pipesByLayer, pipesByProperty, pipesByQuery, pipesInRect, summarizeProperties } from '../lib/selection.js';
+import AttributeTable from './AttributeTable.js';
+import QueryPanel from './QueryPanel.js';
+import { compileQuery, loadSavedViews, removeSavedView, saveView } from '../lib/query.js';
+import ChangeSetPanel from './ChangeSetPanel.js';
+import { applyChangeSet, buildChangeSet, featureIdOf, loadAuthor, saveAuthor } from '../lib/changeSet.js';
 
-function ThreeView({ geojsonData, geojsonUrl = '/sample.geojson' }) {
+const TRACE_LABELS = { upstream: '上流', downstream: '下流', connected: '接続範囲' };
+
+// 地表（床・点群）の通常の不透明度。透視表示ではこれに倍率を掛ける
+const FLOOR_OPACITY = 0.95;
+const POINT_CLOUD_OPACITY = 0.8;
+
+const GEOMETRY_HINTS = {
+  vertex: '動かす頂点の近くで管をクリック',
+  split: '分割する位置で管をクリック',
+  merge: '結合する頂点の近くで管をクリック',
+  draw: '地表をクリックして頂点を追加'
+};
+
+/**
+ * レイヤーごとの代表色（最初に見つかった要素の色）を集める。
+ */
+function layerColors(group) {
+  const colorMap = {};
+  forEachPipe(group, obj => {
+    const layer = obj.userData?.layer || '';
+    if (layer && !colorMap[layer]) colorMap[layer] = '#' + getPipeColor(obj).getHexString();
+  });
+  return colorMap;
+}
+
+function collectPipes(group) {
+  const items = [];
+  forEachPipe(group, item => items.push(item));
+  return items;
+}
+
+function ThreeView({ geojsonData, sourceGeoJSON, geojsonUrl = '/sample.geojson', buildOptions, crsFrame }) {
   const containerRef = useRef(null);
   const [error, setError] = useState(null);
   const [selectedProps, setSelectedProps] = useState(null);
+  // 属性パネルに出す管（複数選択では最後に選んだ管）
   const selectedMeshRef = useRef(null);
+  // 複数選択。範囲選択の間は marqueeRef が true（視点のドラッグ操作を止める）
+  const selectionRef = useRef([]);
+  // 選択中の管と属性パネルに出す管（属性テーブルの行の強調用）
+  const [selection, setSelection] = useState({ items: [], primary: null });
+  const [batchRows, setBatchRows] = useState(null);
+  const marqueeRef = useRef(false);
+  const [marquee, setMarquee] = useState(false);
 
+  // 現在のスタイル（凡例・編集用）。シーン再構築時は ref の値で構築する
+  const [style, setStyle] = useState(buildOptions?.style ?? DEFAULT_STYLE);
+  const styleRef = useRef(style);
   // レイヤー → 色 のマップ（UI で編集可能）
   const [layerColorMap, setLayerColorMap] = useState({});
   // レイヤー → 表示状態 のマップ（チェックボックス用）
   const [layerVisibilityMap, setLayerVisibilityMap] = useState({});
-  // 編集済みメッシュのIDを追跡
+  // 編集済みメッシュの uuid を追跡
   const [editedMeshIds, setEditedMeshIds] = useState(new Set());
   // 編集済みのみ表示フラグ
   const [showOnlyEdited, setShowOnlyEdited] = useState(false);
@@ -28,10 +144,103 @@ function ThreeView({ geojsonData, geojsonUrl = '/sample.geojson' }) {
   const pointCloudRef = useRef(null);
   const pipesGroupRef = useRef(null);
   const originalGeoJSONRef = useRef(null);
-  const sceneRef = useRef(null);
+  // 視点移動（flyTo）など、シーン側の操作
+  const viewRef = useRef(null);
+  // 取込時の診断結果
+  const [diagnostics, setDiagnostics] = useState([]);
+  // 管網の接続解析
+  const topologyRef = useRef(null);
+  const islandsRef = useRef([]);
+  const [snapTolerance, setSnapTolerance] = useState(String(DEFAULT_SNAP_TOLERANCE));
+  const [network, setNetwork] = useState(null);
+  const [networkMessage, setNetworkMessage] = useState(null);
+  const [showDangling, setShowDangling] = useState(false);
+  // 勾配解析
+  const gradientRef = useRef([]);
+  const [gravityLayers, setGravityLayers] = useState(DEFAULT_GRADIENT_OPTIONS.gravityLayers.join(', '));
+  const [minSlopePermil, setMinSlopePermil] = useState(String(DEFAULT_GRADIENT_OPTIONS.minSlope * 1000));
+  const [gradientCounts, setGradientCounts] = useState(null);
+  const [showGradientColors, setShowGradientColors] = useState(true);
+  const [showGradientArrows, setShowGradientArrows] = useState(true);
+  // 離隔・干渉チェック
+  const clashesRef = useRef([]);
+  const [clashRules, setClashRules] = useState(DEFAULT_CLASH_OPTIONS.rules.map(r => ({ ...r, clearance: String(r.clearance) })));
+  const [defaultClearance, setDefaultClearance] = useState(String(DEFAULT_CLASH_OPTIONS.defaultClearance));
+  const [clashList, setClashList] = useState(null);
+  // 点群から作る地表モデル（点群はローカル座標 [x, y, 標高] で保持）
+  const terrainPointsRef = useRef(null);
+  const terrainRef = useRef(null);
+  const [groundElevation, setGroundElevation] = useState(String(buildOptions?.elevationOrigin ?? 0));
+  const [terrainCellSize, setTerrainCellSize] = useState(String(DEFAULT_TERRAIN_OPTIONS.cellSize));
+  const [terrainInfo, setTerrainInfo] = useState(null);
+  // 地表面メッシュ・等高線（標高のまま作り、グループごと Y=0 の標高だけ下げる）
+  const [terrainGroup] = useState(() => new THREE.Group());
+  const [showTerrainSurface, setShowTerrainSurface] = useState(true);
+  const [terrainOpacity, setTerrainOpacityState] = useState(0.6);
+  const [showContours, setShowContours] = useState(false);
+  const [contourInterval, setContourInterval] = useState('1');
+  // 管の深さを地表面から測る（構築オプション groundSurface）
+  const [hangPipes, setHangPipes] = useState(false);
+  const groundSurfaceRef = useRef(null);
+  // 点群の地表に対する土被りチェック
+  const coverRef = useRef([]);
+  // 横断面の作図。groundPickRef が設定されている間は、クリックを地表の位置の指定として渡す
+  const groundPickRef = useRef(null);
+  const sectionPointsRef = useRef([]);
+  const [sectionMode, setSectionMode] = useState(false);
+  const [sectionMessage, setSectionMessage] = useState(null);
+  const [section, setSection] = useState(null);
+  // 縦断図（区間表の行から管へ移動するため、区間の管を ref に持つ）
+  const profileItemsRef = useRef([]);
+  const [profile, setProfile] = useState(null);
+  const [coverRules, setCoverRules] = useState(DEFAULT_COVER_OPTIONS.rules.map(r => ({ ...r, minCover: String(r.minCover) })));
+  const [defaultMinCover, setDefaultMinCover] = useState(String(DEFAULT_COVER_OPTIONS.defaultMinCover));
+  const [coverCounts, setCoverCounts] = useState(null);
+  // 透視表示。シーン再構築時は ref の値（管の深度書き込み・切断面・地表の不透明度の倍率）で構築する
+  const [xray, setXray] = useState(false);
+  const depthCorrectRef = useRef(false);
+  const clipPlanesRef = useRef([]);
+  const groundOpacityRef = useRef(1);
+  const [groundOpacity, setGroundOpacity] = useState(0.3);
+  const [clipHeightEnabled, setClipHeightEnabled] = useState(false);
+  const [clipHeight, setClipHeight] = useState(0);
+  const [clipHeightRange, setClipHeightRange] = useState([-5, 1]);
+  const [clipBoxEnabled, setClipBoxEnabled] = useState(false);
+  const [clipBoxSize, setClipBoxSize] = useState('20');
+  const clipBoxCenterRef = useRef(new THREE.Vector3());
+  // 形状編集。pipePickRef が設定されている間は、管のクリックを選択の代わりにクリック位置とともに渡す
+  const pipePickRef = useRef(null);
+  const [geometryMode, setGeometryMode] = useState(null);
+  const [geometryMessage, setGeometryMessage] = useState(null);
+  const [editSnapTolerance, setEditSnapTolerance] = useState(String(DEFAULT_EDIT_OPTIONS.snapTolerance));
+  const editSnapToleranceRef = useRef(DEFAULT_EDIT_OPTIONS.snapTolerance);
+  const drawPointsRef = useRef([]);
+  const [drawCount, setDrawCount] = useState(0);
+  const [drawProps, setDrawProps] = useState({ layer: '', diameter: '200', depth: '1.2' });
+  // 編集履歴（属性・レイヤー色・表示・形状）。操作は ref と state の更新関数だけで戻せるように作る
+  const [history] = useState(() => createHistory());
+  const [historyEntries, setHistoryEntries] = useState([]);
+  const [historyMessage, setHistoryMessage] = useState(null);
+  // 属性テーブルの配置（'bottom' | 'right'、閉じているときは null）と行
+  const [tableDock, setTableDock] = useState(null);
+  const [tableItems, setTableItems] = useState([]);
+  // 属性・形状を変えるたびに増やす（属性テーブル・絞り込みの再評価用）
+  const [dataVersion, setDataVersion] = useState(0);
+  // 属性の絞り込み（queryText は入力中の式、visibilityQuery は表示に反映している式）
+  const [queryText, setQueryText] = useState('');
+  const [visibilityQuery, setVisibilityQuery] = useState('');
+  const [queryError, setQueryError] = useState(null);
+  const [queryCounts, setQueryCounts] = useState(null);
+  const [savedViews, setSavedViews] = useState(() => loadSavedViews());
+  // 変更セット: 要素番号 → 最後に編集した { author, time }
+  const editLogRef = useRef(new Map());
+  const [author, setAuthor] = useState(() => loadAuthor());
+  const authorRef = useRef(author);
+  const [changeSetMessage, setChangeSetMessage] = useState(null);
+  const [changeSetConflicts, setChangeSetConflicts] = useState([]);
 
   // LASファイルを読み込んで点群データを表示する関数
-  const loadPointCloud = async (file, scene) => {
+  const loadPointCloud = async (file) => {
     if (!file) return;
     
     setIsLoadingPointCloud(true);
@@ -42,7 +251,7 @@ function ThreeView({ geojsonData, geojsonUrl = '/sample.geojson' }) {
       const geometry = await LASLoader.parse(arrayBuffer, {
         las: {
           shape: 'mesh',
-          fp64: false,
+          fp64: true,
           skip: skipPoints,
           colorDepth: 16
         }
@@ -76,9 +285,19 @@ function ThreeView({ geojsonData, geojsonUrl = '/sample.geojson' }) {
           throw new Error('位置データの構造が予期しない形式です');
         }
         
+        // 管と同じローカル座標に合わせる（平面 X/Y → ワールド X/Z、標高 → Y）
+        const localPoints = localizePointCloud(positionArray, crsFrame);
+        terrainPointsRef.current = { points: localPoints, classifications: geometry.attributes.classification?.value ?? null };
+        clearTerrain();
+
         // 最大点数制限を適用
-        const actualPoints = Math.min(positionArray.length / 3, maxPoints);
-        const limitedArray = positionArray.slice(0, actualPoints * 3);
+        const actualPoints = Math.min(localPoints.length / 3, maxPoints);
+        const limitedArray = new Float32Array(actualPoints * 3);
+        for (let i = 0; i < actualPoints; i++) {
+          limitedArray[i * 3] = localPoints[i * 3];
+          limitedArray[i * 3 + 1] = localPoints[i * 3 + 2];
+          limitedArray[i * 3 + 2] = localPoints[i * 3 + 1];
+        }
         pointCloudGeometry.setAttribute('position', new THREE.BufferAttribute(limitedArray, 3));
         
         console.log('制限適用後の点数:', actualPoints);
@@ -124,7 +343,7 @@ function ThreeView({ geojsonData, geojsonUrl = '/sample.geojson' }) {
         size: 0.01,
         vertexColors: hasColors,
         transparent: true,
-        opacity: 0.8
+        opacity: POINT_CLOUD_OPACITY * groundOpacityRef.current
       });
       
       // 色データがない場合はデフォルト色を設定
@@ -142,14 +361,14 @@ function ThreeView({ geojsonData, geojsonUrl = '/sample.geojson' }) {
       const displayedPoints = pointCloudGeometry.attributes.position.count;
       console.log('画面に表示される点数:', displayedPoints);
       
-      // バウンディングボックスを計算して床に配置
+      // バウンディングボックスを計算
       pointCloudGeometry.computeBoundingBox();
       const box = pointCloudGeometry.boundingBox;
       const center = box.getCenter(new THREE.Vector3());
       const size = box.getSize(new THREE.Vector3());
       
-      // 点群を床に配置（Y座標を0に設定）
-      pointCloud.position.set(-center.x, -box.min.y, -center.z);
+      // 標高 groundElevation を地表 (Y=0) に合わせる
+      pointCloud.position.y = -(Number(groundElevation) || 0);
       
       console.log('Point cloud bounds:', box);
       console.log('Point cloud center:', center);
@@ -163,15 +382,10 @@ function ThreeView({ geojsonData, geojsonUrl = '/sample.geojson' }) {
       console.log('画面表示の点数:', displayedPoints);
       console.log('表示率:', totalPoints > 0 ? ((displayedPoints / totalPoints) * 100).toFixed(2) + '%' : 'N/A');
       
-      setPointCloudData(pointCloud);
+      // 管は作り直さずに、表示中のシーンの点群だけを差し替える（編集・履歴はそのまま）
       pointCloudRef.current = pointCloud;
-      
-      // 既存の床を非表示にする
-      scene.traverse(obj => {
-        if (obj.isMesh && obj.geometry && obj.geometry.type === 'PlaneGeometry') {
-          obj.visible = false;
-        }
-      });
+      viewRef.current?.setPointCloud(pointCloud);
+      setPointCloudData(pointCloud);
       
     } catch (err) {
       setError(`点群データの読み込みに失敗しました: ${err.message}`);
@@ -185,7 +399,7 @@ function ThreeView({ geojsonData, geojsonUrl = '/sample.geojson' }) {
   const handleLASFileSelect = (event) => {
     const file = event.target.files[0];
     if (file && file.name.toLowerCase().endsWith('.las')) {
-      loadPointCloud(file, sceneRef.current);
+      loadPointCloud(file);
     } else {
       setError('LASファイルを選択してください。');
     }
@@ -193,6 +407,13 @@ function ThreeView({ geojsonData, geojsonUrl = '/sample.geojson' }) {
     event.target.value = '';
   };
 
+  // 地表とみなす標高を変えたら点群・地表面の高さを合わせ直す
+  useEffect(() => {
+    const elevation = Number(groundElevation) || 0;
+    if (pointCloudRef.current) pointCloudRef.current.position.y = -elevation;
+    terrainGroup.position.y = -elevation;
+  }, [groundElevation, terrainGroup]);
+
   useEffect(() => {
     const container = containerRef.current;
     if (!container) return;
@@ -201,6 +422,7 @@ function ThreeView({ geojsonData, geojsonUrl = '/sample.geojson' }) {
     renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2));
     renderer.setSize(container.clientWidth, container.clientHeight);
     renderer.shadowMap.enabled = false;
+    renderer.clippingPlanes = clipPlanesRef.current;
     container.appendChild(renderer.domElement);
 
     // Stats.jsを初期化
@@ -214,7 +436,6 @@ function ThreeView({ geojsonData, geojsonUrl = '/sample.geojson' }) {
 
     const scene = new THREE.Scene();
     scene.background = new THREE.Color(0xf5f5f5);
-    sceneRef.current = scene;
 
     const camera = new THREE.PerspectiveCamera(60, container.clientWidth / container.clientHeight, 0.1, 100000);
     camera.position.set(0, 400, 600);
@@ -222,6 +443,103 @@ function ThreeView({ geojsonData, geojsonUrl = '/sample.geojson' }) {
     const controls = new OrbitControls(camera, renderer.domElement);
     controls.enableDamping = true;
     controls.autoRotate = false;
+    controls.enabled = !marqueeRef.current;
+
+    // 解析結果の重ね描き（名前ごとに 1 つ、差し替え時に破棄）
+    const overlays = new THREE.Group();
+    scene.add(overlays);
+
+    // 指定範囲へ視点を移動（注視点とカメラ位置を補間、視線の向きは維持）
+    let flight = null;
+    viewRef.current = {
+      setOverlay(name, object) {
+        const old = overlays.getObjectByName(name);
+        if (old) {
+          overlays.remove(old);
+          disposeOverlay(old);
+        }
+        if (object) {
+          object.name = name;
+          overlays.add(object);
+        }
+      },
+      flyTo(box) {
+        const center = box.getCenter(new THREE.Vector3());
+        const distance = Math.max(box.getSize(new THREE.Vector3()).length(), 5) * 1.5;
+        const offset = new THREE.Vector3().subVectors(camera.position, controls.target).normalize().multiplyScalar(distance);
+        flight = {
+          t: 0,
+          fromTarget: controls.target.clone(),
+          fromPosition: camera.position.clone(),
+          toTarget: center,
+          toPosition: center.clone().add(offset)
+        };
+      },
+      getTarget() {
+        return controls.target.clone();
+      },
+      setClipping(planes) {
+        renderer.clippingPlanes = planes;
+      },
+      setGroundOpacity(factor) {
+        applyFloorOpacity(factor);
+      },
+      // 点群を差し替える（前の点群は破棄する）。点群があれば床を隠す
+      setPointCloud(points) {
+        const old = scene.children.find(obj => obj.isPoints && obj !== points);
+        if (old) {
+          scene.remove(old);
+          old.geometry.dispose();
+          old.material.dispose();
+        }
+        if (points) scene.add(points);
+        floor.visible = !points;
+      },
+      setSelection(items, primary) {
+        applySelection(items, primary);
+      },
+      setControlsEnabled(enabled) {
+        controls.enabled = enabled;
+      },
+      // 頂点をギズモで動かす。onMove は移動中、onEnd は移動後に呼び、onEnd が返した位置へギズモを置き直す
+      attachGizmo(position, callbacks) {
+        gizmoCallbacks = callbacks;
+        gizmoHandle.position.copy(position);
+        gizmo.attach(gizmoHandle);
+      },
+      detachGizmo() {
+        gizmoCallbacks = null;
+        gizmo.detach();
+      }
+    };
+    // 頂点移動のギズモ（水平方向のみ）。ドラッグ中は視点操作を止め、ドラッグ直後のクリックは選択に使わない
+    const gizmo = new TransformControls(camera, renderer.domElement);
+    gizmo.showY = false;
+    gizmo.setSize(0.7);
+    const gizmoHandle = new THREE.Object3D();
+    let gizmoCallbacks = null;
+    let suppressClick = false;
+    scene.add(gizmoHandle);
+    scene.add(gizmo.getHelper());
+    gizmo.addEventListener('dragging-changed', (e) => {
+      controls.enabled = !e.value && !marqueeRef.current;
+      if (e.value) return;
+      suppressClick = true;
+      const moved = gizmoCallbacks?.onEnd(gizmoHandle.position.clone());
+      if (moved) gizmoHandle.position.copy(moved);
+    });
+    gizmo.addEventListener('objectChange', () => {
+      if (gizmo.dragging) gizmoCallbacks?.onMove(gizmoHandle.position.clone());
+    });
+
+    function updateFlight(delta) {
+      if (!flight) return;
+      flight.t = Math.min(1, flight.t + delta / 0.8);
+      const k = flight.t * flight.t * (3 - 2 * flight.t);
+      controls.target.lerpVectors(flight.fromTarget, flight.toTarget, k);
+      camera.position.lerpVectors(flight.fromPosition, flight.toPosition, k);
+      if (flight.t >= 1) flight = null;
+    }
 
     scene.add(new THREE.AmbientLight(0xffffff, 0.6));
     const dir = new THREE.DirectionalLight(0xffffff, 0.8);
@@ -231,15 +549,20 @@ function ThreeView({ geojsonData, geojsonUrl = '/sample.geojson' }) {
      // 床（点群データがない場合のみ表示）
      const floor = new THREE.Mesh(
        new THREE.PlaneGeometry(20000, 20000),
-       new THREE.MeshStandardMaterial({ color: 0xf0f0f0, roughness: 1, metalness: 0, transparent: true, opacity: 0.95, depthWrite: true, depthTest: true })
+       new THREE.MeshStandardMaterial({ color: 0xf0f0f0, roughness: 1, metalness: 0, transparent: true, opacity: FLOOR_OPACITY, depthWrite: true, depthTest: true })
      );
      floor.rotation.x = -Math.PI / 2;
      floor.position.y = 0;
      floor.renderOrder = -1;
-     // 点群データがない場合のみ床を表示
-     if (!pointCloudData) {
-       scene.add(floor);
+     // 透視表示で地表を透かすときは、下の管を隠さないよう深度を書き込まない
+     function applyFloorOpacity(factor) {
+       floor.material.opacity = FLOOR_OPACITY * factor;
+       floor.material.depthWrite = factor >= 1;
      }
+     applyFloorOpacity(groundOpacityRef.current);
+     // 点群データがない場合のみ床を表示
+     floor.visible = !pointCloudRef.current;
+     scene.add(floor);
 
     // 軸非表示、グリッドのみ
     // scene.add(new THREE.AxesHelper(200));
@@ -247,27 +570,24 @@ function ThreeView({ geojsonData, geojsonUrl = '/sample.geojson' }) {
 
     const raycaster = new THREE.Raycaster();
     const mouse = new THREE.Vector2();
-    let highlighted = null;
-    let originalMaterial = null;
+    const highlighter = createHighlighter();
 
-    function clearHighlight() {
-      if (highlighted && originalMaterial) {
-        highlighted.material = originalMaterial;
-      }
-      highlighted = null;
-      originalMaterial = null;
-    }
-
-    function setHighlight(mesh) {
-      if (highlighted === mesh) return;
-      clearHighlight();
-      if (mesh) {
-        highlighted = mesh;
-        originalMaterial = mesh.material;
-        mesh.material = originalMaterial.clone();
-        mesh.material.emissive = new THREE.Color(0xffff00);
-        mesh.material.emissiveIntensity = 0.6;
-      }
+    // 選択を items に置き換える（primary は属性パネルに出す管、省略時は最後の管）
+    function applySelection(items, primary = items[items.length - 1] ?? null) {
+      highlighter.set(items);
+      selectionRef.current = items;
+      selectedMeshRef.current = primary;
+      setSelectedProps(primary ? { ...(primary.userData?.properties || {}) } : null);
+      setSelection({ items, primary });
+      setBatchRows(items.length > 1 ? summarizeProperties(items) : null);
+    }
+
+    // 地表の位置（地表面メッシュがあればその上、なければ Y=0 の面）
+    function pickGround() {
+      const surface = terrainGroup.getObjectByName('surface');
+      const hit = surface ? raycaster.intersectObject(surface, false)[0] : null;
+      if (hit) return hit.point;
+      return raycaster.ray.intersectPlane(new THREE.Plane(new THREE.Vector3(0, 1, 0), 0), new THREE.Vector3());
     }
 
     function onClick(e) {
@@ -275,22 +595,78 @@ function ThreeView({ geojsonData, geojsonUrl = '/sample.geojson' }) {
       mouse.x = ((e.clientX - rect.left) / rect.width) * 2 - 1;
       mouse.y = -((e.clientY - rect.top) / rect.height) * 2 + 1;
       raycaster.setFromCamera(mouse, camera);
-       const intersects = raycaster.intersectObjects(scene.children, true)
-         .filter(hit => hit.object && hit.object.isMesh && (hit.object.geometry?.type === 'CylinderGeometry' || hit.object.userData?.arcData));
-      if (intersects.length > 0) {
-        const mesh = intersects[0].object;
-        setHighlight(mesh);
-        selectedMeshRef.current = mesh;
-        setSelectedProps({ ...(mesh.userData?.properties || {}) });
-      } else {
-        clearHighlight();
-        selectedMeshRef.current = null;
-        setSelectedProps(null);
+      if (suppressClick) {
+        suppressClick = false;
+        return;
+      }
+      if (groundPickRef.current) {
+        const point = pickGround();
+        if (point) groundPickRef.current(point);
+        return;
+      }
+      // 切断面で切り取られた部分は選ばない
+      const pipeHit = raycaster.intersectObjects(scene.children, true)
+        .filter(hit => renderer.clippingPlanes.every(plane => plane.distanceToPoint(hit.point) >= 0))
+        .find(hit => pipeFromIntersection(hit));
+      if (pipePickRef.current) {
+        if (pipeHit) pipePickRef.current(pipeFromIntersection(pipeHit), pipeHit.point);
+        return;
+      }
+      // Shift+クリックは選択に追加・選択から外す
+      const current = selectionRef.current;
+      if (pipeHit) {
+        const mesh = pipeFromIntersection(pipeHit);
+        if (!e.shiftKey) applySelection([mesh]);
+        else if (current.includes(mesh)) applySelection(current.filter(item => item !== mesh));
+        else applySelection([...current, mesh]);
+      } else if (!e.shiftKey) {
+        applySelection([]);
       }
     }
 
     renderer.domElement.addEventListener('click', onClick);
 
+    // 範囲選択（ドラッグした矩形に中心が入る管を選ぶ。Shift で追加）
+    let marqueeDrag = null;
+    function marqueeCorners(e) {
+      const rect = renderer.domElement.getBoundingClientRect();
+      const toNdc = (x, y) => [((x - rect.left) / rect.width) * 2 - 1, -((y - rect.top) / rect.height) * 2 + 1];
+      return [...toNdc(marqueeDrag.x, marqueeDrag.y), ...toNdc(e.clientX, e.clientY)];
+    }
+    function onPointerDown(e) {
+      if (!marqueeRef.current || e.button !== 0) return;
+      const box = document.createElement('div');
+      Object.assign(box.style, { position: 'absolute', border: '1px dashed #2563eb', background: 'rgba(37,99,235,0.1)', pointerEvents: 'none' });
+      container.appendChild(box);
+      marqueeDrag = { x: e.clientX, y: e.clientY, box };
+      onPointerMove(e);
+    }
+    function onPointerMove(e) {
+      if (!marqueeDrag) return;
+      const rect = container.getBoundingClientRect();
+      Object.assign(marqueeDrag.box.style, {
+        left: `${Math.min(marqueeDrag.x, e.clientX) - rect.left}px`,
+        top: `${Math.min(marqueeDrag.y, e.clientY) - rect.top}px`,
+        width: `${Math.abs(e.clientX - marqueeDrag.x)}px`,
+        height: `${Math.abs(e.clientY - marqueeDrag.y)}px`
+      });
+    }
+    function onPointerUp(e) {
+      if (!marqueeDrag) return;
+      const dragged = Math.hypot(e.clientX - marqueeDrag.x, e.clientY - marqueeDrag.y) > 4;
+      if (dragged) {
+        const items = pipesInRect(pipesGroupRef.current, camera, marqueeCorners(e), renderer.clippingPlanes);
+        const current = e.shiftKey ? selectionRef.current : [];
+        applySelection([...current, ...items.filter(item => !current.includes(item))]);
+        suppressClick = true;
+      }
+      marqueeDrag.box.remove();
+      marqueeDrag = null;
+    }
+    renderer.domElement.addEventListener('pointerdown', onPointerDown);
+    window.addEventListener('pointermove', onPointerMove);
+    window.addEventListener('pointerup', onPointerUp);
+
     // 矢印キー速度をさらに下げる
     const keyState = new Set();
     function onKeyDown(e) { keyState.add(e.key); }
@@ -312,10 +688,12 @@ function ThreeView({ geojsonData, geojsonUrl = '/sample.geojson' }) {
       if (moved) controls.update();
     }
 
-     // 点群データをシーンに追加
-     if (pointCloudData) {
-       scene.add(pointCloudData);
+     // 点群は作り直さずに引き継ぐ
+     if (pointCloudRef.current) {
+       scene.add(pointCloudRef.current);
      }
+     // 地表面は作り直さずに引き継ぐ
+     scene.add(terrainGroup);
 
      // 入力データの取り扱い: geojsonData が優先、無ければ geojsonUrl からフェッチ（後方互換）
      let cancelled = false;
@@ -323,7 +701,29 @@ function ThreeView({ geojsonData, geojsonUrl = '/sample.geojson' }) {
        // 元のGeoJSONを保存（エクスポート用）
        originalGeoJSONRef.current = json;
        
-       const { group, bounds } = buildPipesGroupFromGeoJSON(json);
+       const { group, bounds, diagnostics } = buildPipesGroupFromGeoJSON(json, {
+         ...buildOptions,
+         style: styleRef.current,
+         groundSurface: groundSurfaceRef.current,
+         depthCorrect: depthCorrectRef.current
+       });
+       setDiagnostics(diagnostics);
+       // 接続解析は構築し直したグループに対してやり直す
+       topologyRef.current = null;
+       setNetwork(null);
+       gradientRef.current = [];
+       setGradientCounts(null);
+       clashesRef.current = [];
+       setClashList(null);
+       coverRef.current = [];
+       setCoverCounts(null);
+       // 履歴・選択・編集済みの印は構築し直す前の管を指すため捨てる
+       history.clear();
+       setHistoryEntries([]);
+       applySelection([]);
+       setEditedMeshIds(new Set());
+       editLogRef.current = new Map();
+       setDataVersion(v => v + 1);
        if (group) {
          pipesGroupRef.current = group;
          
@@ -331,21 +731,9 @@ function ThreeView({ geojsonData, geojsonUrl = '/sample.geojson' }) {
          
          scene.add(group);
 
-        const colorMap = {};
+        const colorMap = layerColors(group);
         const visibilityMap = {};
-         group.traverse(obj => {
-           if (obj.isMesh && obj.userData?.layer !== undefined) {
-             const layer = obj.userData?.layer || '';
-             if (layer) {
-               if (!colorMap[layer]) {
-                 colorMap[layer] = '#' + obj.material.color.getHexString();
-               }
-               if (!(layer in visibilityMap)) {
-                 visibilityMap[layer] = true; // 初期は表示
-               }
-             }
-           }
-         });
+        for (const layer of Object.keys(colorMap)) visibilityMap[layer] = true; // 初期は表示
         if (Object.keys(colorMap).length > 0) setLayerColorMap(colorMap);
         if (Object.keys(visibilityMap).length > 0) setLayerVisibilityMap(visibilityMap);
 
@@ -394,6 +782,7 @@ function ThreeView({ geojsonData, geojsonUrl = '/sample.geojson' }) {
       stats.begin();
       
       updateCameraByKeys(delta);
+      updateFlight(delta);
       controls.update();
       renderer.render(scene, camera);
       
@@ -404,11 +793,18 @@ function ThreeView({ geojsonData, geojsonUrl = '/sample.geojson' }) {
 
     return () => {
       cancelled = true;
+      viewRef.current = null;
       cancelAnimationFrame(rafId);
       window.removeEventListener('resize', onResize);
       window.removeEventListener('keydown', onKeyDown);
       window.removeEventListener('keyup', onKeyUp);
       renderer.domElement.removeEventListener('click', onClick);
+      renderer.domElement.removeEventListener('pointerdown', onPointerDown);
+      window.removeEventListener('pointermove', onPointerMove);
+      window.removeEventListener('pointerup', onPointerUp);
+      marqueeDrag?.box.remove();
+      gizmo.detach();
+      gizmo.dispose();
       controls.dispose();
       renderer.dispose();
       
@@ -417,6 +813,8 @@ function ThreeView({ geojsonData, geojsonUrl = '/sample.geojson' }) {
         container.removeChild(stats.dom);
       }
       
+      scene.remove(terrainGroup);
+      scene.remove(gizmo.getHelper());
       scene.traverse(obj => {
         if (obj.isMesh) {
           obj.geometry?.dispose();
@@ -428,110 +826,232 @@ function ThreeView({ geojsonData, geojsonUrl = '/sample.geojson' }) {
         container.removeChild(renderer.domElement);
       }
     };
-  }, [geojsonData, geojsonUrl, pointCloudData]);
+  }, [geojsonData, geojsonUrl, buildOptions, terrainGroup, history]);
+
+  // 表示状態（レイヤーの表示・編集済みのみ表示・属性の絞り込み）を管に反映。属性を変えたら絞り込みを評価し直す
+  useEffect(() => {
+    const test = compileQuery(visibilityQuery);
+    let matches = 0;
+    let visible = 0;
+    forEachPipe(pipesGroupRef.current, obj => {
+      const layerVisible = layerVisibilityMap[obj.userData?.layer || ''] !== false;
+      const matched = !test || test(obj.userData.properties);
+      if (matched) matches++;
+      obj.visible = layerVisible && (!showOnlyEdited || editedMeshIds.has(obj.uuid)) && matched;
+      if (obj.visible) visible++;
+    });
+    setQueryCounts(test ? { matches, visible } : null);
+  }, [layerVisibilityMap, showOnlyEdited, editedMeshIds, visibilityQuery, dataVersion]);
+
+  // 属性テーブルの行は開いている間だけ集め直す
+  useEffect(() => {
+    setTableItems(tableDock ? collectPipes(pipesGroupRef.current) : []);
+  }, [tableDock, dataVersion]);
+
+  // Ctrl+Z / Ctrl+Y（Ctrl+Shift+Z）で元に戻す・やり直す。入力欄ではブラウザの操作に任せる
+  useEffect(() => {
+    function onKeyDown(e) {
+      if (!(e.ctrlKey || e.metaKey) || e.target.closest?.('input, textarea, select')) return;
+      const key = e.key.toLowerCase();
+      const step = key === 'y' || (key === 'z' && e.shiftKey) ? 'redo' : key === 'z' ? 'undo' : null;
+      if (!step) return;
+      e.preventDefault();
+      viewRef.current?.detachGizmo();
+      if (history[step]()) setHistoryEntries(history.entries);
+    }
+    window.addEventListener('keydown', onKeyDown);
+    return () => window.removeEventListener('keydown', onKeyDown);
+  }, [history]);
 
   // レイヤー表示切り替え
   function toggleLayerVisibility(layer) {
-    const group = pipesGroupRef.current;
-    if (!group) return;
-    
-    const newVisibility = !layerVisibilityMap[layer];
-    setLayerVisibilityMap(prev => ({ ...prev, [layer]: newVisibility }));
-    
-     group.traverse(obj => {
-       if (obj.isMesh && obj.userData?.layer === layer) {
-         obj.visible = newVisibility && (!showOnlyEdited || editedMeshIds.has(obj.id));
-       }
-     });
+    const next = layerVisibilityMap[layer] === false;
+    const apply = (visible) => () => setLayerVisibilityMap(prev => ({ ...prev, [layer]: visible }));
+    apply(next)();
+    record({ label: `${layer || '(レイヤー名なし)'} を${next ? '表示' : '非表示'}`, undo: apply(!next), redo: apply(next) });
+  }
+
+  // 属性の絞り込みを表示に反映（空の式は解除）。不正な式は反映せずに知らせる
+  function applyQuery(text = queryText) {
+    try {
+      compileQuery(text);
+    } catch (e) {
+      setQueryError(e.message);
+      return;
+    }
+    setQueryError(null);
+    const before = visibilityQuery;
+    const next = text.trim();
+    setQueryText(next);
+    if (next === before) return;
+    const apply = (query) => () => {
+      setVisibilityQuery(query);
+      setQueryText(query);
+    };
+    apply(next)();
+    record({ label: next ? `絞り込み: ${next}` : '絞り込みを解除', undo: apply(before), redo: apply(next) });
+  }
+
+  function selectQueryMatches() {
+    const test = compileQuery(visibilityQuery);
+    if (test) viewRef.current?.setSelection(pipesByQuery(pipesGroupRef.current, test));
+  }
+
+  // 絞り込みとレイヤーの表示状態を名前を付けて保存
+  function saveCurrentView(name) {
+    const hiddenLayers = Object.keys(layerVisibilityMap).filter(layer => layerVisibilityMap[layer] === false);
+    setSavedViews(saveView({ name, query: visibilityQuery, hiddenLayers }));
+  }
+
+  function applySavedView(name) {
+    const view = savedViews.find(v => v.name === name);
+    if (!view) return;
+    try {
+      compileQuery(view.query);
+    } catch (e) {
+      setQueryError(`表示「${name}」: ${e.message}`);
+      return;
+    }
+    setQueryError(null);
+    const before = { query: visibilityQuery, layers: layerVisibilityMap };
+    const layers = {};
+    for (const layer of Object.keys(layerVisibilityMap)) layers[layer] = !view.hiddenLayers.includes(layer);
+    const apply = (query, map) => () => {
+      setVisibilityQuery(query);
+      setQueryText(query);
+      setLayerVisibilityMap(map);
+    };
+    apply(view.query, layers)();
+    record({ label: `表示「${name}」を適用`, undo: apply(before.query, before.layers), redo: apply(view.query, layers) });
+  }
+
+  function deleteSavedView(name) {
+    setSavedViews(removeSavedView(name));
   }
 
   // 編集済みのみ表示切り替え
   function toggleShowOnlyEdited() {
-    const group = pipesGroupRef.current;
-    if (!group) return;
-    
-    const newShowOnlyEdited = !showOnlyEdited;
-    setShowOnlyEdited(newShowOnlyEdited);
-    
-     group.traverse(obj => {
-       if (obj.isMesh && obj.userData?.layer !== undefined) {
-         const objLayer = obj.userData?.layer || '';
-         const layerVisible = layerVisibilityMap[objLayer] !== false;
-         const isEdited = editedMeshIds.has(obj.id);
-         
-         if (newShowOnlyEdited) {
-           obj.visible = layerVisible && isEdited;
-         } else {
-           obj.visible = layerVisible;
-         }
-       }
-     });
+    const next = !showOnlyEdited;
+    setShowOnlyEdited(next);
+    record({ label: next ? '編集済みのみ表示' : 'すべて表示', undo: () => setShowOnlyEdited(!next), redo: () => setShowOnlyEdited(next) });
   }
 
-
   // GeoJSONエクスポート
   function exportGeoJSON() {
     const group = pipesGroupRef.current;
     if (!group || !originalGeoJSONRef.current) return;
 
-    // 修正された属性からGeoJSONを再構築
-    const features = [];
-    group.traverse(obj => {
-      if (obj.isMesh && obj.userData?.properties) {
-        const props = obj.userData.properties;
-        
-        // パイプメッシュ（LineString）の場合
-        if (obj.geometry && obj.geometry.type === 'CylinderGeometry') {
-          const ep = obj.userData.endpoints;
-          if (ep) {
-            features.push({
-              type: 'Feature',
-              geometry: {
-                type: 'LineString',
-                coordinates: [[ep.x1, ep.y1], [ep.x2, ep.y2]]
-              },
-              properties: { ...props }
-            });
-          }
-        }
-        // 円弧メッシュ（Point with ARC）の場合
-        else if (obj.userData.arcData) {
-          const arcData = obj.userData.arcData;
-          const pos = obj.position;
-          features.push({
-            type: 'Feature',
-            geometry: {
-              type: 'Point',
-              coordinates: [pos.x, pos.z] // Y軸は高さなのでZ軸に変換
-            },
-            properties: { 
-              ...props,
-              _type: 'ARC',
-              startAngle: arcData.startAngle,
-              endAngle: arcData.endAngle
-            }
-          });
-        }
-      }
-    });
+    // 読み込んだ GeoJSON に編集した属性・頂点だけを書き戻す（編集した頂点はローカル座標から元の CRS に戻す）
+    downloadJSON(buildRoundTripGeoJSON(group, exportOptions()), 'modified-pipes.geojson');
+  }
 
-    const geojson = {
-      type: 'FeatureCollection',
-      features: features
+  function exportOptions() {
+    return {
+      source: sourceGeoJSON ?? originalGeoJSONRef.current,
+      local: originalGeoJSONRef.current,
+      inverse: crsFrame?.inverse,
+      edited: editedMeshIds
     };
+  }
 
-    // ファイルダウンロード
-    const blob = new Blob([JSON.stringify(geojson, null, 2)], { type: 'application/json' });
+  function downloadJSON(data, filename) {
+    const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
     const url = URL.createObjectURL(blob);
     const a = document.createElement('a');
     a.href = url;
-    a.download = 'modified-pipes.geojson';
+    a.download = filename;
     document.body.appendChild(a);
     a.click();
     document.body.removeChild(a);
     URL.revokeObjectURL(url);
   }
 
+  function changeAuthor(value) {
+    setAuthor(value);
+    authorRef.current = value;
+    saveAuthor(value);
+  }
+
+  // 読み込んだファイルとの差分を変更セットとして書き出す
+  function exportChangeSet() {
+    const group = pipesGroupRef.current;
+    if (!group || !originalGeoJSONRef.current) return;
+    const changeSet = buildChangeSet(group, { ...exportOptions(), log: editLogRef.current, author: authorRef.current });
+    downloadJSON(changeSet, 'changes.json');
+    setChangeSetMessage(`${changeSet.changes.length} 件の変更を書き出しました`);
+    setChangeSetConflicts([]);
+  }
+
+  // 変更セットを読み込み、今の管に当てはめる（変更した要素は変更セットの Feature から作り直す）
+  async function importChangeSet(file) {
+    const group = pipesGroupRef.current;
+    if (!group || !originalGeoJSONRef.current) return;
+    let result;
+    try {
+      result = applyChangeSet(sourceGeoJSON ?? originalGeoJSONRef.current, JSON.parse(await file.text()));
+    } catch (e) {
+      setChangeSetMessage(`変更セットを読み込めませんでした: ${e.message}`);
+      setChangeSetConflicts([]);
+      return;
+    }
+
+    // 変更セットの座標は元の CRS なので、管と同じローカル座標にしてから作る
+    const forward = crsFrame?.forward ?? (c => c);
+    const build = (feature, featureIndex) => buildFeaturePipes(mapGeoJSONPositions(feature, forward), featureIndex, group.userData.buildOptions);
+    const removed = [];
+    forEachPipe(group, item => {
+      if (result.replaced.has(item.userData.featureIndex)) removed.push(item);
+    });
+    const rebuilt = [];
+    const log = [];
+    for (const [featureIndex, { features, author: by, time }] of result.replaced) {
+      for (const feature of features) rebuilt.push(...build(feature, featureIndex));
+      log.push([featureIndex, { author: by, time }]);
+    }
+    for (const { feature, author: by, time } of result.added) {
+      const featureIndex = group.userData.featureCount++;
+      rebuilt.push(...build(feature, featureIndex));
+      log.push([featureIndex, { author: by, time }]);
+    }
+
+    const editedBefore = editedMeshIds;
+    const logBefore = new Map(editLogRef.current);
+    const apply = () => {
+      clearSelection();
+      removed.forEach(removePipe);
+      rebuilt.forEach(mesh => restorePipe(group, mesh));
+      markEdited(rebuilt);
+      // 編集者・時刻は変更セットのものを残す
+      for (const [featureIndex, entry] of log) editLogRef.current.set(featureIndex, entry);
+      invalidateAnalyses();
+    };
+    apply();
+    record({
+      label: `変更セット ${file.name} を適用（${result.applied} 件）`,
+      undo: () => {
+        clearSelection();
+        rebuilt.forEach(removePipe);
+        removed.forEach(item => restorePipe(group, item));
+        setEditedMeshIds(editedBefore);
+        editLogRef.current = new Map(logBefore);
+        invalidateAnalyses();
+      },
+      redo: apply
+    });
+
+    const features = featureList(originalGeoJSONRef.current);
+    const labelOf = (change) => {
+      const id = change.featureId ?? featureIdOf(features[change.featureIndex]);
+      return id != null ? `${id}（#${change.featureIndex}）` : `#${change.featureIndex}`;
+    };
+    setChangeSetMessage([
+      `${result.applied} 件の変更を適用しました`,
+      result.conflicts.length > 0 ? `${result.conflicts.length} 件は変更前の値が合わないため適用していません` : null,
+      result.baseMatches ? null : '変更セットを作ったときのファイルと内容が異なります'
+    ].filter(Boolean).join('。'));
+    setChangeSetConflicts(result.conflicts.map(({ change, reason }) => ({ label: labelOf(change), reason })));
+  }
+
   // パネル共通スタイル
   const panelStyle = {
     position: 'absolute',
@@ -547,32 +1067,848 @@ function ThreeView({ geojsonData, geojsonUrl = '/sample.geojson' }) {
     boxShadow: '0 2px 6px rgba(0,0,0,0.15)'
   };
 
+  // 左側のパネル列（縦に並べ、はみ出す分はスクロール）
+  const leftColumnStyle = {
+    position: 'absolute',
+    top: '10px',
+    left: '10px',
+    width: '320px',
+    maxHeight: 'calc(100% - 20px)',
+    overflowY: 'auto',
+    display: 'flex',
+    flexDirection: 'column',
+    gap: '8px'
+  };
+  const columnPanelStyle = { ...panelStyle, position: 'static', maxWidth: 'none' };
+
   function onChangeField(key, value) {
     const mesh = selectedMeshRef.current;
-    if (!mesh) return;
-    const next = { ...(mesh.userData?.properties || {}), [key]: value };
-    mesh.userData.properties = next;
-    setSelectedProps(next);
-    rebuildPipeMeshFromUserData(mesh);
+    if (mesh) changeItemProperty(mesh, key, value);
+  }
+
+  // 管 mesh の属性 key を value にし、履歴に積む（属性パネル・属性テーブルから）
+  function changeItemProperty(mesh, key, value) {
+    const before = mesh.userData?.properties || {};
+    const next = { ...before, [key]: value };
+    const wasEdited = editedMeshIds.has(mesh.uuid);
+    const apply = (props) => {
+      setItemProperties(mesh, props);
+      // 複数選択に含まれる管なら一括編集の表示も合わせる
+      if (selectionRef.current.length > 1 && selectionRef.current.includes(mesh)) setBatchRows(summarizeProperties(selectionRef.current));
+    };
+    apply(next);
     
     // 編集済みとしてマーク
-    setEditedMeshIds(prev => new Set([...prev, mesh.id]));
+    markEdited([mesh]);
+    // 同じ項目への続けての入力は 1 つの操作にまとめる
+    record({
+      label: `属性 ${key} を変更`,
+      key: `props:${mesh.uuid}:${key}`,
+      undo: () => {
+        apply(before);
+        if (!wasEdited) unmarkEdited([mesh]);
+      },
+      redo: () => {
+        apply(next);
+        markEdited([mesh]);
+      }
+    });
+  }
+
+  function setItemProperties(item, props) {
+    item.userData.properties = props;
+    rebuildPipeMeshFromUserData(item);
+    if (selectedMeshRef.current === item) setSelectedProps({ ...props });
+    setDataVersion(v => v + 1);
+  }
+
+  function clearSelection() {
+    viewRef.current?.setSelection([]);
+  }
+
+  // 属性テーブルの行を選び、その管へ視点を移す（additive なら選択に追加・選択から外す）
+  function selectTableRow(item, additive) {
+    const current = selectionRef.current;
+    if (!additive) viewRef.current?.setSelection([item]);
+    else if (current.includes(item)) viewRef.current?.setSelection(current.filter(i => i !== item));
+    else viewRef.current?.setSelection([...current, item], item);
+    if (!additive || !current.includes(item)) viewRef.current?.flyTo(getPipeBounds(item));
+  }
+
+  function toggleMarquee() {
+    const next = !marquee;
+    setMarquee(next);
+    marqueeRef.current = next;
+    viewRef.current?.setControlsEnabled(!next);
   }
 
-  // レイヤー色変更時に同レイヤーの全メッシュへ反映
+  function selectLayer(layer) {
+    viewRef.current?.setSelection(pipesByLayer(pipesGroupRef.current, layer));
+  }
+
+  function selectByProperty(key, value) {
+    viewRef.current?.setSelection(pipesByProperty(pipesGroupRef.current, key, value));
+  }
+
+  // 選択したすべての管の属性 key に value を書き込む（同じ選択・同じ項目への続けての入力は 1 つの操作）
+  function onChangeBatchField(key, value) {
+    const items = selectionRef.current;
+    if (items.length === 0) return;
+    const befores = items.map(item => item.userData.properties || {});
+    const afters = befores.map(props => ({ ...props, [key]: value }));
+    const unedited = items.filter(item => !editedMeshIds.has(item.uuid));
+    const apply = (list) => {
+      items.forEach((item, i) => setItemProperties(item, list[i]));
+      setBatchRows(summarizeProperties(selectionRef.current));
+    };
+    apply(afters);
+    markEdited(items);
+    record({
+      label: `${items.length} 件の属性 ${key} を変更`,
+      key: `batch:${items.length}:${items[0].uuid}:${key}`,
+      undo: () => {
+        apply(befores);
+        unmarkEdited(unedited);
+      },
+      redo: () => {
+        apply(afters);
+        markEdited(items);
+      }
+    });
+  }
+
+  function markEdited(items) {
+    setEditedMeshIds(prev => new Set([...prev, ...items.map(item => item.uuid)]));
+    // 要素ごとに最後に編集した人と時刻を残す（変更セット用）
+    const entry = { author: authorRef.current, time: new Date().toISOString() };
+    for (const item of items) editLogRef.current.set(item.userData.featureIndex, entry);
+  }
+
+  function unmarkEdited(items) {
+    const ids = new Set(items.map(item => item.uuid));
+    setEditedMeshIds(prev => new Set([...prev].filter(id => !ids.has(id))));
+  }
+
+  // 操作を履歴に積む（実行済みの操作を渡す）
+  function record(command) {
+    history.push(command);
+    setHistoryEntries(history.entries);
+    setHistoryMessage(null);
+  }
+
+  function undoEdit() {
+    viewRef.current?.detachGizmo();
+    if (history.undo()) setHistoryEntries(history.entries);
+  }
+
+  function redoEdit() {
+    viewRef.current?.detachGizmo();
+    if (history.redo()) setHistoryEntries(history.entries);
+  }
+
+  // 履歴の i 番目の操作の直後の状態まで戻す・やり直す
+  function jumpToHistory(index) {
+    viewRef.current?.detachGizmo();
+    const doneCount = history.entries.filter(e => e.done).length;
+    for (let n = doneCount - 1; n > index; n--) history.undo();
+    for (let n = doneCount; n <= index; n++) history.redo();
+    setHistoryEntries(history.entries);
+  }
+
+  // 選択した要素を、読み込んだ GeoJSON の Feature から作り直す（属性・形状の編集を取り消す）
+  function revertSelectedFeature() {
+    const group = pipesGroupRef.current;
+    const json = originalGeoJSONRef.current;
+    const featureIndex = selectedMeshRef.current?.userData.featureIndex;
+    if (!group || !json || featureIndex == null) return;
+    const features = json.type === 'FeatureCollection' ? (json.features ?? []) : [json];
+    const feature = features[featureIndex];
+    if (!feature) {
+      setHistoryMessage('読み込んだデータにない要素です（作図した管）');
+      return;
+    }
+
+    const current = [];
+    forEachPipe(group, item => {
+      if (item.userData.featureIndex === featureIndex) current.push(item);
+    });
+    const rebuilt = buildFeaturePipes(feature, featureIndex, group.userData.buildOptions);
+    const editedBefore = editedMeshIds;
+    const apply = () => {
+      clearSelection();
+      current.forEach(removePipe);
+      rebuilt.forEach(mesh => restorePipe(group, mesh));
+      unmarkEdited(current);
+      invalidateAnalyses();
+    };
+    apply();
+    record({
+      label: `要素 #${featureIndex} を読込時に戻す`,
+      undo: () => {
+        clearSelection();
+        rebuilt.forEach(removePipe);
+        current.forEach(item => restorePipe(group, item));
+        setEditedMeshIds(editedBefore);
+        invalidateAnalyses();
+      },
+      redo: apply
+    });
+  }
+
+  // スタイルを変更し、履歴に積む（key が同じ続けての変更は 1 つにまとめる）
+  function changeStyle(next, label, key) {
+    const before = styleRef.current;
+    applyStyle(next);
+    record({ label, key, undo: () => applyStyle(before), redo: () => applyStyle(next) });
+  }
+
+  // スタイルを差し替えて全メッシュへ反映
+  function applyStyle(next) {
+    styleRef.current = next;
+    setStyle(next);
+    const group = pipesGroupRef.current;
+    if (!group) return;
+    restylePipes(group, next);
+    setLayerColorMap(layerColors(group));
+  }
+
+  // レイヤー色変更はレイヤー一致のルールとしてスタイルに追加する
   function updateLayerColor(layer, hex) {
+    changeStyle(withLayerColor(styleRef.current, layer, hex), `レイヤー色（${layer || '(レイヤー名なし)'}）`, `color:${layer}`);
+  }
+
+  function setOverlay(name, object) {
+    if (viewRef.current) viewRef.current.setOverlay(name, object);
+    else disposeOverlay(object);
+  }
+
+  function itemsBounds(items) {
+    const box = new THREE.Box3();
+    for (const item of items) box.union(getPipeBounds(item));
+    return box;
+  }
+
+  // 接続を解析し、レイヤーごとの要約と孤立した島の一覧を作る
+  function analyzeNetwork() {
     const group = pipesGroupRef.current;
     if (!group) return;
-    setLayerColorMap(prev => ({ ...prev, [layer]: hex }));
-    const color = new THREE.Color(hex);
-    group.traverse(obj => {
-      if (obj.isMesh && obj.material && !Array.isArray(obj.material)) {
-        const objLayer = obj.userData?.layer || '';
-        if (objLayer === layer) {
-          obj.material.color = color.clone();
-        }
+    const tolerance = Number(snapTolerance);
+    const topology = buildTopology(group, { tolerance: isFinite(tolerance) && tolerance >= 0 ? tolerance : DEFAULT_SNAP_TOLERANCE });
+    const islands = findIslands(topology);
+    const dangling = findDanglingEnds(topology);
+    topologyRef.current = topology;
+
+    // 各レイヤーの最大の島を本線網とみなし、それ以外を孤立した島とする
+    const isolated = islands.filter((island, i) => i > 0 && islands[i - 1].layer === island.layer);
+    islandsRef.current = isolated;
+    setNetwork({
+      layers: [...topology.layers.entries()].map(([layer, graph]) => ({
+        layer,
+        nodes: graph.nodes.length,
+        edges: graph.edges.length,
+        islands: islands.filter(island => island.layer === layer).length,
+        dangling: dangling.filter(end => end.layer === layer).length
+      })),
+      islands: isolated.map(island => ({ layer: island.layer, count: island.items.size }))
+    });
+    setNetworkMessage(null);
+    setOverlay('network', null);
+    setOverlay('dangling', showDangling ? createPointMarkers(dangling.map(end => end.position), 0xff3b30) : null);
+  }
+
+  function traceSelected(direction) {
+    const topology = topologyRef.current;
+    const item = selectedMeshRef.current;
+    if (!topology || !item) return;
+    const items = traceNetwork(topology, item, direction);
+    setOverlay('network', createCenterlineOverlay(items, 0xff00ff));
+    setNetworkMessage(`${TRACE_LABELS[direction]}: ${items.size} 本`);
+  }
+
+  function showIsland(index) {
+    const island = islandsRef.current[index];
+    if (!island) return;
+    setOverlay('network', createCenterlineOverlay(island.items, 0xff8c00));
+    const box = itemsBounds(island.items);
+    if (!box.isEmpty()) viewRef.current?.flyTo(box);
+    setNetworkMessage(`孤立した島: ${island.items.size} 本`);
+  }
+
+  function toggleDangling() {
+    const next = !showDangling;
+    setShowDangling(next);
+    const topology = topologyRef.current;
+    setOverlay('dangling', next && topology ? createPointMarkers(findDanglingEnds(topology).map(end => end.position), 0xff3b30) : null);
+  }
+
+  // 自然流下レイヤーの勾配を解析し、色分けと矢印を表示する
+  function analyzeGradient() {
+    const group = pipesGroupRef.current;
+    if (!group) return;
+    const minSlope = Number(minSlopePermil) / 1000;
+    const results = analyzeGradients(group, {
+      gravityLayers: gravityLayers.split(',').map(l => l.trim()).filter(Boolean),
+      minSlope: isFinite(minSlope) ? minSlope : DEFAULT_GRADIENT_OPTIONS.minSlope
+    });
+    gradientRef.current = results;
+    setGradientCounts(countGradientStatus(results));
+    showGradientOverlays(results, showGradientColors, showGradientArrows);
+  }
+
+  function showGradientOverlays(results, colors, arrows) {
+    const statusOf = new Map(results.map(r => [r.item, r.status]));
+    setOverlay('gradient', colors && results.length > 0
+      ? createCenterlineOverlay(statusOf.keys(), 0, item => GRADIENT_COLORS[statusOf.get(item)])
+      : null);
+    // 矢印は最も太い管に合わせた大きさ
+    const size = results.reduce((max, r) => Math.max(max, (getPipeSection(r.item)?.width ?? 0) * 1.5), 0.3);
+    setOverlay('gradient-arrows', arrows && results.length > 0 ? createArrowMarkers(gradientArrows(results), size) : null);
+  }
+
+  function toggleGradientColors() {
+    setShowGradientColors(!showGradientColors);
+    showGradientOverlays(gradientRef.current, !showGradientColors, showGradientArrows);
+  }
+
+  function toggleGradientArrows() {
+    setShowGradientArrows(!showGradientArrows);
+    showGradientOverlays(gradientRef.current, showGradientColors, !showGradientArrows);
+  }
+
+  function flyToGradientProblem(index) {
+    const result = gradientRef.current.filter(r => r.status !== 'ok')[index];
+    if (result) viewRef.current?.flyTo(getPipeBounds(result.item));
+  }
+
+  // 離隔ルールに従って干渉を調べ、箇所に目印を置く
+  function runClashDetection() {
+    const group = pipesGroupRef.current;
+    if (!group) return;
+    const rules = clashRules
+      .filter(r => r.a.trim() && r.b.trim() && isFinite(Number(r.clearance)))
+      .map(r => ({ a: r.a.trim(), b: r.b.trim(), clearance: Number(r.clearance) }));
+    const fallback = defaultClearance.trim() === '' ? null : Number(defaultClearance);
+    const clashes = detectClashes(group, { rules, defaultClearance: isFinite(fallback) ? fallback : null });
+    clashesRef.current = clashes;
+    setClashList(clashes.map(c => ({
+      label: `#${c.a.userData.featureIndex} ${c.a.userData.layer || ''} × #${c.b.userData.featureIndex} ${c.b.userData.layer || ''}`,
+      distance: c.distance,
+      clearance: c.clearance
+    })));
+    setOverlay('clash', clashes.length > 0 ? createPointMarkers(clashes.map(c => c.point), 0xff0000, 0.4) : null);
+    setOverlay('clash-pair', null);
+  }
+
+  function showClash(index) {
+    const clash = clashesRef.current[index];
+    if (!clash) return;
+    setOverlay('clash-pair', createCenterlineOverlay([clash.a, clash.b], 0xff0000));
+    const box = new THREE.Box3().setFromCenterAndSize(clash.point, new THREE.Vector3(3, 3, 3));
+    viewRef.current?.flyTo(box);
+  }
+
+  // 地表面の表示物を名前ごとに差し替える
+  function setTerrainObject(name, object) {
+    const old = terrainGroup.getObjectByName(name);
+    if (old) {
+      terrainGroup.remove(old);
+      disposeOverlay(old);
+    }
+    if (object) {
+      object.name = name;
+      terrainGroup.add(object);
+    }
+  }
+
+  function clearTerrain() {
+    terrainRef.current = null;
+    setTerrainInfo(null);
+    setTerrainObject('surface', null);
+    setTerrainObject('contours', null);
+    setHangPipes(false);
+    updateGroundSurface(null, false);
+  }
+
+  // 管の深さを測る地表面を切り替え、読み込み済みの管をその場で配置し直す（編集と履歴は残る）
+  function updateGroundSurface(grid, hang, elevation = groundElevation) {
+    const surface = hang && grid ? terrainSurface(grid, Number(elevation) || 0) : null;
+    if (surface === groundSurfaceRef.current) return;
+    groundSurfaceRef.current = surface;
+    const group = pipesGroupRef.current;
+    if (!group) return;
+    setPipesGroundSurface(group, surface);
+    invalidateAnalyses();
+  }
+
+  function changeGroundElevation(value) {
+    setGroundElevation(value);
+    if (hangPipes) updateGroundSurface(terrainRef.current, true, value);
+  }
+
+  // 点群から地表モデルを作り、地表面・等高線を表示する
+  function buildTerrain() {
+    const source = terrainPointsRef.current;
+    if (!source) return;
+    const cellSize = Number(terrainCellSize);
+    const grid = buildTerrainGrid(source.points, source.classifications, {
+      cellSize: isFinite(cellSize) && cellSize > 0 ? cellSize : DEFAULT_TERRAIN_OPTIONS.cellSize
+    });
+    if (!grid) {
+      setError('点群に有効な点がありません。');
+      return;
+    }
+    terrainRef.current = grid;
+    setTerrainInfo({ source: grid.source, pointCount: grid.pointCount, cols: grid.cols, rows: grid.rows, cellSize: grid.cellSize });
+    setTerrainObject('surface', showTerrainSurface ? createTerrainMesh(grid, { opacity: terrainOpacity * groundOpacityRef.current }) : null);
+    setTerrainObject('contours', showContours ? createContourLines(grid, { interval: Number(contourInterval) }) : null);
+    coverRef.current = [];
+    setCoverCounts(null);
+    setOverlay('cover', null);
+    setOverlay('cover-points', null);
+    if (hangPipes) updateGroundSurface(grid, true);
+  }
+
+  function toggleTerrainSurface() {
+    const next = !showTerrainSurface;
+    setShowTerrainSurface(next);
+    const grid = terrainRef.current;
+    setTerrainObject('surface', next && grid ? createTerrainMesh(grid, { opacity: terrainOpacity * groundOpacityRef.current }) : null);
+  }
+
+  function changeTerrainOpacity(opacity) {
+    setTerrainOpacityState(opacity);
+    const mesh = terrainGroup.getObjectByName('surface');
+    if (mesh) setTerrainOpacity(mesh, opacity * groundOpacityRef.current);
+  }
+
+  function toggleContours() {
+    const next = !showContours;
+    setShowContours(next);
+    const grid = terrainRef.current;
+    setTerrainObject('contours', next && grid ? createContourLines(grid, { interval: Number(contourInterval) }) : null);
+  }
+
+  function changeContourInterval(value) {
+    setContourInterval(value);
+    const grid = terrainRef.current;
+    const interval = Number(value);
+    if (showContours && grid && interval > 0) setTerrainObject('contours', createContourLines(grid, { interval }));
+  }
+
+  // 管の深さを地表面から測るか、Y=0 から測るかを切り替える
+  function toggleHangPipes() {
+    const next = !hangPipes;
+    setHangPipes(next);
+    updateGroundSurface(terrainRef.current, next);
+  }
+
+  // 地表モデルに対して管頂の土被りを調べる
+  function runCoverCheck() {
+    const group = pipesGroupRef.current;
+    const grid = terrainRef.current;
+    if (!group || !grid) return;
+
+    const rules = coverRules
+      .filter(r => r.layer.trim() && isFinite(Number(r.minCover)))
+      .map(r => ({ layer: r.layer.trim(), minCover: Number(r.minCover) }));
+    const fallback = defaultMinCover.trim() === '' ? null : Number(defaultMinCover);
+    const results = analyzeCover(group, grid, {
+      rules,
+      defaultMinCover: isFinite(fallback) ? fallback : null,
+      groundElevation: Number(groundElevation) || 0
+    });
+    coverRef.current = results;
+    setCoverCounts(countCoverStatus(results));
+
+    const statusOf = new Map(results.map(r => [r.item, r.status]));
+    setOverlay('cover', results.length > 0
+      ? createCenterlineOverlay(statusOf.keys(), 0, item => COVER_COLORS[statusOf.get(item)])
+      : null);
+    const shallowPoints = results.flatMap(r => r.shortfalls.map(range => range.point));
+    setOverlay('cover-points', shallowPoints.length > 0 ? createPointMarkers(shallowPoints, 0xdc2626, 0.4) : null);
+  }
+
+  function flyToCoverProblem(index) {
+    const result = coverRef.current.filter(r => r.status !== 'ok')[index];
+    if (!result) return;
+    const box = result.worst
+      ? new THREE.Box3().setFromCenterAndSize(result.worst.point, new THREE.Vector3(3, 3, 3))
+      : getPipeBounds(result.item);
+    viewRef.current?.flyTo(box);
+  }
+
+  // 横断面の作図を始める・やめる
+  function toggleSectionMode() {
+    const next = !sectionMode;
+    if (next && geometryMode) changeGeometryMode(geometryMode);
+    setSectionMode(next);
+    sectionPointsRef.current = [];
+    groundPickRef.current = next ? addSectionPoint : null;
+    setSectionMessage(next ? '地表の始点をクリック' : null);
+    if (next) setOverlay('section-line', null);
+  }
+
+  function addSectionPoint(point) {
+    const points = [...sectionPointsRef.current, point.clone()];
+    sectionPointsRef.current = points;
+    if (points.length < 2) {
+      setOverlay('section-line', createPointMarkers(points, 0x2563eb, 0.4));
+      setSectionMessage('終点をクリック');
+      return;
+    }
+
+    groundPickRef.current = null;
+    setSectionMode(false);
+    setSectionMessage(null);
+    setOverlay('section-line', createPolylineOverlay(points, 0x2563eb));
+    closeProfile();
+
+    const [start, end] = points;
+    const result = crossSection(pipesGroupRef.current, start, end, {
+      grid: terrainRef.current,
+      groundElevation: Number(groundElevation) || 0
+    });
+    setSection({
+      svg: sectionToSVG(result, { title: `横断面 L = ${result.length.toFixed(1)} m` }),
+      rows: result.crossings.map(c => ({
+        offset: c.offset,
+        layer: c.layer,
+        material: String(c.material),
+        size: c.section.kind === 'circle'
+          ? `φ${Math.round(c.section.width * 1000)}`
+          : `${Math.round(c.section.width * 1000)}×${Math.round(c.section.height * 1000)}`,
+        depth: c.depth
+      }))
+    });
+  }
+
+  function closeSection() {
+    setSection(null);
+    setOverlay('section-line', null);
+  }
+
+  // 選択した管から分岐のない範囲で前後の管をたどり、縦断図を作る
+  function openProfile() {
+    const group = pipesGroupRef.current;
+    const item = selectedMeshRef.current;
+    if (!group || !item) return;
+    if (!topologyRef.current) {
+      const tolerance = Number(snapTolerance);
+      topologyRef.current = buildTopology(group, { tolerance: isFinite(tolerance) && tolerance >= 0 ? tolerance : DEFAULT_SNAP_TOLERANCE });
+    }
+    const run = tracePipeRun(topologyRef.current, item);
+    if (run.length === 0) {
+      setSectionMessage('選択した要素は管ではありません');
+      return;
+    }
+    const result = longitudinalProfile(run, { grid: terrainRef.current, groundElevation: Number(groundElevation) || 0 });
+    profileItemsRef.current = result.rows.map(r => r.item);
+    setOverlay('profile-run', createCenterlineOverlay(new Set(profileItemsRef.current), 0x2563eb));
+    closeSection();
+    setSectionMessage(null);
+    setProfile({
+      svg: profileToSVG(result, { title: `縦断面 ${item.userData.layer || ''} L = ${result.length.toFixed(1)} m` }),
+      rows: result.rows.map(r => ({
+        label: `#${r.item.userData.featureIndex}`,
+        from: r.from,
+        to: r.to,
+        length: r.length,
+        size: !r.section
+          ? '-'
+          : r.section.kind === 'circle'
+            ? `φ${Math.round(r.section.width * 1000)}`
+            : `${Math.round(r.section.width * 1000)}×${Math.round(r.section.height * 1000)}`,
+        invert: r.invert,
+        cover: r.ground.map((g, i) => g - r.crown[i]),
+        slope: r.slope
+      }))
+    });
+  }
+
+  function closeProfile() {
+    setProfile(null);
+    setOverlay('profile-run', null);
+  }
+
+  function flyToProfileRow(index) {
+    const item = profileItemsRef.current[index];
+    if (item) viewRef.current?.flyTo(getPipeBounds(item));
+  }
+
+  function downloadSVG(svg, filename) {
+    const blob = new Blob([svg], { type: 'image/svg+xml' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+  }
+
+  // 透視表示の開始・終了（終了時は管・地表・切断面を通常の表示に戻す）
+  function toggleXray() {
+    const next = !xray;
+    setXray(next);
+    depthCorrectRef.current = next;
+    setPipesDepthCorrect(pipesGroupRef.current, next);
+    let range = clipHeightRange;
+    if (next && pipesGroupRef.current) {
+      const box = new THREE.Box3().setFromObject(pipesGroupRef.current);
+      if (!box.isEmpty()) {
+        range = [Math.floor(box.min.y) - 1, Math.max(Math.ceil(box.max.y), 0) + 1];
+        setClipHeightRange(range);
+        setClipHeight(Math.min(Math.max(clipHeight, range[0]), range[1]));
+      }
+      clipBoxCenterRef.current = viewRef.current?.getTarget() ?? clipBoxCenterRef.current;
+    }
+    applyGroundOpacity(next ? groundOpacity : 1);
+    updateClipping({ enabled: next, range });
+  }
+
+  function applyGroundOpacity(factor) {
+    groundOpacityRef.current = factor;
+    viewRef.current?.setGroundOpacity(factor);
+    if (pointCloudRef.current) pointCloudRef.current.material.opacity = POINT_CLOUD_OPACITY * factor;
+    const mesh = terrainGroup.getObjectByName('surface');
+    if (mesh) setTerrainOpacity(mesh, terrainOpacity * factor);
+  }
+
+  function changeGroundOpacity(value) {
+    setGroundOpacity(value);
+    applyGroundOpacity(value);
+  }
+
+  // 切断面を作り直す（引数は反映前の state の代わりに使う値）
+  function updateClipping({
+    enabled = xray,
+    heightOn = clipHeightEnabled,
+    height = clipHeight,
+    boxOn = clipBoxEnabled,
+    size = clipBoxSize,
+    range = clipHeightRange
+  } = {}) {
+    let box = null;
+    const width = Number(size);
+    if (enabled && boxOn && width > 0) {
+      const center = clipBoxCenterRef.current;
+      box = new THREE.Box3(
+        new THREE.Vector3(center.x - width / 2, range[0], center.z - width / 2),
+        new THREE.Vector3(center.x + width / 2, range[1], center.z + width / 2)
+      );
+    }
+    const planes = clippingPlanes({ height: enabled && heightOn ? height : null, box });
+    clipPlanesRef.current = planes;
+    viewRef.current?.setClipping(planes);
+    // 枠自体が切り取られないよう、わずかに内側に描く
+    setOverlay('clip-box', box ? new THREE.Box3Helper(box.clone().expandByScalar(-0.01), 0x2563eb) : null);
+  }
+
+  function toggleClipHeight() {
+    const next = !clipHeightEnabled;
+    setClipHeightEnabled(next);
+    updateClipping({ heightOn: next });
+  }
+
+  function changeClipHeight(value) {
+    setClipHeight(value);
+    updateClipping({ height: value });
+  }
+
+  function toggleClipBox() {
+    const next = !clipBoxEnabled;
+    setClipBoxEnabled(next);
+    updateClipping({ boxOn: next });
+  }
+
+  function changeClipBoxSize(value) {
+    setClipBoxSize(value);
+    updateClipping({ size: value });
+  }
+
+  function recenterClipBox() {
+    const target = viewRef.current?.getTarget();
+    if (!target) return;
+    clipBoxCenterRef.current = target;
+    updateClipping();
+  }
+
+  // 形状を編集した管を編集済みにし、形状に基づく解析結果を破棄する
+  function markGeometryEdited(items) {
+    markEdited(items);
+    invalidateAnalyses();
+  }
+
+  function invalidateAnalyses() {
+    setDataVersion(v => v + 1);
+    topologyRef.current = null;
+    setNetwork(null);
+    gradientRef.current = [];
+    setGradientCounts(null);
+    clashesRef.current = [];
+    setClashList(null);
+    coverRef.current = [];
+    setCoverCounts(null);
+    for (const name of ['network', 'dangling', 'gradient', 'gradient-arrows', 'clash', 'clash-pair', 'cover', 'cover-points']) setOverlay(name, null);
+  }
+
+  // 折れ線の編集（before は編集前の captureLine）を履歴に積む
+  function recordLineEdit(label, item, before) {
+    const group = pipesGroupRef.current;
+    const after = captureLine(group, item);
+    // 取り除く管が選択中のことがあるため、戻す前に選択を解除する
+    record({
+      label,
+      undo: () => {
+        clearSelection();
+        markGeometryEdited(restoreLine(group, before));
+      },
+      redo: () => {
+        clearSelection();
+        markGeometryEdited(restoreLine(group, after));
+      }
+    });
+  }
+
+  // 形状編集のモードを切り替える（同じモードをもう一度選ぶと終了）
+  function changeGeometryMode(mode) {
+    const next = mode === geometryMode ? null : mode;
+    setGeometryMode(next);
+    setGeometryMessage(next ? GEOMETRY_HINTS[next] : null);
+    viewRef.current?.detachGizmo();
+    drawPointsRef.current = [];
+    setDrawCount(0);
+    setOverlay('draw-line', null);
+    if (next && sectionMode) {
+      setSectionMode(false);
+      setSectionMessage(null);
+    }
+    groundPickRef.current = next === 'draw' ? addDrawPoint : null;
+    pipePickRef.current = { vertex: pickVertex, split: splitAtPick, merge: mergeAtPick }[next] ?? null;
+  }
+
+  function changeEditSnapTolerance(value) {
+    setEditSnapTolerance(value);
+    const tolerance = Number(value);
+    editSnapToleranceRef.current = isFinite(tolerance) && tolerance >= 0 ? tolerance : 0;
+  }
+
+  // クリックした管の最寄りの頂点にギズモを付け、離したときに近くの頂点へ吸着させる
+  function pickVertex(item, point) {
+    const group = pipesGroupRef.current;
+    const index = nearestVertex(item, [point.x, point.z]);
+    if (index < 0) {
+      setGeometryMessage('この要素の頂点は動かせません');
+      return;
+    }
+    setGeometryMessage('ギズモをドラッグして頂点を移動');
+    let before = captureLine(group, item);
+    viewRef.current?.attachGizmo(vertexPosition(item, index), {
+      onMove: (p) => moveVertex(group, item, index, [p.x, p.z]),
+      onEnd: (p) => {
+        const { point: snappedPoint, snapped } = snapVertex(group, item, [p.x, p.z], editSnapToleranceRef.current);
+        moveVertex(group, item, index, snappedPoint);
+        markGeometryEdited(lineItems(group, item));
+        recordLineEdit('頂点を移動', item, before);
+        before = captureLine(group, item);
+        setGeometryMessage(snapped ? '頂点を移動しました（吸着）' : '頂点を移動しました');
+        return vertexPosition(item, index);
+      }
+    });
+  }
+
+  function splitAtPick(item, point) {
+    const group = pipesGroupRef.current;
+    const before = editableVertices(item) ? captureLine(group, item) : null;
+    const result = splitPipe(group, item, point);
+    if (!result) {
+      setGeometryMessage('分割できません（管の端に近すぎるか、折れ線の管ではありません）');
+      return;
+    }
+    markGeometryEdited(lineItems(group, item));
+    recordLineEdit('分割', item, before);
+    setGeometryMessage('分割しました');
+  }
+
+  function mergeAtPick(item, point) {
+    const group = pipesGroupRef.current;
+    const line = lineItems(group, item);
+    // 取り除く区間が選択中なら、ハイライト用のマテリアルを戻してから結合する
+    if (line.includes(selectedMeshRef.current)) clearSelection();
+    const before = editableVertices(item) ? captureLine(group, item) : null;
+    const result = mergeAtVertex(group, item, nearestVertex(item, [point.x, point.z]));
+    if (result.error) {
+      setGeometryMessage(`結合できません: ${result.error}`);
+      return;
+    }
+    markGeometryEdited(lineItems(group, item));
+    recordLineEdit('結合', item, before);
+    setGeometryMessage('結合しました');
+  }
+
+  // 作図中の頂点を追加（既存の頂点・点施設の近くなら吸着）
+  function addDrawPoint(point) {
+    const { point: [x, y] } = snapVertex(pipesGroupRef.current, null, [point.x, point.z], editSnapToleranceRef.current);
+    const points = [...drawPointsRef.current, new THREE.Vector3(x, point.y, y)];
+    drawPointsRef.current = points;
+    setDrawCount(points.length);
+    setOverlay('draw-line', points.length < 2
+      ? createPointMarkers(points, 0x16a34a, 0.4)
+      : createPolylineOverlay(points, 0x16a34a));
+  }
+
+  function cancelDraw() {
+    drawPointsRef.current = [];
+    setDrawCount(0);
+    setOverlay('draw-line', null);
+  }
+
+  // 作図した頂点列から新しい管を作る（属性名と単位は取込プロファイルに従う）
+  function finishDraw() {
+    const group = pipesGroupRef.current;
+    const points = drawPointsRef.current;
+    if (!group || points.length < 2) return;
+    const { profile } = group.userData.buildOptions;
+    const props = {};
+    if (drawProps.layer.trim()) writeProfileValue(props, profile, 'layer', drawProps.layer.trim());
+    writeProfileLength(props, profile, 'diameter', Number(drawProps.diameter) / 1000);
+    writeProfileLength(props, profile, 'startDepth', Number(drawProps.depth));
+    writeProfileLength(props, profile, 'endDepth', Number(drawProps.depth));
+    const meshes = addLinePipe(group, points.map(p => [p.x, p.z]), props);
+    if (meshes.length === 0) {
+      setGeometryMessage('管を作れませんでした（管径・深さを確認してください）');
+      return;
+    }
+    cancelDraw();
+    markGeometryEdited(meshes);
+    record({
+      label: '管を追加',
+      undo: () => {
+        clearSelection();
+        meshes.forEach(removePipe);
+        invalidateAnalyses();
+      },
+      redo: () => {
+        meshes.forEach(mesh => restorePipe(group, mesh));
+        markGeometryEdited(meshes);
       }
     });
+    setLayerColorMap(layerColors(group));
+    setLayerVisibilityMap(prev => ({ [meshes[0].userData.layer]: true, ...prev }));
+    setGeometryMessage(`管を追加しました（${meshes.length} 区間）`);
+  }
+
+  // 診断項目の要素へ移動（表示できなかった要素は記録した平面位置へ）
+  function flyToDiagnostic(entry) {
+    const box = new THREE.Box3();
+    forEachPipe(pipesGroupRef.current, item => {
+      if (item.userData.featureIndex === entry.featureIndex) box.union(getPipeBounds(item));
+    });
+    if (box.isEmpty() && entry.position) {
+      box.setFromCenterAndSize(new THREE.Vector3(entry.position[0], 0, entry.position[1]), new THREE.Vector3(2, 2, 2));
+    }
+    if (!box.isEmpty()) viewRef.current?.flyTo(box);
   }
 
   const fields = selectedProps ? Object.keys(selectedProps) : [];
@@ -582,8 +1918,16 @@ function ThreeView({ geojsonData, geojsonUrl = '/sample.geojson' }) {
     'div',
     { className: 'three-container', ref: containerRef, style: { position: 'relative' } },
 
+     // 複数選択の一括編集パネル
+     batchRows && React.createElement(BatchEditPanel, {
+       style: panelStyle,
+       count: selection.items.length,
+       rows: batchRows,
+       onChange: onChangeBatchField
+     }),
+
      // 選択オブジェクト編集パネル
-     selectedProps && React.createElement(
+     selectedProps && !batchRows && React.createElement(
        'div',
        { style: panelStyle },
        React.createElement('div', { style: { fontWeight: 700, marginBottom: '6px' } }, '選択したオブジェクト（編集可）'),
@@ -599,7 +1943,7 @@ function ThreeView({ geojsonData, geojsonUrl = '/sample.geojson' }) {
            })
          )
        ),
-       React.createElement('div', { style: { fontSize: '11px', color: '#666' } }, '半径: radius, 直径: diameter は mm 推定→m に換算 / 深さは将来対応（コードに保持）。')
+       React.createElement('div', { style: { fontSize: '11px', color: '#666' } }, '断面: radius / diameter（円形）、width / height（矩形）、section = egg / arch / custom（custom は profile に [[x, y], ...]）。寸法・深さの属性名と単位は取込プロファイルに従う（既定は管径 mm、その他 m）。高さ: 座標の Z 値 → depths / elevations（頂点ごと、カンマ区切り）→ start/end_point_depth の補間。曲管 (ARC): arc_radius（曲げ半径、なければ radius）・startAngle / endAngle（ラジアン）。')
      ),
 
     // レイヤー色編集パネル（表示切り替えも統合）
@@ -639,14 +1983,55 @@ function ThreeView({ geojsonData, geojsonUrl = '/sample.geojson' }) {
             style: { width: '30px', height: '20px' }
           })
         )
-      )
+      ),
+
+      React.createElement(StylePanel, { style, onApply: (next) => changeStyle(next, 'スタイルを適用') })
     ),
 
 
-    // LASファイル選択ボタン（左上）
+    // 横断面図（左のパネル列の右、下寄せ）
+    section && React.createElement(SectionView, {
+      style: { ...panelStyle, top: 'auto', right: 'auto', bottom: '10px', left: '340px', maxWidth: '760px' },
+      svg: section.svg,
+      rows: section.rows,
+      onExport: () => downloadSVG(section.svg, 'cross-section.svg'),
+      onClose: closeSection
+    }),
+
+    // 縦断図（横断面図と同じ位置）
+    profile && React.createElement(ProfileView, {
+      style: { ...panelStyle, top: 'auto', right: 'auto', bottom: '10px', left: '340px', maxWidth: '800px' },
+      svg: profile.svg,
+      rows: profile.rows,
+      onSelectRow: flyToProfileRow,
+      onExport: () => downloadSVG(profile.svg, 'longitudinal-profile.svg'),
+      onClose: closeProfile
+    }),
+
+    // 属性テーブル（右側のパネルを避けて下または右に置く）
+    tableDock && React.createElement(AttributeTable, {
+      style: tableDock === 'bottom'
+        ? { ...panelStyle, top: 'auto', right: '380px', bottom: '10px', left: '340px', maxWidth: 'none', height: '40%' }
+        : { ...panelStyle, top: '10px', right: '380px', bottom: '10px', width: '480px', maxWidth: 'none' },
+      dock: tableDock,
+      onDockChange: setTableDock,
+      items: tableItems,
+      selectedItems: selection.items,
+      primary: selection.primary,
+      onSelectRow: selectTableRow,
+      onEdit: changeItemProperty,
+      onClose: () => setTableDock(null)
+    }),
+
+    // 左側のパネル列（点群・解析・取込チェック）
     React.createElement(
       'div',
-      { style: { ...panelStyle, top: '10px', left: '10px', right: 'auto', bottom: 'auto', maxWidth: '320px' } },
+      { style: leftColumnStyle },
+
+    // LASファイル選択ボタン
+    React.createElement(
+      'div',
+      { style: columnPanelStyle },
       React.createElement('div', { style: { fontWeight: 700, marginBottom: '6px' } }, '点群データ'),
       
       // 点数制御UI
@@ -717,7 +2102,185 @@ function ThreeView({ geojsonData, geojsonUrl = '/sample.geojson' }) {
       }, 'GeoJSON エクスポート')
     ),
 
-    error && React.createElement('div', { style: { position: 'absolute', bottom: '10px', left: '10px', color: 'red' } }, error)
+    pipesGroupRef.current && React.createElement(NetworkPanel, {
+      style: columnPanelStyle,
+      tolerance: snapTolerance,
+      onToleranceChange: setSnapTolerance,
+      network,
+      onAnalyze: analyzeNetwork,
+      canTrace: !!selectedProps,
+      onTrace: traceSelected,
+      onSelectIsland: showIsland,
+      showDangling,
+      onToggleDangling: toggleDangling,
+      onClear: () => setOverlay('network', null),
+      message: networkMessage
+    }),
+
+    pipesGroupRef.current && React.createElement(GradientPanel, {
+      style: columnPanelStyle,
+      gravityLayers,
+      onGravityLayersChange: setGravityLayers,
+      minSlopePermil,
+      onMinSlopeChange: setMinSlopePermil,
+      onAnalyze: analyzeGradient,
+      counts: gradientCounts,
+      problems: gradientCounts ? gradientRef.current.filter(r => r.status !== 'ok').map(r => ({
+        label: `#${r.item.userData.featureIndex} ${r.item.userData.layer || ''}`,
+        status: r.status,
+        slope: r.slope
+      })) : [],
+      onSelectProblem: flyToGradientProblem,
+      showColors: showGradientColors,
+      onToggleColors: toggleGradientColors,
+      showArrows: showGradientArrows,
+      onToggleArrows: toggleGradientArrows
+    }),
+
+    pipesGroupRef.current && React.createElement(ClashPanel, {
+      style: columnPanelStyle,
+      rules: clashRules,
+      onRulesChange: setClashRules,
+      defaultClearance,
+      onDefaultClearanceChange: setDefaultClearance,
+      onDetect: runClashDetection,
+      clashes: clashList,
+      onSelectClash: showClash
+    }),
+
+    React.createElement(TerrainPanel, {
+      style: columnPanelStyle,
+      hasPoints: !!pointCloudData,
+      groundElevation,
+      onGroundElevationChange: changeGroundElevation,
+      cellSize: terrainCellSize,
+      onCellSizeChange: setTerrainCellSize,
+      onBuild: buildTerrain,
+      terrainInfo,
+      showSurface: showTerrainSurface,
+      onToggleSurface: toggleTerrainSurface,
+      opacity: terrainOpacity,
+      onOpacityChange: changeTerrainOpacity,
+      showContours,
+      onToggleContours: toggleContours,
+      contourInterval,
+      onContourIntervalChange: changeContourInterval,
+      hangPipes,
+      onToggleHangPipes: toggleHangPipes
+    }),
+
+    pipesGroupRef.current && React.createElement(SectionPanel, {
+      style: columnPanelStyle,
+      active: sectionMode,
+      onToggle: toggleSectionMode,
+      canProfile: !!selectedProps,
+      onProfile: openProfile,
+      message: sectionMessage
+    }),
+    pipesGroupRef.current && React.createElement(SelectionPanel, {
+      style: columnPanelStyle,
+      count: selection.items.length,
+      marquee,
+      onToggleMarquee: toggleMarquee,
+      layers: layerKeys,
+      onSelectLayer: selectLayer,
+      onSelectByProperty: selectByProperty,
+      onClear: clearSelection,
+      tableOpen: !!tableDock,
+      onToggleTable: () => setTableDock(tableDock ? null : 'bottom')
+    }),
+    pipesGroupRef.current && React.createElement(QueryPanel, {
+      style: columnPanelStyle,
+      text: queryText,
+      onTextChange: setQueryText,
+      onApply: () => applyQuery(),
+      onClear: () => applyQuery(''),
+      applied: visibilityQuery,
+      error: queryError,
+      counts: queryCounts,
+      onSelectMatches: selectQueryMatches,
+      views: savedViews,
+      onSaveView: saveCurrentView,
+      onApplyView: applySavedView,
+      onRemoveView: deleteSavedView
+    }),
+    pipesGroupRef.current && React.createElement(HistoryPanel, {
+      style: columnPanelStyle,
+      entries: historyEntries,
+      onUndo: undoEdit,
+      onRedo: redoEdit,
+      onJump: jumpToHistory,
+      canRevert: !!selectedProps,
+      onRevert: revertSelectedFeature,
+      message: historyMessage
+    }),
+    pipesGroupRef.current && React.createElement(ChangeSetPanel, {
+      style: columnPanelStyle,
+      author,
+      onAuthorChange: changeAuthor,
+      onExport: exportChangeSet,
+      onImport: importChangeSet,
+      message: changeSetMessage,
+      conflicts: changeSetConflicts
+    }),
+    pipesGroupRef.current && React.createElement(GeometryEditPanel, {
+      style: columnPanelStyle,
+      mode: geometryMode,
+      onModeChange: changeGeometryMode,
+      snapTolerance: editSnapTolerance,
+      onSnapToleranceChange: changeEditSnapTolerance,
+      drawProps,
+      onDrawPropsChange: setDrawProps,
+      drawCount,
+      onFinishDraw: finishDraw,
+      onCancelDraw: cancelDraw,
+      message: geometryMessage
+    }),
+    pipesGroupRef.current && React.createElement(XrayPanel, {
+      style: columnPanelStyle,
+      enabled: xray,
+      onToggle: toggleXray,
+      groundOpacity,
+      onGroundOpacityChange: changeGroundOpacity,
+      clipHeightEnabled,
+      onToggleClipHeight: toggleClipHeight,
+      clipHeight,
+      heightRange: clipHeightRange,
+      onClipHeightChange: changeClipHeight,
+      clipBoxEnabled,
+      onToggleClipBox: toggleClipBox,
+      clipBoxSize,
+      onClipBoxSizeChange: changeClipBoxSize,
+      onRecenterClipBox: recenterClipBox
+    }),
+
+    pipesGroupRef.current && React.createElement(CoverPanel, {
+      style: columnPanelStyle,
+      hasTerrain: !!terrainInfo,
+      rules: coverRules,
+      onRulesChange: setCoverRules,
+      defaultMinCover,
+      onDefaultMinCoverChange: setDefaultMinCover,
+      onCheck: runCoverCheck,
+      counts: coverCounts,
+      problems: coverCounts ? coverRef.current.filter(r => r.status !== 'ok').map(r => ({
+        label: `#${r.item.userData.featureIndex} ${r.item.userData.layer || ''}`,
+        status: r.status,
+        minCover: r.minCover,
+        required: r.required,
+        groundOffset: r.worst?.ground ?? NaN
+      })) : [],
+      onSelectProblem: flyToCoverProblem
+    }),
+
+    diagnostics.length > 0 && React.createElement(DiagnosticsPanel, {
+      entries: diagnostics,
+      onSelect: flyToDiagnostic,
+      style: columnPanelStyle
+    }),
+
+    error && React.createElement('div', { style: { color: 'red' } }, error)
+    )
   );
 }
 
@@ -0,0 +1,98 @@
+import React from 'react';
+
+const buttonStyle = {
+  padding: '4px 8px',
+  background: '#fff',
+  border: '1px solid #ccc',
+  borderRadius: '4px',
+  cursor: 'pointer',
+  fontSize: '11px'
+};
+
+const rowStyle = { display: 'flex', alignItems: 'center', gap: '6px', marginBottom: '4px' };
+const checkStyle = { display: 'flex', alignItems: 'center', gap: '4px', fontSize: '11px', width: '110px' };
+
+/**
+ * 地中の透視表示（管の前後関係を正しく描く・地表の透過・水平切断・切り出しボックス）のパネル。
+ * heightRange は水平切断の高さのスライダー範囲 [最小, 最大]（m）。
+ */
+function XrayPanel({
+  style,
+  enabled,
+  onToggle,
+  groundOpacity,
+  onGroundOpacityChange,
+  clipHeightEnabled,
+  onToggleClipHeight,
+  clipHeight,
+  heightRange,
+  onClipHeightChange,
+  clipBoxEnabled,
+  onToggleClipBox,
+  clipBoxSize,
+  onClipBoxSizeChange,
+  onRecenterClipBox
+}) {
+  return React.createElement(
+    'div',
+    { style },
+    React.createElement('div', { style: { display: 'flex', alignItems: 'center', gap: '6px', marginBottom: enabled ? '6px' : 0 } },
+      React.createElement('div', { style: { fontWeight: 700, flex: 1 } }, '透視表示'),
+      React.createElement('button', {
+        style: { ...buttonStyle, ...(enabled ? { background: '#2563eb', color: '#fff', borderColor: '#2563eb' } : {}) },
+        onClick: onToggle
+      }, enabled ? '終了' : '開始')
+    ),
+
+    enabled && React.createElement(
+      'div',
+      null,
+      React.createElement('div', { style: { fontSize: '11px', color: '#666', marginBottom: '4px' } },
+        '管を不透明にして前後関係どおりに描きます。'),
+      React.createElement('div', { style: rowStyle },
+        React.createElement('label', { style: checkStyle }, '地表の不透明度'),
+        React.createElement('input', {
+          type: 'range',
+          min: 0,
+          max: 1,
+          step: 0.05,
+          value: groundOpacity,
+          onChange: (e) => onGroundOpacityChange(Number(e.target.value)),
+          style: { flex: 1 }
+        })
+      ),
+      React.createElement('div', { style: rowStyle },
+        React.createElement('label', { style: checkStyle },
+          React.createElement('input', { type: 'checkbox', checked: clipHeightEnabled, onChange: onToggleClipHeight }),
+          '水平切断'),
+        React.createElement('input', {
+          type: 'range',
+          min: heightRange[0],
+          max: heightRange[1],
+          step: 0.05,
+          value: clipHeight,
+          disabled: !clipHeightEnabled,
+          onChange: (e) => onClipHeightChange(Number(e.target.value)),
+          style: { flex: 1 }
+        }),
+        React.createElement('span', { style: { fontSize: '11px', width: '52px', textAlign: 'right' } }, `${clipHeight.toFixed(2)} m`)
+      ),
+      React.createElement('div', { style: rowStyle },
+        React.createElement('label', { style: checkStyle },
+          React.createElement('input', { type: 'checkbox', checked: clipBoxEnabled, onChange: onToggleClipBox }),
+          '切り出し (m 四方)'),
+        React.createElement('input', {
+          type: 'number',
+          min: 1,
+          step: 5,
+          value: clipBoxSize,
+          onChange: (e) => onClipBoxSizeChange(e.target.value),
+          style: { width: '60px', fontSize: '11px' }
+        }),
+        React.createElement('button', { style: buttonStyle, disabled: !clipBoxEnabled, onClick: onRecenterClipBox }, '視点中心へ')
+      )
+    )
+  );
+}
+
+export default XrayPanel;
@@ -0,0 +1,203 @@
+import { editedFeatures, featureList } from './geojsonExport.js';
+
+export const CHANGE_SET_TYPE = 'PipeChangeSet';
+
+const AUTHOR_KEY = 'pipeChangeAuthor';
+
+/**
+ * Feature の識別子（feature.id、なければ properties.id）。どちらもなければ null で、要素番号で識別する。
+ */
+export function featureIdOf(feature) {
+  return feature?.id ?? feature?.properties?.id ?? null;
+}
+
+/**
+ * 読み込んだ GeoJSON に対する編集を変更セットにまとめる。
+ * options は buildRoundTripGeoJSON の { source, local, inverse, edited } に、
+ * log（要素番号 → { author, time }、最後に編集した人と時刻）と author（log にない要素・セット全体の作成者）を加えたもの。
+ *
+ * 変更は { featureId, featureIndex, author, time, action, ... }（座標は元の CRS）:
+ *   modify: properties { 属性名: { before, after } }（変わった属性だけ）、geometry { before, after }（形状を変えたときだけ）
+ *   split: 区間ごとに属性を変えて 1 つの Feature にまとめられないもの。before は元の Feature、after は Feature の配列
+ *   add: 作図した管。after は Feature
+ */
+export function buildChangeSet(group, { log = new Map(), author = '', ...options }) {
+  const { sourceFeatures, edited, added } = editedFeatures(group, options);
+  const created = new Date().toISOString();
+  const meta = (index) => ({ author: log.get(index)?.author ?? author, time: log.get(index)?.time ?? created });
+
+  const changes = [];
+  for (const [index, features] of [...edited].sort((a, b) => a[0] - b[0])) {
+    const before = sourceFeatures[index];
+    const base = { featureId: featureIdOf(before), featureIndex: index, ...meta(index) };
+    if (features.length > 1) {
+      changes.push({ ...base, action: 'split', before, after: features });
+      continue;
+    }
+    const after = features[0];
+    const properties = diffProperties(before.properties, after.properties);
+    // 頂点を編集していなければ geometry は source のまま（editedFeatures）なので、属性だけの編集では形状を書かない
+    const geometryChanged = after.geometry !== before.geometry && !sameJSON(before.geometry, after.geometry);
+    // 編集を元に戻した要素は含めない
+    if (!properties && !geometryChanged) continue;
+    const change = { ...base, action: 'modify' };
+    if (properties) change.properties = properties;
+    if (geometryChanged) change.geometry = { before: before.geometry, after: after.geometry };
+    changes.push(change);
+  }
+  for (const { featureIndex, feature } of added) {
+    changes.push({ featureId: null, featureIndex, ...meta(featureIndex), action: 'add', after: feature });
+  }
+
+  return {
+    type: CHANGE_SET_TYPE,
+    version: 1,
+    base: { featureCount: sourceFeatures.length, checksum: checksum(options.source) },
+    author,
+    created,
+    changes
+  };
+}
+
+/**
+ * 変更セットを読み込んだ GeoJSON（source、元の CRS）に当てはめる。変更セットでなければ Error を投げる。
+ * 要素は featureId（なければ要素番号）で探し、変更前の値が source と違う変更は当てはめずに conflicts に入れる。
+ * 戻り値 {
+ *   replaced: Map(要素番号 → { features, author, time })（書き換えた Feature の配列）,
+ *   added: [{ feature, author, time }], applied（当てはめた変更の数）, conflicts: [{ change, reason }],
+ *   baseMatches（変更セットを作ったときの GeoJSON と同じか）
+ * }
+ */
+export function applyChangeSet(source, changeSet) {
+  if (changeSet?.type !== CHANGE_SET_TYPE || !Array.isArray(changeSet.changes)) {
+    throw new Error('変更セットのファイルではありません。');
+  }
+  const sourceFeatures = featureList(source);
+  const indexById = uniqueIds(sourceFeatures);
+  const replaced = new Map();
+  const added = [];
+  const conflicts = [];
+  let applied = 0;
+
+  for (const change of changeSet.changes) {
+    const meta = { author: String(change.author ?? changeSet.author ?? ''), time: change.time ?? changeSet.created ?? null };
+    if (change.action === 'add') {
+      if (change.after?.type !== 'Feature') conflicts.push({ change, reason: '追加する Feature がありません' });
+      else {
+        added.push({ feature: change.after, ...meta });
+        applied++;
+      }
+      continue;
+    }
+
+    const index = findFeature(change, sourceFeatures, indexById);
+    if (index == null) {
+      conflicts.push({ change, reason: '対象の要素が見つかりません' });
+      continue;
+    }
+    const current = replaced.get(index)?.features ?? [sourceFeatures[index]];
+    const result = change.action === 'split'
+      ? splitFeature(current, change)
+      : change.action === 'modify'
+        ? modifyFeature(current, change)
+        : { reason: `未対応の変更です（${change.action}）` };
+    if (result.reason) {
+      conflicts.push({ change, reason: result.reason });
+      continue;
+    }
+    replaced.set(index, { features: result.features, ...meta });
+    applied++;
+  }
+
+  const base = changeSet.base ?? {};
+  const baseMatches = base.featureCount === sourceFeatures.length && base.checksum === checksum(source);
+  return { replaced, added, applied, conflicts, baseMatches };
+}
+
+/**
+ * 変更セットに記録する編集者名（ブラウザに保存したもの）。
+ */
+export function loadAuthor() {
+  try {
+    return localStorage.getItem(AUTHOR_KEY) ?? '';
+  } catch {
+    return '';
+  }
+}
+
+export function saveAuthor(author) {
+  try {
+    localStorage.setItem(AUTHOR_KEY, author);
+  } catch {
+    // 保存できなくても編集者名はその場で使える
+  }
+}
+
+function modifyFeature(current, change) {
+  if (current.length !== 1) return { reason: '分割済みの要素は属性・形状を書き換えられません' };
+  const feature = current[0];
+  const props = feature.properties ?? {};
+  const next = { ...feature, properties: { ...props } };
+  for (const [key, { before, after }] of Object.entries(change.properties ?? {})) {
+    if (!sameJSON(props[key] ?? null, before ?? null)) return { reason: `属性 ${key} の変更前の値が一致しません` };
+    next.properties[key] = after;
+  }
+  if (change.geometry) {
+    if (!sameJSON(feature.geometry ?? null, change.geometry.before ?? null)) return { reason: '変更前の形状が一致しません' };
+    next.geometry = change.geometry.after;
+  }
+  return { features: [next] };
+}
+
+function splitFeature(current, change) {
+  if (current.length !== 1 || !sameJSON(current[0], change.before)) return { reason: '変更前の要素が一致しません' };
+  if (!Array.isArray(change.after) || change.after.length === 0) return { reason: '分割後の Feature がありません' };
+  return { features: change.after };
+}
+
+// featureId が source で一意ならそれで、なければ要素番号で探す（要素番号の要素の識別子も一致すること）
+function findFeature(change, sourceFeatures, indexById) {
+  if (change.featureId != null && indexById.has(change.featureId)) return indexById.get(change.featureId);
+  const index = change.featureIndex;
+  if (!Number.isInteger(index) || index < 0 || index >= sourceFeatures.length) return null;
+  if (change.featureId != null && featureIdOf(sourceFeatures[index]) !== change.featureId) return null;
+  return index;
+}
+
+function uniqueIds(features) {
+  const indexById = new Map();
+  const duplicated = new Set();
+  features.forEach((feature, i) => {
+    const id = featureIdOf(feature);
+    if (id == null) return;
+    if (indexById.has(id)) duplicated.add(id);
+    indexById.set(id, i);
+  });
+  for (const id of duplicated) indexById.delete(id);
+  return indexById;
+}
+
+function diffProperties(before = {}, after = {}) {
+  const result = {};
+  for (const key of new Set([...Object.keys(before ?? {}), ...Object.keys(after ?? {})])) {
+    const a = before?.[key] ?? null;
+    const b = after?.[key] ?? null;
+    if (!sameJSON(a, b)) result[key] = { before: a, after: b };
+  }
+  return Object.keys(result).length > 0 ? result : null;
+}
+
+function sameJSON(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+// 基準の GeoJSON の照合用（FNV-1a、32 ビット）
+function checksum(geojson) {
+  const text = JSON.stringify(geojson ?? null);
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16).padStart(8, '0');
+}
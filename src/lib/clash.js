@@ -0,0 +1,176 @@
+import * as THREE from 'three';
+import { forEachPipe, getPipeCenterline, getPipeSection } from './pipes.js';
+
+/**
+ * 干渉チェックの既定値。
+ * rules: レイヤーの組ごとの離隔 [{ a, b, clearance }]（a・b はレイヤー名の部分一致、clearance は m）
+ * defaultClearance: どのルールにも当たらない異なるレイヤーどうしの離隔（null なら対象外）
+ * sameLayer: 同じレイヤーどうしも調べる（接続部は接触するため既定は false）
+ */
+export const DEFAULT_CLASH_OPTIONS = {
+  rules: [
+    { a: 'ガス', b: '水道', clearance: 0.3 },
+    { a: 'ガス', b: '下水', clearance: 0.3 },
+    { a: '電', b: 'ガス', clearance: 0.3 }
+  ],
+  defaultClearance: 0,
+  sameLayer: false
+};
+
+// 近傍探索の格子の大きさ（m、平面）
+const CELL_SIZE = 5;
+
+/**
+ * 管群の干渉（表面間の最小距離が離隔未満の箇所）を求める。
+ * 管は中心線の区間ごとに円柱（矩形などは外接円の半径）として扱う。
+ *
+ * 戻り値（距離の小さい順）: [{ a, b, distance, clearance, point, pointA, pointB }]
+ * distance は表面間の距離（m、負なら重なり）、point は最接近箇所の中点（ワールド座標）。
+ */
+export function detectClashes(group, options = {}) {
+  const { rules, defaultClearance, sameLayer } = { ...DEFAULT_CLASH_OPTIONS, ...options };
+  const pieces = collectPieces(group);
+  const maxClearance = Math.max(defaultClearance ?? 0, ...rules.map(r => Number(r.clearance) || 0));
+  const maxRadius = pieces.reduce((max, p) => Math.max(max, p.radius), 0);
+  const margin = maxClearance + maxRadius * 2;
+
+  // 区間を平面の格子に登録（離隔と管径の分だけ広げた範囲）
+  const cells = new Map();
+  pieces.forEach((piece, index) => {
+    forEachCell(piece, margin, key => {
+      if (!cells.has(key)) cells.set(key, []);
+      cells.get(key).push(index);
+    });
+  });
+
+  const clearanceCache = new Map();
+  const clearanceFor = (layerA, layerB) => {
+    const key = `${layerA}\u0000${layerB}`;
+    if (!clearanceCache.has(key)) clearanceCache.set(key, pairClearance(layerA, layerB, rules, defaultClearance, sameLayer));
+    return clearanceCache.get(key);
+  };
+
+  const best = new Map();
+  const checked = new Set();
+  for (const indices of cells.values()) {
+    for (let i = 0; i < indices.length; i++) {
+      for (let j = i + 1; j < indices.length; j++) {
+        const [ia, ib] = indices[i] < indices[j] ? [indices[i], indices[j]] : [indices[j], indices[i]];
+        const pairKey = ia * pieces.length + ib;
+        if (checked.has(pairKey)) continue;
+        checked.add(pairKey);
+
+        const pa = pieces[ia];
+        const pb = pieces[ib];
+        if (pa.item === pb.item) continue;
+        const clearance = clearanceFor(pa.layer, pb.layer);
+        if (clearance == null) continue;
+
+        const closest = closestPointsBetweenSegments(pa.start, pa.end, pb.start, pb.end);
+        const distance = closest.distance - pa.radius - pb.radius;
+        if (distance >= clearance) continue;
+
+        const itemKey = pa.item.uuid < pb.item.uuid ? `${pa.item.uuid}|${pb.item.uuid}` : `${pb.item.uuid}|${pa.item.uuid}`;
+        const prev = best.get(itemKey);
+        if (prev && prev.distance <= distance) continue;
+        best.set(itemKey, {
+          a: pa.item,
+          b: pb.item,
+          distance,
+          clearance,
+          pointA: closest.pointA,
+          pointB: closest.pointB,
+          point: new THREE.Vector3().addVectors(closest.pointA, closest.pointB).multiplyScalar(0.5)
+        });
+      }
+    }
+  }
+  return [...best.values()].sort((x, y) => x.distance - y.distance);
+}
+
+/**
+ * 2 つのレイヤーの間に求める離隔。対象外なら null。
+ */
+function pairClearance(layerA, layerB, rules, defaultClearance, sameLayer) {
+  if (layerA === layerB && !sameLayer) return null;
+  const a = String(layerA ?? '').toLowerCase();
+  const b = String(layerB ?? '').toLowerCase();
+  const has = (layer, pattern) => !!pattern && layer.includes(String(pattern).toLowerCase());
+  let clearance = null;
+  for (const rule of rules) {
+    if ((has(a, rule.a) && has(b, rule.b)) || (has(a, rule.b) && has(b, rule.a))) {
+      clearance = Math.max(clearance ?? 0, Number(rule.clearance) || 0);
+    }
+  }
+  return clearance ?? (layerA === layerB ? 0 : defaultClearance);
+}
+
+/**
+ * 管の中心線を区間に分けて集める（半径は断面の外接円）。
+ */
+function collectPieces(group) {
+  const pieces = [];
+  forEachPipe(group, item => {
+    if (item.visible === false) return;
+    const section = getPipeSection(item);
+    const line = getPipeCenterline(item);
+    if (!section || line.length < 2) return;
+    const radius = section.kind === 'circle' ? section.width / 2 : Math.hypot(section.width, section.height) / 2;
+    for (let i = 0; i < line.length - 1; i++) {
+      pieces.push({ item, layer: item.userData.layer ?? '', start: line[i], end: line[i + 1], radius });
+    }
+  });
+  return pieces;
+}
+
+function forEachCell(piece, margin, callback) {
+  const minX = Math.floor((Math.min(piece.start.x, piece.end.x) - margin) / CELL_SIZE);
+  const maxX = Math.floor((Math.max(piece.start.x, piece.end.x) + margin) / CELL_SIZE);
+  const minZ = Math.floor((Math.min(piece.start.z, piece.end.z) - margin) / CELL_SIZE);
+  const maxZ = Math.floor((Math.max(piece.start.z, piece.end.z) + margin) / CELL_SIZE);
+  for (let x = minX; x <= maxX; x++) {
+    for (let z = minZ; z <= maxZ; z++) callback(`${x},${z}`);
+  }
+}
+
+/**
+ * 線分 p1-q1 と p2-q2 の最接近点と距離。
+ */
+export function closestPointsBetweenSegments(p1, q1, p2, q2) {
+  const d1 = new THREE.Vector3().subVectors(q1, p1);
+  const d2 = new THREE.Vector3().subVectors(q2, p2);
+  const r = new THREE.Vector3().subVectors(p1, p2);
+  const a = d1.dot(d1);
+  const e = d2.dot(d2);
+  const f = d2.dot(r);
+  const EPS = 1e-12;
+  let s = 0;
+  let t = 0;
+
+  if (a <= EPS && e <= EPS) {
+    // 両方とも点（s = t = 0）
+  } else if (a <= EPS) {
+    t = THREE.MathUtils.clamp(f / e, 0, 1);
+  } else {
+    const c = d1.dot(r);
+    if (e <= EPS) {
+      s = THREE.MathUtils.clamp(-c / a, 0, 1);
+    } else {
+      const b = d1.dot(d2);
+      const denom = a * e - b * b;
+      s = denom > EPS ? THREE.MathUtils.clamp((b * f - c * e) / denom, 0, 1) : 0;
+      t = (b * s + f) / e;
+      if (t < 0) {
+        t = 0;
+        s = THREE.MathUtils.clamp(-c / a, 0, 1);
+      } else if (t > 1) {
+        t = 1;
+        s = THREE.MathUtils.clamp((b - c) / a, 0, 1);
+      }
+    }
+  }
+
+  const pointA = p1.clone().addScaledVector(d1, s);
+  const pointB = p2.clone().addScaledVector(d2, t);
+  return { pointA, pointB, distance: pointA.distanceTo(pointB) };
+}
@@ -0,0 +1,23 @@
+import * as THREE from 'three';
+
+/**
+ * 透視表示の切断面（renderer.clippingPlanes に渡す平面の配列）。
+ * height: この高さ（ワールド Y）より上を切り取る（null なら切らない）
+ * box: THREE.Box3 の内側だけを残す（null なら切らない）
+ * 平面はどれも内側（残す側）を法線の向きとする。
+ */
+export function clippingPlanes({ height = null, box = null } = {}) {
+  const planes = [];
+  if (height != null && isFinite(height)) planes.push(new THREE.Plane(new THREE.Vector3(0, -1, 0), height));
+  if (box && !box.isEmpty()) {
+    planes.push(
+      new THREE.Plane(new THREE.Vector3(1, 0, 0), -box.min.x),
+      new THREE.Plane(new THREE.Vector3(-1, 0, 0), box.max.x),
+      new THREE.Plane(new THREE.Vector3(0, 1, 0), -box.min.y),
+      new THREE.Plane(new THREE.Vector3(0, -1, 0), box.max.y),
+      new THREE.Plane(new THREE.Vector3(0, 0, 1), -box.min.z),
+      new THREE.Plane(new THREE.Vector3(0, 0, -1), box.max.z)
+    );
+  }
+  return planes;
+}
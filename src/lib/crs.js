@@ -0,0 +1,239 @@
+/**
+ * 座標参照系（CRS）の判定と、ローカル平面直交座標（m）への投影・逆投影。
+ * GeoJSON の座標は軸順 [東方向, 北方向]（経緯度なら [経度, 緯度]）として扱う。
+ */
+
+const DEG = Math.PI / 180;
+
+// GRS80 楕円体（JGD2000 / JGD2011。WGS84 との差は無視できる）
+const GRS80 = { a: 6378137, f: 1 / 298.257222101 };
+
+// 平面直角座標系 I〜XIX 系の原点（緯度, 経度 [度]）
+const JPRCS_ORIGINS = [
+  [33, 129.5], [33, 131], [36, 132 + 10 / 60], [33, 133.5], [36, 134 + 20 / 60],
+  [36, 136], [36, 137 + 10 / 60], [36, 138.5], [36, 139 + 50 / 60], [40, 140 + 50 / 60],
+  [44, 140.25], [44, 142.25], [44, 144.25], [26, 142], [26, 127.5],
+  [26, 124], [26, 131], [20, 136], [26, 154]
+];
+const ROMAN = ['I', 'II', 'III', 'IV', 'V', 'VI', 'VII', 'VIII', 'IX', 'X', 'XI', 'XII', 'XIII', 'XIV', 'XV', 'XVI', 'XVII', 'XVIII', 'XIX'];
+
+/**
+ * 選択肢として提示する CRS（value は 'auto' / 'local' / 'EPSG:xxxx'）。
+ */
+export const CRS_CHOICES = [
+  { value: 'auto', label: '自動（crs メンバー、なければローカル）' },
+  { value: 'local', label: 'ローカル座標（m）' },
+  { value: 'EPSG:4326', label: 'EPSG:4326 WGS84 経緯度' },
+  { value: 'EPSG:6668', label: 'EPSG:6668 JGD2011 経緯度' },
+  { value: 'EPSG:3857', label: 'EPSG:3857 Web メルカトル' },
+  ...ROMAN.map((r, i) => ({ value: `EPSG:${6669 + i}`, label: `EPSG:${6669 + i} JGD2011 平面直角 ${r} 系` })),
+  ...ROMAN.map((r, i) => ({ value: `EPSG:${2443 + i}`, label: `EPSG:${2443 + i} JGD2000 平面直角 ${r} 系` }))
+];
+
+/**
+ * CRS 名（'EPSG:6677'、'urn:ogc:def:crs:EPSG::6677'、OGC の URL、CRS84 など）を 'EPSG:xxxx' に正規化。
+ * 解釈できなければ null。
+ */
+export function normalizeCrsName(name) {
+  if (!name) return null;
+  const s = String(name).trim();
+  if (/crs84$/i.test(s)) return 'EPSG:4326';
+  const m = s.match(/epsg(?::+|\/)(?:[\d.]*[:/])?(\d+)$/i) || s.match(/^(\d+)$/);
+  return m ? `EPSG:${m[1]}` : null;
+}
+
+/**
+ * GeoJSON の crs メンバーから CRS を判定。なければ null。
+ */
+export function detectCRS(geojson) {
+  return normalizeCrsName(geojson?.crs?.properties?.name);
+}
+
+/**
+ * CRS ごとの投影。
+ * kind: 'plane'（m 単位の平面座標）| 'geographic'（経緯度）| 'mercator'（Web メルカトル）
+ * toGeographic / fromGeographic は経緯度（度）との相互変換（plane でローカル座標の場合は持たない）。
+ */
+function projectionFor(crs) {
+  const code = Number(String(crs).replace(/^EPSG:/, ''));
+  if (code === 4326 || code === 6668 || code === 4612 || code === 4019) {
+    return {
+      kind: 'geographic',
+      toGeographic: ([lon, lat]) => [lon, lat],
+      fromGeographic: (lon, lat) => [lon, lat]
+    };
+  }
+  if (code === 3857 || code === 900913) {
+    const R = 6378137;
+    return {
+      kind: 'mercator',
+      toGeographic: ([x, y]) => [(x / R) / DEG, (2 * Math.atan(Math.exp(y / R)) - Math.PI / 2) / DEG],
+      fromGeographic: (lon, lat) => [lon * DEG * R, Math.log(Math.tan(Math.PI / 4 + (lat * DEG) / 2)) * R]
+    };
+  }
+  const zone = code >= 6669 && code <= 6687 ? code - 6669 : code >= 2443 && code <= 2461 ? code - 2443 : -1;
+  if (zone >= 0) {
+    const [lat0, lon0] = JPRCS_ORIGINS[zone];
+    const tm = transverseMercator(lat0, lon0, 0.9999);
+    return {
+      kind: 'plane',
+      toGeographic: ([e, n]) => tm.inverse(e, n),
+      fromGeographic: (lon, lat) => tm.forward(lon, lat)
+    };
+  }
+  return { kind: 'plane' };
+}
+
+/**
+ * 横メルカトル図法（Krüger 級数 3 次、GRS80）。座標は [東方向, 北方向] の m、経緯度は度。
+ */
+function transverseMercator(lat0, lon0, k0) {
+  const { a, f } = GRS80;
+  const n = f / (2 - f);
+  const e = Math.sqrt(f * (2 - f));
+  const A = (a / (1 + n)) * (1 + (n * n) / 4 + (n ** 4) / 64);
+  const alpha = [n / 2 - (2 * n * n) / 3 + (5 * n ** 3) / 16, (13 * n * n) / 48 - (3 * n ** 3) / 5, (61 * n ** 3) / 240];
+  const beta = [n / 2 - (2 * n * n) / 3 + (37 * n ** 3) / 96, (n * n) / 48 + (n ** 3) / 15, (17 * n ** 3) / 480];
+  const delta = [2 * n - (2 * n * n) / 3 - 2 * n ** 3, (7 * n * n) / 3 - (8 * n ** 3) / 5, (56 * n ** 3) / 15];
+
+  const conformal = (lat) => {
+    const s = Math.sin(lat * DEG);
+    return Math.sinh(Math.atanh(s) - e * Math.atanh(e * s));
+  };
+  // 原点緯度までの子午線弧長（k0 倍済み）
+  const xi0 = Math.atan(conformal(lat0));
+  const m0 = k0 * A * (xi0 + alpha.reduce((sum, c, j) => sum + c * Math.sin(2 * (j + 1) * xi0), 0));
+
+  return {
+    forward(lon, lat) {
+      const t = conformal(lat);
+      const dl = (lon - lon0) * DEG;
+      const xiP = Math.atan2(t, Math.cos(dl));
+      const etaP = Math.atanh(Math.sin(dl) / Math.sqrt(1 + t * t));
+      let xi = xiP;
+      let eta = etaP;
+      alpha.forEach((c, j) => {
+        const k = 2 * (j + 1);
+        xi += c * Math.sin(k * xiP) * Math.cosh(k * etaP);
+        eta += c * Math.cos(k * xiP) * Math.sinh(k * etaP);
+      });
+      return [k0 * A * eta, k0 * A * xi - m0];
+    },
+    inverse(east, north) {
+      const xi = (north + m0) / (k0 * A);
+      const eta = east / (k0 * A);
+      let xiP = xi;
+      let etaP = eta;
+      beta.forEach((c, j) => {
+        const k = 2 * (j + 1);
+        xiP -= c * Math.sin(k * xi) * Math.cosh(k * eta);
+        etaP -= c * Math.cos(k * xi) * Math.sinh(k * eta);
+      });
+      const chi = Math.asin(Math.sin(xiP) / Math.cosh(etaP));
+      const lat = chi + delta.reduce((sum, c, j) => sum + c * Math.sin(2 * (j + 1) * chi), 0);
+      const lon = lon0 * DEG + Math.atan2(Math.sinh(etaP), Math.cos(xiP));
+      return [lon / DEG, lat / DEG];
+    }
+  };
+}
+
+/**
+ * CRS と原点（CRS の座標値）からローカル座標系（原点中心の m 単位平面）を作る。
+ * 平面直角・ローカル座標は原点を引くだけ、経緯度・Web メルカトルは原点中心の横メルカトル（縮尺 1）で投影する。
+ * forward / inverse は [x, y, ...残り] の座標を変換し、Z 以降はそのまま残す。
+ */
+export function createLocalFrame(crs, origin = [0, 0]) {
+  const proj = projectionFor(crs);
+  const [ox, oy] = origin;
+
+  if (proj.kind === 'plane') {
+    return {
+      crs,
+      origin: [ox, oy],
+      forward: ([x, y, ...rest]) => [x - ox, y - oy, ...rest],
+      inverse: ([x, y, ...rest]) => [x + ox, y + oy, ...rest]
+    };
+  }
+
+  const [lon0, lat0] = proj.toGeographic([ox, oy]);
+  const tm = transverseMercator(lat0, lon0, 1);
+  return {
+    crs,
+    origin: [ox, oy],
+    forward: ([x, y, ...rest]) => {
+      const [lon, lat] = proj.toGeographic([x, y]);
+      return [...tm.forward(lon, lat), ...rest];
+    },
+    inverse: ([x, y, ...rest]) => {
+      const [lon, lat] = tm.inverse(x, y);
+      return [...proj.fromGeographic(lon, lat), ...rest];
+    }
+  };
+}
+
+/**
+ * GeoJSON の全座標の範囲中心（原点の自動決定用）。座標がなければ [0, 0]。
+ */
+export function coordinateCenter(geojson) {
+  let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+  eachPosition(geojson, ([x, y]) => {
+    if (!(isFinite(x) && isFinite(y))) return;
+    minX = Math.min(minX, x);
+    minY = Math.min(minY, y);
+    maxX = Math.max(maxX, x);
+    maxY = Math.max(maxY, y);
+  });
+  if (!isFinite(minX)) return [0, 0];
+  return [(minX + maxX) / 2, (minY + maxY) / 2];
+}
+
+/**
+ * インポートした GeoJSON をローカル座標系に変換する。
+ * crs: 'auto'（crs メンバーを使用、なければローカル）| 'local' | 'EPSG:xxxx'
+ * origin: ローカル座標の原点（元の CRS の座標値）。省略時は範囲中心。
+ * 戻り値 { geojson, frame }（geojson は変換済みの複製）。
+ */
+export function localizeGeoJSON(source, { crs = 'auto', origin = null } = {}) {
+  const resolved = crs === 'auto' ? (detectCRS(source) ?? 'local') : crs;
+  let center = origin ?? coordinateCenter(source);
+  if (!origin) {
+    // 自動決定の原点は切りのよい値に丸める（平面は 1 m、経緯度は 1e-6 度）
+    const step = projectionFor(resolved).kind === 'geographic' ? 1e-6 : 1;
+    center = center.map(v => Math.round(v / step) * step);
+  }
+  const frame = createLocalFrame(resolved, center);
+  const geojson = mapGeoJSONPositions(source, frame.forward);
+  delete geojson.crs;
+  return { geojson, frame };
+}
+
+/**
+ * GeoJSON（FeatureCollection / Feature / Geometry）の各座標を fn で変換した複製を返す。
+ */
+export function mapGeoJSONPositions(geojson, fn) {
+  if (!geojson || typeof geojson !== 'object') return geojson;
+  const mapCoords = (coords) => {
+    if (!Array.isArray(coords)) return coords;
+    return typeof coords[0] === 'number' ? fn(coords) : coords.map(mapCoords);
+  };
+  switch (geojson.type) {
+    case 'FeatureCollection':
+      return { ...geojson, features: (geojson.features ?? []).map(f => mapGeoJSONPositions(f, fn)) };
+    case 'Feature':
+      return { ...geojson, geometry: mapGeoJSONPositions(geojson.geometry, fn) };
+    case 'GeometryCollection':
+      return { ...geojson, geometries: (geojson.geometries ?? []).map(g => mapGeoJSONPositions(g, fn)) };
+    default:
+      return Array.isArray(geojson.coordinates) ? { ...geojson, coordinates: mapCoords(geojson.coordinates) } : { ...geojson };
+  }
+}
+
+/**
+ * GeoJSON の全座標を列挙。
+ */
+function eachPosition(geojson, fn) {
+  mapGeoJSONPositions(geojson, (c) => {
+    fn(c);
+    return c;
+  });
+}
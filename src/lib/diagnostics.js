@@ -0,0 +1,68 @@
+/**
+ * 構築時の診断（スキップした要素と疑わしい値）を集める。
+ * entries の各項目は { featureIndex, featureId, partIndex, severity, reason, position }。
+ * severity は 'error'（表示できずスキップ）| 'warning'（表示したが値を確認すべき）、
+ * position は要素の位置（平面座標 [x, y]、ローカル座標系）。
+ */
+export function createDiagnostics() {
+  const entries = [];
+  // 区間の両端（mm 単位に丸め、向きは問わない）→ 最初に現れた要素番号
+  const segments = new Map();
+
+  return {
+    entries,
+    /**
+     * Feature 単位の記録用ハンドル。
+     */
+    forFeature(feature, featureIndex) {
+      const base = { featureIndex, featureId: feature?.id ?? feature?.properties?.id ?? null };
+      const fallbackPosition = firstPosition(feature?.geometry?.coordinates);
+      let count = 0;
+      const add = (severity) => (reason, { partIndex = 0, position } = {}) => {
+        entries.push({ ...base, partIndex, severity, reason, position: position ?? fallbackPosition });
+        count++;
+      };
+      return {
+        error: add('error'),
+        warning: add('warning'),
+        get count() {
+          return count;
+        },
+        /**
+         * 同じ両端の区間が既に登録されていればその要素番号、なければ登録して null。
+         */
+        duplicateOf(a, b) {
+          const ka = positionKey(a);
+          const kb = positionKey(b);
+          const key = ka < kb ? `${ka}|${kb}` : `${kb}|${ka}`;
+          if (segments.has(key)) return segments.get(key);
+          segments.set(key, featureIndex);
+          return null;
+        }
+      };
+    }
+  };
+}
+
+/**
+ * 診断の件数を重大度ごとに数える。
+ */
+export function countDiagnostics(entries) {
+  const counts = { error: 0, warning: 0 };
+  for (const entry of entries ?? []) counts[entry.severity] = (counts[entry.severity] ?? 0) + 1;
+  return counts;
+}
+
+function positionKey([x, y, z]) {
+  const round = (v) => (isFinite(v) ? Math.round(v * 1000) : 'x');
+  return `${round(x)},${round(y)},${z === undefined ? '' : round(z)}`;
+}
+
+/**
+ * 入れ子の座標配列から最初の位置を取り出す。
+ */
+function firstPosition(coords) {
+  let c = coords;
+  while (Array.isArray(c) && Array.isArray(c[0])) c = c[0];
+  return Array.isArray(c) && isFinite(c[0]) && isFinite(c[1]) ? [c[0], c[1]] : null;
+}
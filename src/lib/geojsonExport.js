@@ -0,0 +1,242 @@
+import { forEachPipe } from './pipes.js';
+import { mapGeoJSONPositions } from './crs.js';
+
+/**
+ * 読み込んだ GeoJSON に、管で行った編集だけを書き戻す（往復エクスポート）。
+ * source は読み込んだままの GeoJSON、local は管の構築元（ローカル座標に変換した source、変換なしなら source）、
+ * inverse はローカル座標 → 元の座標の変換、edited は編集した管の uuid の Set。
+ * 編集した管を含む Feature だけを、変わった属性と頂点について書き換える（動かしていない頂点は元の座標値のまま）。
+ * それ以外の Feature（構築に失敗したもの・管にならないものを含む）と crs・id などのメンバーは source のまま残し、
+ * 作図した管は末尾に追加する。区間ごとに属性を変えた Feature は属性ごとに分け、id は最初の Feature にだけ残す。
+ */
+export function buildRoundTripGeoJSON(group, options) {
+  const { source } = options;
+  const { sourceFeatures, edited, added } = editedFeatures(group, options);
+  const features = [];
+  sourceFeatures.forEach((feature, i) => features.push(...(edited.get(i) ?? [feature])));
+  features.push(...added.map(a => a.feature));
+
+  if (source?.type === 'FeatureCollection') return { ...source, features };
+  if (source?.type === 'Feature' && features.length === 1) return features[0];
+  return { type: 'FeatureCollection', features };
+}
+
+/**
+ * 編集した Feature を元の座標で組み立て直す（引数は buildRoundTripGeoJSON と同じ）。
+ * 戻り値 { sourceFeatures, edited: Map(要素番号 → 書き換えた Feature の配列), added: [{ featureIndex, feature }]（作図した管） }。
+ * 頂点を編集していない Feature の geometry は source の Feature のもの（同じオブジェクト）。
+ */
+export function editedFeatures(group, { source, local = source, inverse = c => c, edited: editedIds = new Set() }) {
+  const sourceFeatures = featureList(source);
+  const localFeatures = featureList(local);
+  const byFeature = pipesByFeature(group);
+
+  const edited = new Map();
+  sourceFeatures.forEach((feature, i) => {
+    const items = byFeature.get(i);
+    if (items?.some(item => editedIds.has(item.uuid))) edited.set(i, applyFeatureEdits(feature, localFeatures[i], items, inverse));
+  });
+  // 作図した管（要素番号は読み込んだ Feature の数から振られる）
+  const added = [];
+  const addedKeys = [...byFeature.keys()].filter(key => key >= sourceFeatures.length).sort((a, b) => a - b);
+  for (const key of addedKeys) {
+    for (const items of groupBySignature(byFeature.get(key))) {
+      const feature = featureFromItems(items);
+      if (feature) added.push({ featureIndex: key, feature: { ...feature, geometry: mapGeoJSONPositions(feature.geometry, inverse) } });
+    }
+  }
+  return { sourceFeatures, edited, added };
+}
+
+// 要素番号 → その Feature から作った管
+function pipesByFeature(group) {
+  const byFeature = new Map();
+  forEachPipe(group, obj => {
+    const key = obj.userData.featureIndex ?? -1;
+    if (!byFeature.has(key)) byFeature.set(key, []);
+    byFeature.get(key).push(obj);
+  });
+  return byFeature;
+}
+
+/**
+ * GeoJSON の Feature の一覧（pipes.js の構築と同じく、FeatureCollection か単独の Feature）。
+ */
+export function featureList(geojson) {
+  if (geojson?.type === 'FeatureCollection') return geojson.features ?? [];
+  return geojson?.type === 'Feature' ? [geojson] : [];
+}
+
+function groupBySignature(items) {
+  const bySignature = new Map();
+  for (const obj of items) {
+    const signature = JSON.stringify(obj.userData.properties);
+    if (!bySignature.has(signature)) bySignature.set(signature, []);
+    bySignature.get(signature).push(obj);
+  }
+  return [...bySignature.values()];
+}
+
+/**
+ * 編集した Feature を書き戻す。属性は変わった値だけを上書きし（元の並び順を保つ）、
+ * 形状は頂点を編集して元と違うときだけ差し替える（属性だけの編集なら元の形状のまま）。
+ * 区間ごとに属性を変えて分ける場合は、作れなかった長さ 0 の区間・頂点 1 つのパーツも前後の Feature に含める。
+ */
+function applyFeatureEdits(feature, localFeature, items, inverse) {
+  // ローカル座標の頂点 → 元の座標値（動かしていない頂点を元の値に戻す）
+  const originals = new Map();
+  const localPositions = positionsOf(localFeature?.geometry);
+  positionsOf(feature.geometry).forEach((position, i) => {
+    if (localPositions[i]) originals.set(JSON.stringify(localPositions[i]), position);
+  });
+  const restore = (c) => originals.get(JSON.stringify(c)) ?? inverse(c);
+
+  const sameGeometry = (geometry) => JSON.stringify(geometry) === JSON.stringify(localFeature?.geometry);
+  const groups = groupBySignature(items);
+  const result = [];
+  for (const group of groups) {
+    // 作れなかったパーツは最初の Feature に残す
+    const rebuilt = featureFromItems(group, { all: items, local: result.length === 0 ? localFeature?.geometry : null });
+    if (!rebuilt) continue;
+    const out = { ...feature, properties: mergeProperties(feature.properties, group[0].userData.properties) };
+    if (groups.length > 1 || !sameGeometry(rebuilt.geometry)) out.geometry = mapGeoJSONPositions(rebuilt.geometry, restore);
+    if (result.length > 0) delete out.id;
+    result.push(out);
+  }
+  return result.length > 0 ? result : [feature];
+}
+
+function mergeProperties(original, next) {
+  const base = original ?? {};
+  const changed = Object.keys(next).filter(key => JSON.stringify(base[key]) !== JSON.stringify(next[key]));
+  if (changed.length === 0) return original;
+  const merged = { ...base };
+  for (const key of changed) merged[key] = next[key];
+  return merged;
+}
+
+function positionsOf(geometry) {
+  const positions = [];
+  mapGeoJSONPositions(geometry, (c) => {
+    positions.push(c);
+    return c;
+  });
+  return positions;
+}
+
+/**
+ * 同じ Feature・同じ属性の要素群から 1 つの Feature を組み立てる。
+ * 管は all（同じ Feature の要素すべて、既定は items）で区間の並びを、local（構築元の形状）で管にならなかったパーツを補う。
+ */
+function featureFromItems(items, { all = items, local = null } = {}) {
+  const { properties, geometryType, kind } = items[0].userData;
+  const byPart = items.slice().sort((a, b) => (a.userData.partIndex ?? 0) - (b.userData.partIndex ?? 0));
+
+  // 曲管（Point with ARC）の場合。_type と角度は属性のまま（角度の編集も属性に入る）
+  if (kind === 'arc') {
+    return {
+      type: 'Feature',
+      geometry: {
+        type: 'Point',
+        coordinates: items[0].userData.coordinates.slice()
+      },
+      properties: { ...properties }
+    };
+  }
+
+  // 点施設（Point / MultiPoint）の場合
+  if (kind === 'node') {
+    const points = byPart.map(obj => obj.userData.coordinates.slice());
+    return {
+      type: 'Feature',
+      geometry: points.length === 1 && geometryType !== 'MultiPoint'
+        ? { type: 'Point', coordinates: points[0] }
+        : { type: 'MultiPoint', coordinates: points },
+      properties: { ...properties }
+    };
+  }
+
+  // 構造物（Polygon / MultiPolygon）の場合
+  if (kind === 'polygon') {
+    const polygons = byPart.map(obj => obj.userData.rings.map(ring => ring.map(c => c.slice())));
+    return {
+      type: 'Feature',
+      geometry: polygons.length === 1 && geometryType !== 'MultiPolygon'
+        ? { type: 'Polygon', coordinates: polygons[0] }
+        : { type: 'MultiPolygon', coordinates: polygons },
+      properties: { ...properties }
+    };
+  }
+
+  // 管（LineString / MultiLineString）の場合
+  const parts = lineParts(items, all, local);
+  if (parts.length === 0) return null;
+  return {
+    type: 'Feature',
+    geometry: parts.length === 1 && geometryType !== 'MultiLineString'
+      ? { type: 'LineString', coordinates: parts[0] }
+      : { type: 'MultiLineString', coordinates: parts },
+    properties: { ...properties }
+  };
+}
+
+/**
+ * 区間・連続管から折れ線の頂点列を復元する（パーツ番号順）。
+ * 区間は共有の頂点列から取り出し、作れなかった区間（長さ 0 など）の頂点は後ろの区間と、末尾なら前の区間とつなぐ。
+ * all のうち items にない区間をはさむところで別パーツになる。
+ * local が MultiLineString なら、管を 1 本も作れなかったパーツ（頂点 1 つなど）を元の頂点列のまま補う。
+ */
+function lineParts(items, all, local) {
+  const order = (obj) => [obj.userData.partIndex ?? 0, obj.userData.segmentIndex ?? 0];
+  const sorted = items.slice().sort((a, b) => {
+    const [pa, sa] = order(a);
+    const [pb, sb] = order(b);
+    return pa - pb || sa - sb;
+  });
+  // 頂点列 → all で作られている区間番号
+  const built = new Map();
+  for (const obj of all) {
+    const { kind, coordinates, segmentIndex } = obj.userData;
+    if (kind !== 'segment' || !coordinates) continue;
+    if (!built.has(coordinates)) built.set(coordinates, []);
+    built.get(coordinates).push(segmentIndex);
+  }
+  const copy = (coords) => coords.map(c => c.slice());
+
+  const parts = [];
+  let current = null;
+  let prev = null;
+  for (const obj of sorted) {
+    const ud = obj.userData;
+    if (ud.kind === 'tube') {
+      parts.push({ partIndex: ud.partIndex ?? 0, coordinates: copy(ud.coordinates) });
+      current = null;
+      continue;
+    }
+    const { coordinates, segmentIndex: i } = ud;
+    if (!coordinates) continue;
+    const indices = built.get(coordinates);
+    const before = Math.max(-1, ...indices.filter(k => k < i));
+    const isLast = !indices.some(k => k > i);
+    const continues = current && prev.coordinates === coordinates && prev.segmentIndex === before;
+    if (!continues) {
+      current = { partIndex: ud.partIndex ?? 0, coordinates: [] };
+      parts.push(current);
+    }
+    // 前の区間の終点（先頭なら頂点列の最初）から、この区間の終点（最後の区間なら頂点列の最後）まで
+    const from = continues ? before + 2 : before + 1;
+    current.coordinates.push(...copy(coordinates.slice(from, isLast ? coordinates.length : i + 2)));
+    prev = ud;
+  }
+
+  if (local?.type === 'MultiLineString') {
+    const present = new Set(all.map(obj => obj.userData.partIndex ?? 0));
+    (local.coordinates ?? []).forEach((coords, partIndex) => {
+      if (!present.has(partIndex)) parts.push({ partIndex, coordinates: copy(coords) });
+    });
+  }
+  return parts
+    .filter(part => part.coordinates.length > 0)
+    .sort((a, b) => a.partIndex - b.partIndex)
+    .map(part => part.coordinates);
+}
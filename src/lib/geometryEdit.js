@@ -0,0 +1,338 @@
+import * as THREE from 'three';
+import {
+  createLinePipes,
+  createSegmentPipe,
+  forEachPipe,
+  getPipeCenterline,
+  isPipePresent,
+  rebuildPipeMeshFromUserData,
+  removePipe,
+  restorePipe,
+  toNumber
+} from './pipes.js';
+
+/**
+ * 形状編集の既定値。
+ * snapTolerance: 頂点を他の管の頂点・点施設に吸着させる距離（m）
+ * collinearAngle: 結合できる折れ角の上限（度）
+ */
+export const DEFAULT_EDIT_OPTIONS = {
+  snapTolerance: 0.5,
+  collinearAngle: 2
+};
+
+// 頂点ごとの値を持つ属性（頂点の追加・削除に合わせて並びを直す）
+const VERTEX_LIST_KEYS = ['depths', 'vertex_depths', 'elevations', 'vertex_elevations'];
+
+// 分割位置が頂点にこれより近ければ分割しない（区間長に対する割合）
+const MIN_SPLIT_RATIO = 0.01;
+
+/**
+ * 編集できる頂点列。区間は同じ折れ線の区間と共有する頂点列、連続管は自身の頂点列。
+ * 点施設・構造物・曲管は null。
+ */
+export function editableVertices(item) {
+  const { kind, coordinates } = item?.userData ?? {};
+  return (kind === 'segment' || kind === 'tube') && Array.isArray(coordinates) ? coordinates : null;
+}
+
+/**
+ * 同じ頂点列を共有する管（区間なら同じ折れ線の区間を区間番号順）。
+ */
+export function lineItems(group, item) {
+  const coordinates = editableVertices(item);
+  const items = [];
+  forEachPipe(group, other => {
+    if (other.userData.coordinates === coordinates) items.push(other);
+  });
+  return items.sort((a, b) => (a.userData.segmentIndex ?? 0) - (b.userData.segmentIndex ?? 0));
+}
+
+/**
+ * 平面位置に最も近い、管の頂点の番号（区間は両端のどちらか）。編集できない管は -1。
+ */
+export function nearestVertex(item, [x, y]) {
+  const coordinates = editableVertices(item);
+  if (!coordinates) return -1;
+  const candidates = item.userData.kind === 'segment'
+    ? [item.userData.segmentIndex, item.userData.segmentIndex + 1]
+    : coordinates.map((_, i) => i);
+  let best = -1;
+  let bestDist = Infinity;
+  for (const i of candidates) {
+    const d = Math.hypot(coordinates[i][0] - x, coordinates[i][1] - y);
+    if (d < bestDist) {
+      best = i;
+      bestDist = d;
+    }
+  }
+  return best;
+}
+
+/**
+ * 頂点のワールド座標（高さは中心線上で平面位置が最も近い点）。
+ */
+export function vertexPosition(item, index) {
+  const [x, y] = editableVertices(item)[index];
+  let level = 0;
+  let bestDist = Infinity;
+  for (const p of getPipeCenterline(item)) {
+    const d = Math.hypot(p.x - x, p.z - y);
+    if (d < bestDist) {
+      level = p.y;
+      bestDist = d;
+    }
+  }
+  return new THREE.Vector3(x, level, y);
+}
+
+/**
+ * 頂点を平面位置 [x, y] へ動かし、頂点列を共有する管を作り直す（Z 値はそのまま）。
+ */
+export function moveVertex(group, item, index, [x, y]) {
+  const vertex = editableVertices(item)[index];
+  vertex[0] = x;
+  vertex[1] = y;
+  refreshLine(group, item);
+}
+
+/**
+ * 平面位置 [x, y] から tolerance 以内にある、他の管の頂点または点施設の位置へ吸着させる。
+ * 戻り値は { point, snapped }。
+ */
+export function snapVertex(group, item, [x, y], tolerance = DEFAULT_EDIT_OPTIONS.snapTolerance) {
+  const own = editableVertices(item);
+  let point = [x, y];
+  let bestDist = tolerance;
+  const consider = (c) => {
+    const d = Math.hypot(c[0] - x, c[1] - y);
+    if (d <= bestDist) {
+      point = [c[0], c[1]];
+      bestDist = d;
+    }
+  };
+  forEachPipe(group, other => {
+    const { kind, coordinates } = other.userData;
+    if (coordinates === own || !Array.isArray(coordinates)) return;
+    if (kind === 'node') consider(coordinates);
+    else if (kind === 'segment' || kind === 'tube') coordinates.forEach(consider);
+  });
+  return { point, snapped: point[0] !== x || point[1] !== y };
+}
+
+/**
+ * 管をワールド座標の点で分割する（点を頂点列に挿入する）。
+ * 区間は 2 つの区間に分け、増えた区間のメッシュをグループに追加する。連続管は頂点が増えるだけ。
+ * 戻り値は { vertex, added }（挿入した頂点の番号と追加した管）。頂点に近すぎるなど分割できなければ null。
+ */
+export function splitPipe(group, item, point) {
+  const coordinates = editableVertices(item);
+  if (!coordinates) return null;
+  const segmentIndex = item.userData.kind === 'segment'
+    ? item.userData.segmentIndex
+    : nearestSegment(coordinates, [point.x, point.z]);
+  const a = coordinates[segmentIndex];
+  const b = coordinates[segmentIndex + 1];
+  const t = projectOnSegment(a, b, [point.x, point.z]);
+  if (!(t > MIN_SPLIT_RATIO && t < 1 - MIN_SPLIT_RATIO)) return null;
+
+  const vertex = segmentIndex + 1;
+  const inserted = [a[0] + (b[0] - a[0]) * t, a[1] + (b[1] - a[1]) * t];
+  const za = toNumber(a[2]);
+  const zb = toNumber(b[2]);
+  if (isFinite(za) && isFinite(zb)) inserted.push(za + (zb - za) * t);
+  coordinates.splice(vertex, 0, inserted);
+
+  const items = lineItems(group, item);
+  for (const other of items) {
+    if (other.userData.kind === 'segment' && other.userData.segmentIndex >= vertex) other.userData.segmentIndex++;
+    other.userData.properties = insertVertexValue(other.userData.properties, coordinates.length - 1, vertex, t);
+  }
+
+  const added = [];
+  if (item.userData.kind === 'segment') {
+    const { featureIndex, geometryType, partIndex, buildOptions } = item.userData;
+    const mesh = createSegmentPipe(coordinates, vertex, { ...item.userData.properties }, buildOptions);
+    if (mesh) {
+      Object.assign(mesh.userData, { featureIndex, geometryType, partIndex });
+      group.add(mesh);
+      added.push(mesh);
+    }
+  }
+  refreshLine(group, item);
+  return { vertex, added };
+}
+
+/**
+ * 頂点 index をはさむ 2 区間を 1 つに結合する（頂点を取り除く）。
+ * 区間は後ろ側の区間のメッシュを取り除く。連続管は頂点が減るだけ。
+ * 戻り値は { removed }（取り除いた管）。結合できない場合は { error }。
+ */
+export function mergeAtVertex(group, item, index, { collinearAngle = DEFAULT_EDIT_OPTIONS.collinearAngle } = {}) {
+  const coordinates = editableVertices(item);
+  if (!coordinates || !(index > 0 && index < coordinates.length - 1)) return { error: '折れ線の途中の頂点ではありません' };
+
+  const items = lineItems(group, item);
+  let points;
+  let removed = [];
+  if (item.userData.kind === 'segment') {
+    const before = items.find(other => other.userData.segmentIndex === index - 1);
+    const after = items.find(other => other.userData.segmentIndex === index);
+    if (!before || !after) return { error: '隣の区間がありません' };
+    if (JSON.stringify(before.userData.properties) !== JSON.stringify(after.userData.properties)) {
+      return { error: '属性が異なる区間は結合できません' };
+    }
+    const [p0, p1] = getPipeCenterline(before);
+    const [, p2] = getPipeCenterline(after);
+    points = [p0, p1, p2];
+    removed = [after];
+  } else {
+    points = [coordinates[index - 1], coordinates[index], coordinates[index + 1]].map(([x, y]) => new THREE.Vector3(x, 0, y));
+  }
+  const d1 = new THREE.Vector3().subVectors(points[1], points[0]);
+  const d2 = new THREE.Vector3().subVectors(points[2], points[1]);
+  const angle = THREE.MathUtils.radToDeg(d1.angleTo(d2));
+  if (!(angle <= collinearAngle)) return { error: `折れ角が ${angle.toFixed(1)}° あります（${collinearAngle}° まで）` };
+
+  for (const r of removed) removePipe(r);
+  coordinates.splice(index, 1);
+  for (const other of items) {
+    if (removed.includes(other)) continue;
+    if (other.userData.kind === 'segment' && other.userData.segmentIndex > index) other.userData.segmentIndex--;
+    other.userData.properties = removeVertexValue(other.userData.properties, coordinates.length + 1, index);
+  }
+  refreshLine(group, item);
+  return { removed };
+}
+
+/**
+ * 平面の頂点列 [[x, y], ...] から新しい管を作ってグループに加える。
+ * 要素番号は取込時の Feature の数から順に振り、書き出しでは新しい LineString になる。
+ */
+export function addLinePipe(group, coords, props) {
+  const meshes = createLinePipes(coords, props, group.userData.buildOptions);
+  if (meshes.length === 0) return meshes;
+  const featureIndex = group.userData.featureCount ?? 0;
+  group.userData.featureCount = featureIndex + 1;
+  for (const mesh of meshes) {
+    Object.assign(mesh.userData, { featureIndex, geometryType: 'LineString', partIndex: 0 });
+    group.add(mesh);
+  }
+  return meshes;
+}
+
+/**
+ * 頂点列を共有する管の状態（頂点・区間番号・端点・属性）を控える（履歴から戻す用）。
+ */
+export function captureLine(group, item) {
+  return {
+    coordinates: editableVertices(item),
+    vertices: editableVertices(item).map(c => c.slice()),
+    items: lineItems(group, item).map(other => ({
+      item: other,
+      segmentIndex: other.userData.segmentIndex,
+      endpoints: other.userData.endpoints && { ...other.userData.endpoints },
+      properties: other.userData.properties
+    }))
+  };
+}
+
+/**
+ * captureLine で控えた状態に戻す。控えた後に増えた管は取り除き、取り除かれた管は戻す。
+ * 戻した後の管の一覧を返す。
+ */
+export function restoreLine(group, snapshot) {
+  const { coordinates, vertices, items } = snapshot;
+  coordinates.splice(0, coordinates.length, ...vertices.map(c => c.slice()));
+  const kept = new Set(items.map(state => state.item));
+  const representative = items[0].item;
+  for (const other of lineItems(group, representative)) {
+    if (!kept.has(other)) removePipe(other);
+  }
+  for (const { item, segmentIndex, endpoints, properties } of items) {
+    if (item.userData.kind === 'segment') Object.assign(item.userData, { segmentIndex, endpoints: { ...endpoints } });
+    item.userData.properties = properties;
+    if (isPipePresent(item)) rebuildPipeMeshFromUserData(item);
+    else restorePipe(group, item);
+  }
+  return items.map(state => state.item);
+}
+
+/**
+ * 頂点列を共有する管の区間端点を頂点列に合わせ、形状を作り直す。
+ */
+function refreshLine(group, item) {
+  const coordinates = editableVertices(item);
+  for (const other of lineItems(group, item)) {
+    if (other.userData.kind === 'segment') {
+      const i = other.userData.segmentIndex;
+      other.userData.endpoints = { x1: coordinates[i][0], y1: coordinates[i][1], x2: coordinates[i + 1][0], y2: coordinates[i + 1][1] };
+    }
+    rebuildPipeMeshFromUserData(other);
+  }
+}
+
+/**
+ * 平面位置に最も近い区間の番号。
+ */
+function nearestSegment(coordinates, p) {
+  let best = 0;
+  let bestDist = Infinity;
+  for (let i = 0; i < coordinates.length - 1; i++) {
+    const a = coordinates[i];
+    const b = coordinates[i + 1];
+    const t = Math.min(1, Math.max(0, projectOnSegment(a, b, p)));
+    const d = Math.hypot(a[0] + (b[0] - a[0]) * t - p[0], a[1] + (b[1] - a[1]) * t - p[1]);
+    if (d < bestDist) {
+      best = i;
+      bestDist = d;
+    }
+  }
+  return best;
+}
+
+/**
+ * 平面の線分 a→b 上への射影の位置（a=0, b=1）。
+ */
+function projectOnSegment(a, b, [x, y]) {
+  const dx = b[0] - a[0];
+  const dy = b[1] - a[1];
+  const len2 = dx * dx + dy * dy;
+  return len2 > 0 ? ((x - a[0]) * dx + (y - a[1]) * dy) / len2 : NaN;
+}
+
+/**
+ * 頂点ごとの値の属性に、頂点 index（前後の頂点の間の位置 t）の値を補間して挿入する。
+ * count は挿入前の頂点数。
+ */
+function insertVertexValue(props, count, index, t) {
+  return editVertexLists(props, count, list => {
+    const a = toNumber(list[index - 1]);
+    const b = toNumber(list[index]);
+    list.splice(index, 0, Number((a + (b - a) * t).toFixed(4)));
+  });
+}
+
+/**
+ * 頂点ごとの値の属性から頂点 index の値を取り除く。count は削除前の頂点数。
+ */
+function removeVertexValue(props, count, index) {
+  return editVertexLists(props, count, list => list.splice(index, 1));
+}
+
+/**
+ * 頂点ごとの値の属性（配列またはカンマ区切り文字列）を編集した属性のコピー。
+ * 長さが頂点数 count と合わない属性はそのまま残す。
+ */
+function editVertexLists(props, count, edit) {
+  if (!props) return props;
+  const next = { ...props };
+  for (const key of VERTEX_LIST_KEYS) {
+    const value = next[key];
+    const list = Array.isArray(value) ? value.slice() : typeof value === 'string' && value.includes(',') ? value.split(',') : null;
+    if (list?.length !== count) continue;
+    edit(list);
+    next[key] = Array.isArray(value) ? list : list.join(',');
+  }
+  return next;
+}
@@ -0,0 +1,95 @@
+import * as THREE from 'three';
+import { forEachPipe, getPipeCenterline } from './pipes.js';
+
+/**
+ * 勾配解析の既定値。
+ * gravityLayers: 自然流下とみなすレイヤー名（部分一致、大文字小文字を区別しない）
+ * minSlope: 最小勾配（下り勾配の割合、0.003 = 3‰）
+ */
+export const DEFAULT_GRADIENT_OPTIONS = {
+  gravityLayers: ['下水', 'sewer'],
+  minSlope: 0.003
+};
+
+// 判定の表示色
+export const GRADIENT_COLORS = { ok: '#16a34a', flat: '#f59e0b', adverse: '#dc2626' };
+
+// これ未満の高低差は水平とみなす（m）
+const LEVEL_EPSILON = 1e-4;
+
+/**
+ * 自然流下レイヤーの管ごとに勾配を計算する。
+ * 勾配はデジタイズ方向（始点 → 終点）に下る向きを正とし、管底（中心線と同じ差）の高低差を平面距離で割る。
+ * 連続管・曲管は中心線の区間ごとに計算し、最も悪い区間の判定をその管の判定とする。
+ *
+ * 戻り値: [{ item, length, drop, slope, status, pieces: [{ start, end, slope, status }] }]
+ * status: 'ok' | 'flat'（最小勾配未満）| 'adverse'（逆勾配）
+ */
+export function analyzeGradients(group, options = {}) {
+  const { gravityLayers, minSlope } = { ...DEFAULT_GRADIENT_OPTIONS, ...options };
+  const results = [];
+  forEachPipe(group, item => {
+    if (!isGravityLayer(item.userData.layer, gravityLayers)) return;
+    const line = getPipeCenterline(item);
+    if (line.length < 2) return;
+
+    const pieces = [];
+    for (let i = 0; i < line.length - 1; i++) {
+      const start = line[i];
+      const end = line[i + 1];
+      const run = Math.hypot(end.x - start.x, end.z - start.z);
+      if (!(run > 0)) continue;
+      const slope = (start.y - end.y) / run;
+      pieces.push({ start, end, run, slope, status: slopeStatus(start.y - end.y, slope, minSlope) });
+    }
+    if (pieces.length === 0) return;
+
+    const length = pieces.reduce((sum, p) => sum + p.run, 0);
+    const drop = line[0].y - line[line.length - 1].y;
+    const worst = pieces.reduce((a, b) => (STATUS_RANK[b.status] > STATUS_RANK[a.status] ? b : a));
+    results.push({ item, length, drop, slope: drop / length, status: worst.status, pieces });
+  });
+  return results;
+}
+
+/**
+ * 判定ごとの件数。
+ */
+export function countGradientStatus(results) {
+  const counts = { ok: 0, flat: 0, adverse: 0 };
+  for (const r of results) counts[r.status]++;
+  return counts;
+}
+
+/**
+ * 流れの向きを表す矢印（区間の中点に、実際に下る向きで置く）。
+ * 戻り値: [{ position, direction, color }]
+ */
+export function gradientArrows(results) {
+  const arrows = [];
+  for (const { pieces } of results) {
+    for (const { start, end, slope, status } of pieces) {
+      const direction = new THREE.Vector3().subVectors(end, start).normalize();
+      if (slope < 0) direction.negate();
+      arrows.push({
+        position: new THREE.Vector3().addVectors(start, end).multiplyScalar(0.5),
+        direction,
+        color: GRADIENT_COLORS[status]
+      });
+    }
+  }
+  return arrows;
+}
+
+const STATUS_RANK = { ok: 0, flat: 1, adverse: 2 };
+
+function slopeStatus(drop, slope, minSlope) {
+  if (drop < -LEVEL_EPSILON) return 'adverse';
+  if (slope < minSlope) return 'flat';
+  return 'ok';
+}
+
+function isGravityLayer(layer, patterns) {
+  const l = String(layer ?? '').toLowerCase();
+  return (patterns ?? []).some(p => p && l.includes(String(p).toLowerCase()));
+}
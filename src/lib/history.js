@@ -0,0 +1,62 @@
+// 履歴に残す操作の上限（超えたら古いものから捨てる）
+export const DEFAULT_HISTORY_LIMIT = 200;
+
+/**
+ * 編集の履歴（元に戻す・やり直す）。
+ * 操作は { label, undo(), redo(), key } で、実行済みの状態で push する。
+ * key が直前の操作と同じなら 1 つにまとめる（属性の 1 文字ずつの入力など）。
+ * entries は古い順の [{ label, time, done }]（done: false はやり直せる操作）。
+ */
+export function createHistory({ limit = DEFAULT_HISTORY_LIMIT } = {}) {
+  const done = [];
+  const undone = [];
+
+  return {
+    get entries() {
+      const entry = (command, isDone) => ({ label: command.label, time: command.time, done: isDone });
+      return [...done.map(c => entry(c, true)), ...undone.slice().reverse().map(c => entry(c, false))];
+    },
+    get canUndo() {
+      return done.length > 0;
+    },
+    get canRedo() {
+      return undone.length > 0;
+    },
+    push(command) {
+      const last = done[done.length - 1];
+      const time = Date.now();
+      if (command.key && last?.key === command.key && undone.length === 0) {
+        last.redo = command.redo;
+        last.time = time;
+        return;
+      }
+      undone.length = 0;
+      done.push({ ...command, time });
+      if (done.length > limit) done.shift();
+    },
+    /**
+     * 直前の操作を元に戻す。戻した操作（なければ null）。
+     */
+    undo() {
+      const command = done.pop();
+      if (!command) return null;
+      command.undo();
+      undone.push(command);
+      return command;
+    },
+    /**
+     * 元に戻した操作をやり直す。やり直した操作（なければ null）。
+     */
+    redo() {
+      const command = undone.pop();
+      if (!command) return null;
+      command.redo();
+      done.push(command);
+      return command;
+    },
+    clear() {
+      done.length = 0;
+      undone.length = 0;
+    }
+  };
+}
@@ -0,0 +1,153 @@
+import { toNumber } from './numbers.js';
+
+const STORAGE_KEY = 'pipeImportProfiles';
+
+// 単位 → m への倍率
+const UNIT_SCALE = { mm: 0.001, cm: 0.01, m: 1 };
+
+export const UNIT_CHOICES = [
+  { value: 'mm', label: 'mm' },
+  { value: 'cm', label: 'cm' },
+  { value: 'm', label: 'm' }
+];
+
+/**
+ * プロファイルで対応付けできる項目。length: true の項目は単位を持つ。
+ */
+export const PROFILE_FIELDS = [
+  { key: 'diameter', label: '管径', length: true },
+  { key: 'radius', label: '半径', length: true },
+  { key: 'width', label: '幅', length: true },
+  { key: 'height', label: '高さ', length: true },
+  { key: 'bendRadius', label: '曲げ半径', length: true },
+  { key: 'length', label: '長さ（箱形の施設）', length: true },
+  { key: 'structureDepth', label: '深さ（施設の高さ）', length: true },
+  { key: 'startDepth', label: '始点深さ', length: true },
+  { key: 'endDepth', label: '終点深さ', length: true },
+  { key: 'layer', label: 'レイヤー', length: false },
+  { key: 'material', label: '材質', length: false }
+];
+
+/**
+ * 既定の取込プロファイル（従来の属性名）。値から単位を推定はせず、管径（呼び径）は mm、それ以外の長さは m で読む。
+ * fields の property は候補の属性名（先に見つかったものを使う）、unit は 'mm' | 'cm' | 'm'。
+ */
+export const DEFAULT_IMPORT_PROFILE = {
+  name: '既定',
+  fields: {
+    diameter: { property: ['diameter'], unit: 'mm' },
+    radius: { property: ['radius'], unit: 'm' },
+    width: { property: ['width'], unit: 'm' },
+    height: { property: ['height'], unit: 'm' },
+    bendRadius: { property: ['arc_radius', 'bend_radius'], unit: 'm' },
+    length: { property: ['length'], unit: 'm' },
+    structureDepth: { property: ['depth'], unit: 'm' },
+    startDepth: { property: ['start_point_depth', 'start_point depth', 'start_depth'], unit: 'm' },
+    endDepth: { property: ['end_point_depth', 'end_point depth', 'end_depth'], unit: 'm' },
+    layer: { property: ['layer'] },
+    material: { property: ['material'] }
+  }
+};
+
+/**
+ * 項目の設定（プロファイルに無い項目は既定値）。
+ */
+function profileField(profile, key) {
+  return profile?.fields?.[key] ?? DEFAULT_IMPORT_PROFILE.fields[key];
+}
+
+/**
+ * 属性名の候補を配列で返す（カンマ区切り文字列も可）。
+ */
+export function propertyNames(field) {
+  const names = Array.isArray(field?.property) ? field.property : String(field?.property ?? '').split(',');
+  return names.map(n => String(n).trim()).filter(Boolean);
+}
+
+/**
+ * プロファイルの項目に対応する属性値（未設定なら undefined）。
+ */
+export function readProfileValue(props, profile, key) {
+  for (const name of propertyNames(profileField(profile, key))) {
+    const value = props?.[name];
+    if (value != null && value !== '') return value;
+  }
+  return undefined;
+}
+
+/**
+ * 長さの項目を m で読む。無効なら NaN。
+ */
+export function readProfileLength(props, profile, key) {
+  const n = toNumber(readProfileValue(props, profile, key));
+  if (!isFinite(n)) return NaN;
+  const unit = profileField(profile, key)?.unit ?? 'm';
+  return n * (UNIT_SCALE[unit] ?? 1);
+}
+
+/**
+ * プロファイルの項目の最初の属性名に値を書く（新しく作る要素の属性用）。
+ */
+export function writeProfileValue(props, profile, key, value) {
+  const [name] = propertyNames(profileField(profile, key));
+  if (name) props[name] = value;
+  return props;
+}
+
+/**
+ * 長さ（m）をプロファイルの単位に換算して書く。
+ */
+export function writeProfileLength(props, profile, key, meters) {
+  const unit = profileField(profile, key)?.unit ?? 'm';
+  const value = meters / (UNIT_SCALE[unit] ?? 1);
+  return writeProfileValue(props, profile, key, Number(value.toFixed(6)));
+}
+
+/**
+ * 読み込んだ JSON をプロファイルとして整える。不正なら Error を投げる。
+ */
+export function normalizeProfile(json) {
+  if (!json || typeof json !== 'object' || typeof json.fields !== 'object') {
+    throw new Error('プロファイルには name と fields が必要です。');
+  }
+  const fields = {};
+  for (const { key, length } of PROFILE_FIELDS) {
+    const field = json.fields[key] ?? DEFAULT_IMPORT_PROFILE.fields[key];
+    // 以前の 'auto'（値からの推定）は既定の単位として読む
+    const unit = field.unit === 'auto' ? DEFAULT_IMPORT_PROFILE.fields[key].unit : (field.unit ?? 'm');
+    if (length && !UNIT_CHOICES.some(c => c.value === unit)) throw new Error(`${key} の単位が不正です: ${unit}`);
+    fields[key] = length ? { property: propertyNames(field), unit } : { property: propertyNames(field) };
+  }
+  return { name: String(json.name || '読み込んだプロファイル'), fields };
+}
+
+/**
+ * ブラウザに保存したプロファイルの一覧。
+ */
+export function loadSavedProfiles() {
+  try {
+    const list = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+    return Array.isArray(list) ? list.map(normalizeProfile) : [];
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * プロファイルをブラウザに保存（同名は上書き）し、保存後の一覧を返す。
+ */
+export function saveProfile(profile) {
+  const list = loadSavedProfiles().filter(p => p.name !== profile.name);
+  list.push(normalizeProfile(profile));
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(list));
+  return list;
+}
+
+/**
+ * 保存済みプロファイルを削除し、削除後の一覧を返す。
+ */
+export function removeSavedProfile(name) {
+  const list = loadSavedProfiles().filter(p => p.name !== name);
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(list));
+  return list;
+}
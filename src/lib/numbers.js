@@ -0,0 +1,10 @@
+/**
+ * 文字列などを数値化。不可なら NaN。
+ * "75mm" や "1,200" のような単位・区切り付きの文字列も数字部分だけを読む。
+ */
+export function toNumber(v) {
+  if (v == null) return NaN;
+  if (typeof v === 'number') return v;
+  if (typeof v === 'string') return Number(v.replace(/[^\d.+\-eE]/g, '').trim());
+  return NaN;
+}
@@ -0,0 +1,90 @@
+import * as THREE from 'three';
+import { getPipeCenterline } from './pipes.js';
+
+// 解析結果の重ね描きは管に隠れないよう最前面に描く
+const OVERLAY_RENDER_ORDER = 10;
+
+/**
+ * 管の中心線を線で重ね描きする（追跡結果・島などの強調表示用）。
+ * colorOf(item) を渡すと管ごとに色を変えられる。
+ */
+export function createCenterlineOverlay(items, color = 0xff00ff, colorOf = null) {
+  const positions = [];
+  const colors = [];
+  const c = new THREE.Color();
+  for (const item of items) {
+    const line = getPipeCenterline(item);
+    c.set(colorOf ? colorOf(item) : color);
+    for (let i = 0; i < line.length - 1; i++) {
+      positions.push(...line[i].toArray(), ...line[i + 1].toArray());
+      colors.push(c.r, c.g, c.b, c.r, c.g, c.b);
+    }
+  }
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+  geometry.setAttribute('color', new THREE.Float32BufferAttribute(colors, 3));
+  const lines = new THREE.LineSegments(geometry, new THREE.LineBasicMaterial({
+    vertexColors: true,
+    depthTest: false,
+    transparent: true
+  }));
+  lines.renderOrder = OVERLAY_RENDER_ORDER;
+  return lines;
+}
+
+/**
+ * 点列を結ぶ折れ線を重ね描きする（断面線などの作図用）。
+ */
+export function createPolylineOverlay(points, color = 0xff00ff) {
+  const geometry = new THREE.BufferGeometry().setFromPoints(points);
+  const line = new THREE.Line(geometry, new THREE.LineBasicMaterial({ color, depthTest: false, transparent: true }));
+  line.renderOrder = OVERLAY_RENDER_ORDER;
+  return line;
+}
+
+/**
+ * 位置の一覧に球の目印を置く（端点・干渉箇所などの表示用）。
+ */
+export function createPointMarkers(points, color = 0xff0000, size = 0.3) {
+  const geometry = new THREE.SphereGeometry(size / 2, 12, 8);
+  const material = new THREE.MeshBasicMaterial({ color, depthTest: false, transparent: true, opacity: 0.85 });
+  const mesh = new THREE.InstancedMesh(geometry, material, Math.max(1, points.length));
+  const matrix = new THREE.Matrix4();
+  points.forEach((p, i) => mesh.setMatrixAt(i, matrix.makeTranslation(p.x, p.y, p.z)));
+  mesh.count = points.length;
+  mesh.renderOrder = OVERLAY_RENDER_ORDER;
+  return mesh;
+}
+
+/**
+ * 向き付きの矢印（円錐）を並べる。arrows は [{ position, direction, color }]。
+ */
+export function createArrowMarkers(arrows, size = 0.5) {
+  const geometry = new THREE.ConeGeometry(size * 0.35, size, 12);
+  const material = new THREE.MeshBasicMaterial({ depthTest: false, transparent: true, opacity: 0.9 });
+  const mesh = new THREE.InstancedMesh(geometry, material, Math.max(1, arrows.length));
+  const matrix = new THREE.Matrix4();
+  const quaternion = new THREE.Quaternion();
+  const scale = new THREE.Vector3(1, 1, 1);
+  const color = new THREE.Color();
+  arrows.forEach(({ position, direction, color: c }, i) => {
+    // 円錐の先端（+Y）を流れの向きに合わせる
+    quaternion.setFromUnitVectors(new THREE.Vector3(0, 1, 0), direction);
+    mesh.setMatrixAt(i, matrix.compose(position, quaternion, scale));
+    mesh.setColorAt(i, color.set(c));
+  });
+  mesh.count = arrows.length;
+  mesh.renderOrder = OVERLAY_RENDER_ORDER;
+  return mesh;
+}
+
+/**
+ * 重ね描きオブジェクトの形状・マテリアルを破棄する。
+ */
+export function disposeOverlay(object) {
+  object?.traverse(obj => {
+    obj.geometry?.dispose();
+    if (Array.isArray(obj.material)) obj.material.forEach(m => m.dispose());
+    else obj.material?.dispose();
+  });
+}
@@ -0,0 +1,106 @@
+import * as THREE from 'three';
+
+const HIGHLIGHT_COLOR = new THREE.Color(0xffff00);
+const ZERO_SCALE = new THREE.Vector3(0, 0, 0);
+
+/**
+ * 区間レコード（{ userData }）をレイヤーごとの InstancedMesh にまとめる。
+ * resolve(userData) は { matrix, color } を返す（形状が無効なら null）。
+ * createMaterial(userData) はバケットごとのマテリアルを生成する（色はインスタンス色で上書き）。
+ * geometry は全バケットで共有する単位形状（幅・長さ・高さ 1、長さ方向が Y）。
+ */
+export function createInstancedSegments(records, { resolve, createMaterial, geometry }) {
+  const byLayer = new Map();
+  for (const record of records) {
+    const layer = record.userData.layer ?? '';
+    if (!byLayer.has(layer)) byLayer.set(layer, []);
+    byLayer.get(layer).push(record);
+  }
+
+  const meshes = [];
+  for (const [layer, list] of byLayer) {
+    const material = createMaterial(list[0].userData);
+    material.color.set(0xffffff);
+    const mesh = new THREE.InstancedMesh(geometry, material, list.length);
+    mesh.userData.layer = layer;
+    mesh.userData.instances = list.map((record, index) => createPipeInstance(mesh, index, record.userData, resolve));
+    for (const instance of mesh.userData.instances) instance.update();
+    meshes.push(mesh);
+  }
+  return meshes;
+}
+
+/**
+ * InstancedMesh 内の 1 区間を、通常メッシュと同じように扱うためのハンドル。
+ * visible / userData / uuid は Object3D と同じ感覚で使える。
+ */
+function createPipeInstance(mesh, index, userData, resolve) {
+  let visible = true;
+  let removed = false;
+  let highlighted = false;
+  const matrix = new THREE.Matrix4();
+  const hiddenMatrix = new THREE.Matrix4();
+  const color = new THREE.Color();
+
+  function writeMatrix() {
+    // 非表示は縮尺 0 で潰す（描画・レイキャストの対象外になる）
+    mesh.setMatrixAt(index, visible && !removed ? matrix : hiddenMatrix);
+    mesh.instanceMatrix.needsUpdate = true;
+    mesh.boundingSphere = null;
+    mesh.boundingBox = null;
+  }
+
+  function writeColor() {
+    mesh.setColorAt(index, highlighted ? HIGHLIGHT_COLOR : color);
+    mesh.instanceColor.needsUpdate = true;
+  }
+
+  return {
+    isPipeInstance: true,
+    uuid: THREE.MathUtils.generateUUID(),
+    instancedMesh: mesh,
+    index,
+    userData,
+    get visible() {
+      return visible;
+    },
+    set visible(value) {
+      visible = !!value;
+      writeMatrix();
+    },
+    get removed() {
+      return removed;
+    },
+    /**
+     * 形状の編集で取り除いた区間。以後は表示を切り替えても描画しない。
+     */
+    remove() {
+      removed = true;
+      writeMatrix();
+    },
+    restore() {
+      removed = false;
+      writeMatrix();
+    },
+    /**
+     * userData から配置と色を再計算。形状が無効なら何もせず false。
+     */
+    update() {
+      const state = resolve(userData);
+      if (!state) return false;
+      matrix.copy(state.matrix);
+      hiddenMatrix.copy(state.matrix).scale(ZERO_SCALE);
+      color.copy(state.color);
+      writeMatrix();
+      writeColor();
+      return true;
+    },
+    getColor(target = new THREE.Color()) {
+      return target.copy(color);
+    },
+    setHighlight(on) {
+      highlighted = !!on;
+      writeColor();
+    }
+  };
+}
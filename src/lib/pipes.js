@@ -1,19 +1,64 @@
 import * as THREE from 'three';
+import { archProfile, circleProfile, eggProfile, filletPath, rectProfile, sweepProfile } from './sweep.js';
+import { createInstancedSegments } from './pipeInstances.js';
+import { DEFAULT_STYLE, evaluateStyle } from './style.js';
+import { toNumber } from './numbers.js';
+import { DEFAULT_IMPORT_PROFILE, propertyNames, readProfileLength, readProfileValue } from './importProfile.js';
+import { createDiagnostics } from './diagnostics.js';
+
+export { toNumber };
+
+// エルボ継手の曲げ半径（管半径に対する倍率）
+const ELBOW_RADIUS_FACTOR = 3;
+// インスタンス描画でまとめられる断面（それ以外は個別メッシュ）
+const INSTANCED_SECTIONS = new Set(['circle', 'rect']);
+// 角を立てて陰影付けする断面
+const FLAT_SECTIONS = new Set(['rect', 'custom']);
+// これを超える管径（m）は入力ミスの疑いとして診断に出す
+const SUSPICIOUS_DIAMETER = 5;
+
+/**
+ * 構築オプションの既定値。
+ * lineMode: 'segments'（隣接ペアごとの円柱）| 'tube'（Feature ごとの連続管）
+ * joint: 'miter' | 'elbow'（tube の折れ点の継手形状）
+ * renderMode: 'standard'（区間ごとのメッシュ）| 'instanced'（区間をレイヤーごとの InstancedMesh に集約）
+ * elevationMode: 'depth'（座標の Z 値は地表からの深さ）| 'elevation'（Z 値は標高）
+ * elevationOrigin: elevation 時に地表 (Y=0) とみなす標高
+ * style: 色・不透明度・円周分割数のスタイル設定（style.js の DEFAULT_STYLE を参照）
+ * profile: 属性名と単位の取込プロファイル（importProfile.js の DEFAULT_IMPORT_PROFILE を参照）
+ * groundSurface: 深さを測る地表面の高さ (x, y) => Y（terrain.js の terrainSurface）。null なら地表は Y=0
+ * depthCorrect: 管を不透明にして深度を書き込み、前後関係を正しく描く（既定は半透明で深度を書き込まない）
+ */
+export const DEFAULT_BUILD_OPTIONS = {
+  lineMode: 'segments',
+  joint: 'miter',
+  renderMode: 'standard',
+  elevationMode: 'depth',
+  elevationOrigin: 0,
+  style: DEFAULT_STYLE,
+  profile: DEFAULT_IMPORT_PROFILE,
+  groundSurface: null,
+  depthCorrect: false
+};
+
+// グループ全体で切り替える構築オプション（restylePipes / setPipesDepthCorrect / setPipesGroundSurface）
+const GROUP_OPTION_KEYS = ['style', 'depthCorrect', 'groundSurface'];
 
 /**
  * Scene にパイプ群を追加（ユーティリティ）。
  */
-export function addPipesFromGeoJSON(scene, geojson) {
+export function addPipesFromGeoJSON(scene, geojson, options) {
   if (!geojson) return;
-  const { group } = buildPipesGroupFromGeoJSON(geojson);
+  const { group } = buildPipesGroupFromGeoJSON(geojson, options);
   if (group) scene.add(group);
 }
 
 /**
- * GeoJSON からパイプ群を構築し、グループとバウンディングを返す。
+ * GeoJSON からパイプ群を構築し、グループとバウンディング、診断結果を返す。
+ * options は DEFAULT_BUILD_OPTIONS、diagnostics の項目は diagnostics.js を参照。
  */
-export function buildPipesGroupFromGeoJSON(geojson) {
-  if (!geojson) return { group: null, bounds: null };
+export function buildPipesGroupFromGeoJSON(geojson, options = {}) {
+  if (!geojson) return { group: null, bounds: null, diagnostics: [] };
 
   const features = geojson.type === 'FeatureCollection'
     ? (geojson.features ?? [])
@@ -21,101 +66,311 @@ export function buildPipesGroupFromGeoJSON(geojson) {
       ? [geojson]
       : [];
 
+  const buildOptions = { ...DEFAULT_BUILD_OPTIONS, ...options };
   const group = new THREE.Group();
+  group.userData.buildOptions = buildOptions;
+  // 形状の編集で追加する管は、この数から要素番号を振る
+  group.userData.featureCount = features.length;
   const bounds = new THREE.Box3();
   let hasAny = false;
 
-  for (const feature of features) {
-    const meshes = meshesFromFeature(feature);
+  const diagnostics = createDiagnostics();
+  const instanceRecords = [];
+  const addObject = (obj) => {
+    group.add(obj);
+    bounds.expandByObject(obj);
+    hasAny = true;
+  };
+
+  for (let featureIndex = 0; featureIndex < features.length; featureIndex++) {
+    const report = diagnostics.forFeature(features[featureIndex], featureIndex);
+    const meshes = meshesFromFeature(features[featureIndex], buildOptions, report);
+    if (meshes.length === 0 && report.count === 0) report.error('形状を作れませんでした');
     for (const mesh of meshes) {
-      group.add(mesh);
-      bounds.expandByObject(mesh);
-      hasAny = true;
+      mesh.userData.featureIndex = featureIndex;
+      mesh.userData.geometryType = features[featureIndex].geometry.type;
+      if (mesh.isObject3D) addObject(mesh);
+      else instanceRecords.push(mesh);
     }
   }
 
-  if (!hasAny) return { group: null, bounds: null };
-  return { group, bounds };
+  // 断面ごとに単位形状（幅・長さ・高さ 1）を共有し、インスタンス行列で拡大する
+  // 円周分割数はインスタンスごとに変えられないため、スタイルの既定値を使う
+  const radialSegments = evaluateStyle(buildOptions.style).radialSegments;
+  const unitGeometries = {
+    circle: () => new THREE.CylinderGeometry(0.5, 0.5, 1, radialSegments),
+    rect: () => new THREE.BoxGeometry(1, 1, 1)
+  };
+  for (const kind of INSTANCED_SECTIONS) {
+    const records = instanceRecords.filter(r => chooseSection(r.userData.properties, buildOptions).kind === kind);
+    if (records.length === 0) continue;
+    const instanced = createInstancedSegments(records, {
+      resolve: segmentInstanceState,
+      createMaterial: createPipeMaterial,
+      geometry: unitGeometries[kind]()
+    });
+    instanced.forEach(addObject);
+  }
+
+  if (!hasAny) return { group: null, bounds: null, diagnostics: diagnostics.entries };
+  return { group, bounds, diagnostics: diagnostics.entries };
 }
 
 /**
- * Feature 単位でメッシュ配列を構築（折れ線は隣接ペアごとに分割、点は円弧として表示）。
+ * Feature 単位でメッシュ配列を構築。
+ * 折れ線は隣接ペアごとに分割、または連続管として 1 本。Multi 系はパーツごとに同様に扱う。
+ * 点は ARC なら円弧、それ以外はマンホール・バルブ等の縦置き円柱／箱、面は地下構造物の角柱として表示。
+ * インスタンス描画の区間はメッシュの代わりに { userData } のレコードを返す。
+ * スキップした理由や疑わしい値は report（diagnostics.js の forFeature）に記録する。
  */
-function meshesFromFeature(feature) {
+function meshesFromFeature(feature, options, report) {
   const result = [];
-  if (!feature?.geometry) return result;
+  if (!feature?.geometry) {
+    report.error('ジオメトリがありません');
+    return result;
+  }
 
   const g = feature.geometry;
   const type = (g.type || '').toLowerCase();
   const props = feature.properties || {};
+  const coords = g.coordinates;
+  if (!Array.isArray(coords)) {
+    report.error(`座標がない、または未対応のジオメトリ種別です（${g.type}）`);
+    return result;
+  }
 
-  // LineString の処理
-  if (type.includes('line') && type.includes('string')) {
-    let coords = g.coordinates;
-    if (!Array.isArray(coords) || coords.length < 2) return result;
-    if (Array.isArray(coords) && coords.length === 1 && Array.isArray(coords[0][0])) coords = coords[0];
-
-    for (let i = 0; i < coords.length - 1; i++) {
-      const mesh = buildPipeSegment(coords[i], coords[i + 1], props);
-      if (mesh) result.push(mesh);
+  const push = (items, partIndex) => {
+    for (const item of items) {
+      if (!item) continue;
+      item.userData.partIndex = partIndex;
+      result.push(item);
     }
-  }
-  // ARC の処理（_type: "ARC" の場合）
-  else if (props._type === 'ARC') {
-    const mesh = buildArcFromPoint(g.coordinates, props);
-    if (mesh) result.push(mesh);
+  };
+
+  // 点・面は生成できなかった場合に理由を記録する
+  const pushChecked = (item, partIndex, reason) => {
+    if (!item) report.error(reason(), { partIndex });
+    push([item], partIndex);
+  };
+  const nodeReason = () => '座標が無効です';
+  const polygonReason = () => '外周の頂点が 3 つ未満、または座標が無効な頂点があります';
+
+  switch (type) {
+    case 'linestring':
+      push(lineMeshes(coords, props, options, report, 0), 0);
+      break;
+    case 'multilinestring':
+      coords.forEach((part, i) => push(lineMeshes(part, props, options, report, i), i));
+      break;
+    case 'point':
+      // ARC の処理（_type: "ARC" の場合）
+      if (props._type === 'ARC') {
+        pushChecked(buildArcFromPoint(coords, props, options), 0, () => arcProblem(props));
+      } else {
+        pushChecked(buildNodeMesh(coords, props, options), 0, nodeReason);
+        inspectStructure(props, report, 0);
+      }
+      break;
+    case 'multipoint':
+      coords.forEach((c, i) => pushChecked(buildNodeMesh(c, props, options), i, nodeReason));
+      inspectStructure(props, report, 0);
+      break;
+    case 'polygon':
+      pushChecked(buildPolygonMesh(coords, props, options), 0, polygonReason);
+      inspectStructure(props, report, 0);
+      break;
+    case 'multipolygon':
+      coords.forEach((rings, i) => pushChecked(buildPolygonMesh(rings, props, options), i, polygonReason));
+      inspectStructure(props, report, 0);
+      break;
+    default:
+      report.error(`未対応のジオメトリ種別です（${g.type}）`);
+      break;
   }
 
   return result;
 }
 
+// 平面座標 (x, y) が数値の頂点（null や入れ子の誤りは取込時の変換でもそのまま残る）
+function isPosition(c) {
+  return Array.isArray(c) && typeof c[0] === 'number' && typeof c[1] === 'number' && isFinite(c[0]) && isFinite(c[1]);
+}
+
 /**
- * 文字列などを数値化。不可なら NaN。
+ * 1 本の折れ線（頂点列）から管を構築。
  */
-function toNumber(v) {
-  if (v == null) return NaN;
-  if (typeof v === 'number') return v;
-  if (typeof v === 'string') return Number(v.replace(/[^\d.+\-eE]/g, '').trim());
-  return NaN;
+function lineMeshes(coords, props, options, report, partIndex) {
+  if (!Array.isArray(coords) || coords.length < 2) {
+    report.error('頂点が 2 つ未満の折れ線です', { partIndex });
+    return [];
+  }
+  if (!coords.every(isPosition)) {
+    report.error('座標が無効な頂点があります', { partIndex });
+    return [];
+  }
+  if (!inspectLine(coords, props, options, report, partIndex)) return [];
+
+  if (options.lineMode === 'tube') return [buildPipeTube(coords, props, options)];
+
+  // 区間どうしで頂点列を共有し、頂点ごとの高さを折れ線全体から求められるようにする
+  const coordinates = coords.map(c => c.slice());
+  const result = [];
+  for (let i = 0; i < coords.length - 1; i++) {
+    const userData = segmentUserData(coordinates, i, props, options);
+    if (!userData) continue;
+    // インスタンス描画ではメッシュを作らず、後でレイヤー・断面ごとにまとめる
+    const instanced = options.renderMode === 'instanced' && INSTANCED_SECTIONS.has(chooseSection(props, options).kind);
+    result.push(instanced ? { userData } : buildPipeSegment(userData));
+  }
+  return result;
 }
 
 /**
- * 半径を radius または diameter/2 から決定。mm 推定→m 変換あり。
+ * 折れ線の属性と頂点を検査し、診断に記録する。管を作れない場合は false。
+ * 断面が無効・全区間が長さ 0 ならエラー、管径過大・負の深さ・長さ 0 の区間・重複区間は警告。
  */
-function chooseRadius(props) {
-  const rRaw = props?.radius ?? null;
-  const dRaw = props?.diameter ?? null;
+function inspectLine(coords, props, options, report, partIndex) {
+  const at = { partIndex, position: coords[0] };
+  const section = chooseSection(props, options);
+  if (!section) {
+    report.error('断面寸法（径・幅・高さ）が無効です', at);
+    return false;
+  }
+  const size = Math.max(section.width, section.height);
+  if (size > SUSPICIOUS_DIAMETER) report.warning(`管径が ${SUSPICIOUS_DIAMETER} m を超えています（${size.toFixed(2)} m）`, at);
+
+  // 深さの符号は地表面に吊るす前の値で調べる
+  const levels = vertexLevels(coords, props, { ...options, groundSurface: null });
+  if (levels.some(level => level > 0)) report.warning('深さが負です（管底が地表より上）', at);
 
-  let radius = toNumber(rRaw);
-  if (!(isFinite(radius) && radius > 0)) {
-    const d = toNumber(dRaw);
-    if (isFinite(d) && d > 0) radius = d / 2;
+  let zeroLength = 0;
+  let duplicates = 0;
+  let duplicateOf = null;
+  for (let i = 0; i < coords.length - 1; i++) {
+    const [x0, y0] = coords[i];
+    const [x1, y1] = coords[i + 1];
+    if (!(Math.hypot(x1 - x0, y1 - y0) > 0) && levels[i] === levels[i + 1]) {
+      zeroLength++;
+      continue;
+    }
+    const other = report.duplicateOf(coords[i], coords[i + 1]);
+    if (other !== null) {
+      duplicates++;
+      duplicateOf ??= other;
+    }
+  }
+  if (zeroLength === coords.length - 1) {
+    report.error('すべての区間の長さが 0 です', at);
+    return false;
   }
-  if (isFinite(radius) && radius > 1.0) radius = radius / 1000;
-  return radius;
+  if (zeroLength > 0) report.warning(`長さ 0 の区間が ${zeroLength} 個あります（スキップ）`, at);
+  if (duplicates > 0) report.warning(`重複区間が ${duplicates} 個あります（要素 #${duplicateOf} と重複）`, at);
+  return true;
 }
 
 /**
- * レイヤー名から初期色を決める（必要に応じて調整）。
+ * 点施設・構造物の属性を検査し、疑わしい値を診断に記録する。
  */
-function colorFromLayer(layer) {
-  const l = (layer || '').toString().toLowerCase();
-  if (l.includes('水道') || l.includes('water')) return 0x1e90ff; // 青
-  if (l.includes('下水') || l.includes('sewer')) return 0x8b4513; // 茶
-  if (l.includes('ガス') || l.includes('gas')) return 0xff8c00; // 橙
-  if (l.includes('電') || l.includes('power') || l.includes('cable')) return 0x696969; // 濃グレー
-  return 0x2e8b57; // 緑（既定）
+function inspectStructure(props, report, partIndex) {
+  const topDepth = toNumber(props.top_depth ?? props.cover_depth);
+  if (topDepth < 0) report.warning('天端の深さが負です（地表より上）', { partIndex });
 }
 
 /**
- * 材質名ベースの色（フォールバック用）。
+ * 曲管を作れない理由。
  */
-function colorFromMaterial(material) {
-  const m = (material || '').toString().toLowerCase();
-  if (m.includes('pv') || m.includes('pvc')) return 0x1e90ff;
-  if (m.includes('con') || m.includes('rc')) return 0x8b8b83;
-  if (m.includes('dip') || m.includes('duct') || m.includes('steel') || m.includes('st')) return 0x8888ff;
-  return 0x2e8b57;
+function arcProblem(props) {
+  if (!(isFinite(toNumber(props.startAngle)) && isFinite(toNumber(props.endAngle)))) return '開始・終了角度（startAngle / endAngle）が無効です';
+  return '曲げ半径（arc_radius / radius）または中心座標が無効です';
+}
+
+/**
+ * 半径（m）を radius または diameter/2 から決定。属性名と単位は取込プロファイルに従う。
+ */
+function chooseRadius(props, profile) {
+  const radius = readProfileLength(props, profile, 'radius');
+  if (isFinite(radius) && radius > 0) return radius;
+  const d = readProfileLength(props, profile, 'diameter');
+  return isFinite(d) && d > 0 ? d / 2 : NaN;
+}
+
+/**
+ * 取込プロファイルに従ってレイヤー名を読む。
+ */
+function readLayer(props, profile) {
+  return readProfileValue(props, profile, 'layer') ?? '';
+}
+
+/**
+ * 正の寸法（m）を取込プロファイルに従って読む。無効なら NaN。
+ */
+function readDimension(props, profile, key) {
+  const n = readProfileLength(props, profile, key);
+  return isFinite(n) && n > 0 ? n : NaN;
+}
+
+/**
+ * 断面形状を属性から決める。
+ * section（または shape）: 'circle' | 'rect' | 'egg' | 'arch' | 'custom'。
+ * 省略時は width・height があり径の指定がなければ矩形、それ以外は円形。
+ * custom は profile に [[x, y], ...]（m、断面中心基準）を配列または JSON 文字列で指定する。
+ * 戻り値は { kind, width, height, points }（points は断面ローカル座標の点列）。無効なら null。
+ * options.profile は寸法の取込プロファイル、options.radialSegments は円形断面の分割数。
+ */
+export function chooseSection(props, { profile, radialSegments = DEFAULT_STYLE.default.radialSegments } = {}) {
+  const explicit = (props?.section ?? props?.shape ?? '').toString().toLowerCase();
+  const width = readDimension(props, profile, 'width');
+  const height = readDimension(props, profile, 'height');
+  const radius = chooseRadius(props, profile);
+  const hasRadius = isFinite(radius) && radius > 0;
+  const hasBox = isFinite(width) && isFinite(height);
+
+  let kind = explicit;
+  if (['rect', 'rectangle', 'box', '矩形'].includes(kind)) kind = 'rect';
+  else if (['egg', '卵形'].includes(kind)) kind = 'egg';
+  else if (['arch', 'horseshoe', '馬蹄形'].includes(kind)) kind = 'arch';
+  else if (kind === 'custom' || (!kind && props?.profile != null)) kind = 'custom';
+  else if (['circle', 'round', '円形'].includes(kind)) kind = 'circle';
+  else kind = hasBox && !hasRadius ? 'rect' : 'circle';
+
+  if (kind === 'custom') {
+    const points = readProfilePoints(props?.profile);
+    if (!points) return null;
+    const box = new THREE.Box2().setFromPoints(points);
+    const center = box.getCenter(new THREE.Vector2());
+    const size = box.getSize(new THREE.Vector2());
+    return { kind, width: size.x, height: size.y, points: points.map(p => p.sub(center)) };
+  }
+  if (kind === 'circle') {
+    if (!hasRadius) return null;
+    return { kind, width: radius * 2, height: radius * 2, points: circleProfile(radius, radialSegments) };
+  }
+  if (!hasBox) return null;
+  const points = kind === 'egg'
+    ? eggProfile(width, height)
+    : kind === 'arch'
+      ? archProfile(width, height)
+      : rectProfile(width, height);
+  return { kind, width, height, points };
+}
+
+/**
+ * profile 属性（[[x, y], ...] または JSON 文字列）を点列に変換。無効なら null。
+ */
+function readProfilePoints(value) {
+  let list = value;
+  if (typeof value === 'string') {
+    try {
+      list = JSON.parse(value);
+    } catch {
+      return null;
+    }
+  }
+  if (!Array.isArray(list)) return null;
+  const points = list
+    .filter(p => Array.isArray(p) && isFinite(toNumber(p[0])) && isFinite(toNumber(p[1])))
+    .map(p => new THREE.Vector2(toNumber(p[0]), toNumber(p[1])));
+  return points.length >= 3 ? points : null;
 }
 
 /**
@@ -127,210 +382,735 @@ function readDepth(value) {
 }
 
 /**
- * Point ジオメトリから円弧メッシュを生成（_type: "ARC" 用）。
+ * 数値の配列、またはカンマ区切り文字列を数値配列に変換。無効なら null。
  */
-function buildArcFromPoint(coordinates, props) {
-  if (!Array.isArray(coordinates) || coordinates.length < 2) return null;
+function readNumberList(value) {
+  const list = Array.isArray(value)
+    ? value
+    : typeof value === 'string' && value.includes(',')
+      ? value.split(',')
+      : null;
+  if (!list) return null;
+  const numbers = list.map(toNumber);
+  return numbers.every(isFinite) ? numbers : null;
+}
 
+/**
+ * 折れ線の各頂点の管底の高さ（Y：地表=0、上向き正）。
+ * 優先順: 座標の Z 値 → 頂点ごとの配列属性（depths: 深さ / elevations: 標高）→ 始点・終点の深さの線形補間。
+ * Z 値は elevationMode が 'depth' なら地表からの深さ、'elevation' なら標高として扱う。
+ * 標高は elevationOrigin を地表 (Y=0) とする。深さは groundSurface があればその頂点位置の地表面から測る。
+ */
+function vertexLevels(coords, props, options = DEFAULT_BUILD_OPTIONS) {
+  const origin = toNumber(options.elevationOrigin);
+  const fromElevation = (z) => z - (isFinite(origin) ? origin : 0);
+  const fromDepth = (d, i) => groundLevel(options, coords[i][0], coords[i][1]) - d;
+
+  const zs = coords.map(c => toNumber(c[2]));
+  if (zs.every(isFinite)) return zs.map(options.elevationMode === 'elevation' ? fromElevation : fromDepth);
+
+  const depths = readNumberList(props.depths ?? props.vertex_depths);
+  if (depths?.length === coords.length) return depths.map(fromDepth);
+  const elevations = readNumberList(props.elevations ?? props.vertex_elevations);
+  if (elevations?.length === coords.length) return elevations.map(fromElevation);
+
+  const startDepth = readDepth(readProfileLength(props, options.profile, 'startDepth'));
+  const endDepth = readDepth(readProfileLength(props, options.profile, 'endDepth'));
+  const chainage = [0];
+  for (let i = 1; i < coords.length; i++) {
+    const [x0, y0] = coords[i - 1];
+    const [x1, y1] = coords[i];
+    chainage.push(chainage[i - 1] + Math.hypot(x1 - x0, y1 - y0));
+  }
+  const total = chainage[chainage.length - 1];
+  return chainage.map((s, i) => fromDepth(startDepth + (endDepth - startDepth) * (total > 0 ? s / total : 0), i));
+}
+
+/**
+ * 平面位置 (x, y) の地表の高さ（Y）。groundSurface がない・範囲外なら 0。
+ */
+function groundLevel(options, x, y) {
+  const level = options?.groundSurface ? options.groundSurface(x, y) : 0;
+  return isFinite(level) ? level : 0;
+}
+
+/**
+ * 選択・編集対象の userData からスタイル（色・不透明度・円周分割数）を評価。
+ * 属性に加えて、断面の幅 $diameter（m）と始点・終点の平均深さ $depth（m）を参照できる。
+ * layer / material は取込プロファイルで対応付けた属性の値で評価する。
+ */
+function pipeStyle(userData) {
+  const props = userData?.properties || {};
+  const { style = DEFAULT_STYLE, profile } = userData?.buildOptions ?? {};
+  const section = chooseSection(props, { profile });
+  const startDepth = readDepth(readProfileLength(props, profile, 'startDepth'));
+  const endDepth = readDepth(readProfileLength(props, profile, 'endDepth'));
+  const styleProps = { ...props, layer: readLayer(props, profile), material: readProfileValue(props, profile, 'material') };
+  return evaluateStyle(style, styleProps, {
+    diameter: section?.width,
+    depth: (startDepth + endDepth) / 2,
+    layer: userData?.layer,
+    kind: userData?.kind
+  });
+}
+
+/**
+ * 管用マテリアル（半透明）を生成。色と不透明度はスタイルから決める。
+ */
+function createPipeMaterial(userData) {
+  const { color, opacity } = pipeStyle(userData);
+  return new THREE.MeshStandardMaterial({
+    color,
+    roughness: 0.6,
+    metalness: 0.1,
+    ...transparencyState(userData, opacity)
+  });
+}
+
+/**
+ * 透明に関するマテリアルの設定。depthCorrect なら不透明にして深度を書き込む。
+ */
+function transparencyState(userData, opacity) {
+  if (userData?.buildOptions?.depthCorrect) return { transparent: false, opacity: 1, depthWrite: true };
+  return { transparent: true, opacity, depthWrite: false };
+}
+
+/**
+ * Point ジオメトリから曲管（円環の一部）メッシュを生成（_type: "ARC" 用）。
+ * 点は円弧の中心、startAngle / endAngle（ラジアン、平面上で X 軸から反時計回り）の間を曲管とする。
+ * 曲げ半径は取込プロファイルの曲げ半径（既定 arc_radius / bend_radius）、なければ radius。管の断面は diameter（または width / height）から決める。
+ */
+function buildArcFromPoint(coordinates, props, options = DEFAULT_BUILD_OPTIONS) {
+  if (!Array.isArray(coordinates) || coordinates.length < 2) return null;
   const [x, y] = coordinates;
-  const radius = chooseRadius(props);
-  if (!(isFinite(radius) && radius > 0)) return null;
+  if (!(isFinite(x) && isFinite(y))) return null;
+
+  const mesh = new THREE.Mesh(new THREE.BufferGeometry());
+
+  // 編集・選択用データ
+  mesh.userData.kind = 'arc';
+  mesh.userData.properties = { ...props };
+  mesh.userData.coordinates = coordinates.slice();
+  mesh.userData.layer = readLayer(props, options.profile);
+  mesh.userData.buildOptions = options;
+  mesh.material = createPipeMaterial(mesh.userData);
+
+  if (!updateArcGeometry(mesh)) {
+    mesh.geometry.dispose();
+    mesh.material.dispose();
+    return null;
+  }
+  return mesh;
+}
 
-  // startAngle と endAngle を取得（ラジアン）
+/**
+ * 曲管の曲げ半径・角度・断面を属性から決める。無効なら null。
+ */
+function arcLayout(props, profile, radialSegments) {
   const startAngle = toNumber(props.startAngle);
   const endAngle = toNumber(props.endAngle);
-  
-  if (!(isFinite(startAngle) && isFinite(endAngle))) {
-    // 角度が無効な場合は表示しない
-    return null;
+  if (!(isFinite(startAngle) && isFinite(endAngle))) return null;
+
+  const explicit = readDimension(props, profile, 'bendRadius');
+  const radius = isFinite(explicit) ? explicit : readDimension(props, profile, 'radius');
+  if (!(isFinite(radius) && radius > 0)) return null;
+
+  // radius を曲げ半径として使った場合、断面は径・幅・高さから決める
+  const sectionProps = { ...props };
+  if (!isFinite(explicit)) {
+    for (const name of propertyNames(profile?.fields?.radius ?? DEFAULT_IMPORT_PROFILE.fields.radius)) delete sectionProps[name];
   }
+  // 断面の指定がなければ従来の線表示と同程度の太さ（曲げ半径の 10%）にする
+  const fallback = Math.max(0.01, radius * 0.1);
+  const section = chooseSection(sectionProps, { profile, radialSegments }) ??
+    { kind: 'circle', width: fallback * 2, height: fallback * 2, points: circleProfile(fallback, radialSegments) };
 
-  // 円弧のジオメトリを作成
-  const curve = new THREE.EllipseCurve(
-    0, 0, // 中心
-    radius, radius, // 半径
-    startAngle, endAngle, // 開始・終了角度
-    false, // 時計回り
-    0 // 回転
-  );
+  // 反時計回りに start → end（EllipseCurve と同じ扱い）
+  let sweep = endAngle - startAngle;
+  while (sweep <= 0) sweep += Math.PI * 2;
+  while (sweep > Math.PI * 2) sweep -= Math.PI * 2;
+  return { startAngle, endAngle, sweep, radius, section };
+}
 
-  const points = curve.getPoints(50); // 50個の点で円弧を近似
-  const geometry = new THREE.BufferGeometry().setFromPoints(points);
+/**
+ * 曲管メッシュの形状を userData から作り直す。成功時 true。
+ * 高さは始点・終点の深さ（または点の Z 値）を弧長で補間する。
+ */
+function updateArcGeometry(mesh) {
+  const { properties: props = {}, coordinates, buildOptions = DEFAULT_BUILD_OPTIONS } = mesh.userData;
+  const { radialSegments } = pipeStyle(mesh.userData);
+  const layout = arcLayout(props, buildOptions.profile, radialSegments);
+  if (!layout) return false;
 
-  // 線の太さを設定（円柱の半径から推定）
-  const lineWidth = Math.max(0.01, radius * 0.1); // 半径の10%を線の太さとする
+  const [cx, cy, cz] = coordinates;
+  const steps = Math.max(2, Math.ceil(layout.sweep / (Math.PI / 24)));
+  const plan = [];
+  for (let i = 0; i <= steps; i++) {
+    const a = layout.startAngle + (layout.sweep * i) / steps;
+    const c = [cx + Math.cos(a) * layout.radius, cy + Math.sin(a) * layout.radius];
+    if (cz !== undefined) c.push(cz);
+    plan.push(c);
+  }
 
-  // 初期色は layer 優先、なければ material ベース
-  const color = colorFromLayer(props.layer) ?? colorFromMaterial(props.material);
-  const material = new THREE.LineBasicMaterial({
-    color,
-    linewidth: lineWidth,
-    transparent: true,
-    opacity: 0.8
-  });
+  const { section } = layout;
+  const half = section.height / 2;
+  const levels = vertexLevels(plan, props, buildOptions);
+  const path = plan.map(([x, y], i) => new THREE.Vector3(x, levels[i] + half, y));
+  const geo = sweepProfile(path, section.points, { flat: FLAT_SECTIONS.has(section.kind) });
+  if (!geo) return false;
+
+  const oldGeo = mesh.geometry;
+  mesh.geometry = geo;
+  oldGeo?.dispose && oldGeo.dispose();
+  mesh.userData.arcData = { startAngle: layout.startAngle, endAngle: layout.endAngle, radius: layout.radius };
+  mesh.userData.centerline = path.map(p => p.toArray());
+  mesh.userData.radialSegments = radialSegments;
+  return true;
+}
+
+/**
+ * 区間データから配置（断面・長さ・中心線の両端・中心・回転）を計算。無効なら null。
+ * 高さは折れ線全体の頂点高さ（vertexLevels）のうち区間の両端を使う。
+ */
+function segmentLayout(userData) {
+  const { properties: props = {}, endpoints: ep, coordinates, segmentIndex, buildOptions } = userData;
+  const section = chooseSection(props, buildOptions);
+  if (!section) return null;
+  const half = section.height / 2;
+
+  const levels = vertexLevels(coordinates, props, buildOptions);
+  const yCenter1 = levels[segmentIndex] + half;
+  const yCenter2 = levels[segmentIndex + 1] + half;
+  const start = new THREE.Vector3(ep.x1, yCenter1, ep.y1);
+  const end = new THREE.Vector3(ep.x2, yCenter2, ep.y2);
+  const length = start.distanceTo(end);
+  if (!(isFinite(length) && length > 0)) return null;
+
+  const dir = new THREE.Vector3().subVectors(end, start).normalize();
+  return {
+    section,
+    length,
+    start,
+    end,
+    position: new THREE.Vector3().addVectors(start, end).multiplyScalar(0.5),
+    quaternion: new THREE.Quaternion().setFromUnitVectors(new THREE.Vector3(0, 1, 0), dir)
+  };
+}
+
+/**
+ * 折れ線の i 番目の区間の編集・選択用データを生成。形状が作れない場合は null。
+ * coordinates は同じ折れ線の区間どうしで共有する。
+ */
+function segmentUserData(coordinates, i, props, options) {
+  const [x1, y1] = coordinates[i];
+  const [x2, y2] = coordinates[i + 1];
+  const userData = {
+    kind: 'segment',
+    properties: { ...props },
+    endpoints: { x1, y1, x2, y2 },
+    coordinates,
+    segmentIndex: i,
+    layer: readLayer(props, options.profile),
+    buildOptions: options
+  };
+  return segmentLayout(userData) ? userData : null;
+}
+
+/**
+ * 区間データから 1 本の管メッシュを生成。
+ */
+function buildPipeSegment(userData) {
+  const mesh = new THREE.Mesh(new THREE.BufferGeometry(), createPipeMaterial(userData));
+
+  // 編集・選択用データ
+  mesh.userData = userData;
+  updateSegmentGeometry(mesh, segmentLayout(userData));
+  return mesh;
+}
+
+/**
+ * 区間メッシュの形状を差し替える。
+ * 円形は円柱を回転・移動して配置し、それ以外は断面を中心線に沿って押し出す（天地は水平に保つ）。
+ */
+function updateSegmentGeometry(mesh, layout) {
+  const { section, length } = layout;
+  const { radialSegments } = pipeStyle(mesh.userData);
+  let geo;
+  if (section.kind === 'circle') {
+    const r = section.width / 2;
+    geo = new THREE.CylinderGeometry(r, r, length, radialSegments);
+    mesh.quaternion.copy(layout.quaternion);
+    mesh.position.copy(layout.position);
+  } else {
+    geo = sweepProfile([layout.start, layout.end], section.points, { flat: FLAT_SECTIONS.has(section.kind) });
+    mesh.quaternion.identity();
+    mesh.position.set(0, 0, 0);
+  }
+
+  const oldGeo = mesh.geometry;
+  mesh.geometry = geo;
+  oldGeo?.dispose && oldGeo.dispose();
+  mesh.userData.radialSegments = radialSegments;
+}
+
+/**
+ * 折れ線の i 番目の区間の管メッシュを作る（形状の編集で区間を増やす場合）。形状が作れなければ null。
+ * coordinates は同じ折れ線の区間どうしで共有する頂点列。
+ */
+export function createSegmentPipe(coordinates, i, props, options = DEFAULT_BUILD_OPTIONS) {
+  const userData = segmentUserData(coordinates, i, props, options);
+  return userData ? buildPipeSegment(userData) : null;
+}
+
+/**
+ * 頂点列から新しい管を作る（lineMode に従い区間ごと、または連続管 1 本）。インスタンス描画は使わない。
+ */
+export function createLinePipes(coords, props, options = DEFAULT_BUILD_OPTIONS) {
+  if (options.lineMode === 'tube') {
+    const tube = buildPipeTube(coords, props, options);
+    return tube ? [tube] : [];
+  }
+  const coordinates = coords.map(c => c.slice());
+  const result = [];
+  for (let i = 0; i < coordinates.length - 1; i++) {
+    const mesh = createSegmentPipe(coordinates, i, props, options);
+    if (mesh) result.push(mesh);
+  }
+  return result;
+}
+
+/**
+ * 管をグループから取り除く。インスタンス描画の区間は縮尺 0 で潰し、列挙の対象から外す。
+ */
+export function removePipe(item) {
+  if (item.isPipeInstance) {
+    item.remove();
+    return;
+  }
+  item.removeFromParent();
+  item.geometry?.dispose();
+  item.material?.dispose();
+}
+
+/**
+ * removePipe で取り除いた管をグループに戻し、形状を作り直す。
+ */
+export function restorePipe(group, item) {
+  // 取り除いている間にグループ全体で切り替えた構築オプションに合わせる
+  const current = group.userData.buildOptions ?? {};
+  const shared = {};
+  for (const key of GROUP_OPTION_KEYS) {
+    if (key in current) shared[key] = current[key];
+  }
+  item.userData.buildOptions = { ...item.userData.buildOptions, ...shared };
+  if (item.isPipeInstance) item.restore();
+  else group.add(item);
+  rebuildPipeMeshFromUserData(item);
+}
 
-  const mesh = new THREE.Line(geometry, material);
+/**
+ * 管がグループに含まれているか（removePipe で取り除いていないか）。
+ */
+export function isPipePresent(item) {
+  return item.isPipeInstance ? !item.removed : !!item.parent;
+}
 
-  // 位置を設定（床上）
-  mesh.position.set(x, radius, y);
+/**
+ * 1 つの Feature から管を作り直す（元の Feature に戻す場合）。インスタンス描画は使わない。
+ */
+export function buildFeaturePipes(feature, featureIndex, options = DEFAULT_BUILD_OPTIONS) {
+  const report = createDiagnostics().forFeature(feature, featureIndex);
+  const meshes = meshesFromFeature(feature, { ...options, renderMode: 'standard' }, report);
+  for (const mesh of meshes) {
+    mesh.userData.featureIndex = featureIndex;
+    mesh.userData.geometryType = feature.geometry.type;
+  }
+  return meshes;
+}
+
+/**
+ * インスタンス描画用に区間の行列と色を計算（pipeInstances の resolve）。
+ * 単位形状のローカル X を水平方向、Y を管軸、Z を鉛直寄りに合わせて断面の天地を保つ。
+ * バケットの形状は構築時の断面で決まるため、編集で断面種別が変わった場合は寸法のみ反映される。
+ */
+function segmentInstanceState(userData) {
+  const layout = segmentLayout(userData);
+  if (!layout) return null;
+
+  const axis = new THREE.Vector3().subVectors(layout.end, layout.start).normalize();
+  const side = new THREE.Vector3().crossVectors(axis, new THREE.Vector3(0, 1, 0));
+  if (side.lengthSq() < 1e-12) side.set(1, 0, 0);
+  side.normalize();
+  const up = new THREE.Vector3().crossVectors(side, axis).normalize();
+
+  const matrix = new THREE.Matrix4()
+    .makeBasis(side, axis, up)
+    .scale(new THREE.Vector3(layout.section.width, layout.length, layout.section.height))
+    .setPosition(layout.position);
+  return {
+    matrix,
+    color: pipeStyle(userData).color
+  };
+}
+
+/**
+ * 折れ線全体から 1 本の連続した管を生成。
+ * 折れ点は joint に応じてマイターまたはエルボでつなぎ、高さは頂点ごとに求める（vertexLevels）。
+ */
+function buildPipeTube(coords, props, options) {
+  const mesh = new THREE.Mesh(new THREE.BufferGeometry());
 
   // 編集・選択用データ
-  mesh.userData = mesh.userData || {};
+  mesh.userData.kind = 'tube';
   mesh.userData.properties = { ...props };
-  mesh.userData.layer = props.layer ?? '';
-  mesh.userData.arcData = { startAngle, endAngle, radius };
+  mesh.userData.coordinates = coords.map(c => c.slice());
+  mesh.userData.layer = readLayer(props, options.profile);
+  mesh.userData.buildOptions = options;
+  mesh.material = createPipeMaterial(mesh.userData);
 
+  if (!updateTubeGeometry(mesh)) {
+    mesh.geometry.dispose();
+    mesh.material.dispose();
+    return null;
+  }
   return mesh;
 }
 
+/**
+ * 連続管メッシュの形状を userData（頂点列・属性）から作り直す。成功時 true。
+ */
+function updateTubeGeometry(mesh) {
+  const { properties: props = {}, coordinates, buildOptions = DEFAULT_BUILD_OPTIONS } = mesh.userData;
+  if (!Array.isArray(coordinates) || coordinates.length < 2) return false;
+
+  const { radialSegments } = pipeStyle(mesh.userData);
+  const section = chooseSection(props, { profile: buildOptions.profile, radialSegments });
+  if (!section) return false;
+  const half = section.height / 2;
+
+  const levels = vertexLevels(coordinates, props, buildOptions);
+  const path = coordinates.map(([x, y], i) => new THREE.Vector3(x, levels[i] + half, y));
+  const bendRadius = Math.max(section.width, section.height) / 2 * ELBOW_RADIUS_FACTOR;
+  const centerline = buildOptions.joint === 'elbow' ? filletPath(path, bendRadius) : path;
+  const geo = sweepProfile(centerline, section.points, { flat: FLAT_SECTIONS.has(section.kind) });
+  if (!geo) return false;
+
+  const oldGeo = mesh.geometry;
+  mesh.geometry = geo;
+  oldGeo?.dispose && oldGeo.dispose();
+  mesh.userData.centerline = centerline.map(p => p.toArray());
+  mesh.userData.radialSegments = radialSegments;
+  return true;
+}
 
 /**
- * 2 点から 1 本の円柱を生成。
- * 現在は床上表示を優先し、深さは使わず Y は半径・水平配置。
- * 将来のために深さ反映コードをコメントで残す。
+ * 点施設・構造物の高さ（m）。プロファイルの高さ属性、なければ深さ（施設の高さ）の属性。
  */
-function buildPipeSegment(p0, p1, props) {
-  const [x1, y1] = p0;
-  const [x2, y2] = p1;
+function structureHeight(props, profile) {
+  const height = readDimension(props, profile, 'height');
+  return isFinite(height) ? height : readDimension(props, profile, 'structureDepth');
+}
 
-  const r = chooseRadius(props);
-  if (!(isFinite(r) && r > 0)) return null;
+/**
+ * 種別名から点施設の既定寸法を決める（属性に寸法がない場合に使用）。
+ */
+function nodeDefaults(props) {
+  const t = [props._type, props.type, props.kind, props.facility].filter(Boolean).join(' ').toLowerCase();
+  if (t.includes('valve') || t.includes('弁')) return { shape: 'box', width: 0.4, length: 0.4, height: 0.6 };
+  if (t.includes('hydrant') || t.includes('消火栓')) return { shape: 'cylinder', radius: 0.15, height: 1.0 };
+  if (t.includes('manhole') || t.includes('マンホール') || t === 'mh') return { shape: 'cylinder', radius: 0.45, height: 1.5 };
+  return { shape: 'cylinder', radius: 0.3, height: 1.0 };
+}
 
-  // --- 深さ反映：start_point_depthとend_point_depthを使用 ---
-  const startDepth = readDepth(props.start_point_depth ?? props['start_point depth'] ?? props.start_depth);
-  const endDepth = readDepth(props.end_point_depth ?? props['end_point depth'] ?? props.end_depth);
-  const yCenter1 = -startDepth + r; // 地表=0, 下向きが+ と仮定
-  const yCenter2 = -endDepth + r;
-  const dx = x2 - x1;
-  const dy = yCenter2 - yCenter1;
-  const dz = y2 - y1;
-  const length = Math.hypot(dx, dy, dz);
-  if (length <= 0) return null;
-  const geo = new THREE.CylinderGeometry(r, r, length, 24);
-  const dir = new THREE.Vector3(dx, dy, dz).normalize();
-  const quat = new THREE.Quaternion().setFromUnitVectors(new THREE.Vector3(0, 1, 0), dir);
-  const midX = (x1 + x2) / 2;
-  const midY = (yCenter1 + yCenter2) / 2;
-  const midZ = (y1 + y2) / 2;
+/**
+ * 点施設の形状（縦置き円柱または箱）と配置を属性から決める。
+ * 円柱は radius / diameter、箱は width / length、高さは height / depth、天端は top_depth / cover_depth。
+ * 径・幅・高さの属性名と単位は取込プロファイルに従う。
+ */
+function nodeLayout(props, profile) {
+  const defaults = nodeDefaults(props);
+  const height = structureHeight(props, profile);
+  const topDepth = readDepth(props.top_depth ?? props.cover_depth);
+  const layout = { top: -topDepth, height: isFinite(height) ? height : defaults.height };
 
-  // 初期色は layer 優先、なければ material ベース
-  const color = colorFromLayer(props.layer) ?? colorFromMaterial(props.material);
-  const mat = new THREE.MeshStandardMaterial({
-    color,
-    roughness: 0.6,
-    metalness: 0.1,
-    transparent: true,
-    opacity: 0.75,
-    depthWrite: false
-  });
-  const mesh = new THREE.Mesh(geo, mat);
+  const width = readDimension(props, profile, 'width');
+  const radius = chooseRadius(props, profile);
+  if (isFinite(width)) {
+    const length = readDimension(props, profile, 'length');
+    return { ...layout, shape: 'box', width, length: isFinite(length) ? length : width };
+  }
+  if (isFinite(radius) && radius > 0) return { ...layout, shape: 'cylinder', radius };
+  return { ...defaults, ...layout };
+}
 
-  // 円柱の回転と位置を設定
-  mesh.quaternion.copy(quat);
-  mesh.position.set(midX, midY, midZ);
+/**
+ * Point からマンホール・バルブ等の点施設メッシュを生成。
+ */
+function buildNodeMesh(coordinates, props, options = DEFAULT_BUILD_OPTIONS) {
+  if (!Array.isArray(coordinates) || coordinates.length < 2) return null;
+  const [x, y] = coordinates;
+  if (!(isFinite(x) && isFinite(y))) return null;
+
+  const mesh = new THREE.Mesh(new THREE.BufferGeometry());
 
   // 編集・選択用データ
-  mesh.userData = mesh.userData || {};
+  mesh.userData.kind = 'node';
   mesh.userData.properties = { ...props };
-  mesh.userData.endpoints = { x1, y1, x2, y2 };
-  mesh.userData.layer = props.layer ?? '';
+  mesh.userData.coordinates = coordinates.slice();
+  mesh.userData.layer = readLayer(props, options.profile);
+  mesh.userData.buildOptions = options;
+  mesh.material = createPipeMaterial(mesh.userData);
 
+  updateNodeGeometry(mesh);
   return mesh;
 }
 
 /**
- * 選択中メッシュの userData を基に形状を再構築。
- * 現在は水平配置に合わせる。深さ対応版はコメント参照。
- * 円弧メッシュの再構築にも対応。
+ * 点施設メッシュの形状を userData から作り直す。
  */
-export function rebuildPipeMeshFromUserData(mesh) {
-  if (!mesh?.userData) return;
-  const props = mesh.userData.properties || {};
-  
-  // 円弧メッシュの場合
-  if (mesh.userData.arcData) {
-    rebuildArcMesh(mesh, props);
-    return;
+function updateNodeGeometry(mesh) {
+  const { properties: props = {}, coordinates, buildOptions } = mesh.userData;
+  const { radialSegments } = pipeStyle(mesh.userData);
+  const layout = nodeLayout(props, buildOptions?.profile);
+  const geo = layout.shape === 'box'
+    ? new THREE.BoxGeometry(layout.width, layout.height, layout.length)
+    : new THREE.CylinderGeometry(layout.radius, layout.radius, layout.height, radialSegments);
+
+  const oldGeo = mesh.geometry;
+  mesh.geometry = geo;
+  oldGeo?.dispose && oldGeo.dispose();
+  mesh.userData.radialSegments = radialSegments;
+  const ground = groundLevel(buildOptions, coordinates[0], coordinates[1]);
+  mesh.position.set(coordinates[0], ground + layout.top - layout.height / 2, coordinates[1]);
+}
+
+/**
+ * Polygon（外周＋穴）から地下構造物（桝・室）の角柱メッシュを生成。
+ * 高さは height / depth、天端は top_depth / cover_depth から決める。
+ */
+function buildPolygonMesh(rings, props, options = DEFAULT_BUILD_OPTIONS) {
+  if (!Array.isArray(rings) || !Array.isArray(rings[0]) || rings[0].length < 3) return null;
+  if (!rings.every(ring => Array.isArray(ring) && ring.every(isPosition))) return null;
+
+  const mesh = new THREE.Mesh(new THREE.BufferGeometry());
+
+  // 編集・選択用データ
+  mesh.userData.kind = 'polygon';
+  mesh.userData.properties = { ...props };
+  mesh.userData.rings = rings.map(ring => ring.map(c => c.slice()));
+  mesh.userData.layer = readLayer(props, options.profile);
+  mesh.userData.buildOptions = options;
+  mesh.material = createPipeMaterial(mesh.userData);
+
+  // 平面 (x, y) を XZ 面に寝かせ、押し出し方向を下向き（-Y）にする
+  mesh.rotation.x = Math.PI / 2;
+  updatePolygonGeometry(mesh);
+  return mesh;
+}
+
+/**
+ * 角柱メッシュの形状を userData から作り直す。
+ */
+function updatePolygonGeometry(mesh) {
+  const { properties: props = {}, rings, buildOptions } = mesh.userData;
+  const toPoints = (ring) => ring.map(([x, y]) => new THREE.Vector2(x, y));
+  const shape = new THREE.Shape(toPoints(rings[0]));
+  shape.holes = rings.slice(1).map(ring => new THREE.Path(toPoints(ring)));
+
+  const height = structureHeight(props, buildOptions?.profile);
+  const topDepth = readDepth(props.top_depth ?? props.cover_depth);
+  const geo = new THREE.ExtrudeGeometry(shape, { depth: isFinite(height) ? height : 2.0, bevelEnabled: false });
+
+  const oldGeo = mesh.geometry;
+  mesh.geometry = geo;
+  oldGeo?.dispose && oldGeo.dispose();
+  // 地表面に吊るす場合は外周の範囲中心の地表から測る
+  const box = new THREE.Box2().setFromPoints(toPoints(rings[0]));
+  const center = box.getCenter(new THREE.Vector2());
+  mesh.position.y = groundLevel(buildOptions, center.x, center.y) - topDepth;
+}
+
+/**
+ * グループ内の選択・編集対象（メッシュ、またはインスタンス描画の区間ハンドル）を列挙。
+ */
+export function forEachPipe(root, callback) {
+  if (!root) return;
+  root.traverse(obj => {
+    if (obj.userData?.instances) obj.userData.instances.forEach(item => !item.removed && callback(item));
+    else if (obj.userData?.properties) callback(obj);
+  });
+}
+
+/**
+ * レイキャスト結果から選択対象を取り出す。対象外なら null。
+ */
+export function pipeFromIntersection(hit) {
+  const obj = hit?.object;
+  if (!obj?.isMesh) return null;
+  if (obj.isInstancedMesh) {
+    const item = obj.userData?.instances?.[hit.instanceId];
+    return item && !item.removed ? item : null;
   }
-  
-  // パイプメッシュの場合
-  const ep = mesh.userData.endpoints || null;
-  if (!ep) return;
+  return obj.userData?.properties ? obj : null;
+}
 
-  const r = chooseRadius(props);
-
-  // --- 深さ反映：start_point_depthとend_point_depthを使用 ---
-  const startDepth = readDepth(props.start_point_depth ?? props['start_point depth'] ?? props.start_depth);
-  const endDepth = readDepth(props.end_point_depth ?? props['end_point depth'] ?? props.end_depth);
-  const yCenter1 = -startDepth + (isFinite(r) ? r : 0);
-  const yCenter2 = -endDepth + (isFinite(r) ? r : 0);
-  const dx3 = ep.x2 - ep.x1;
-  const dy3 = yCenter2 - yCenter1;
-  const dz3 = ep.y2 - ep.y1;
-  const len3 = Math.hypot(dx3, dy3, dz3);
-  if (!(isFinite(len3) && len3 > 0) || !(isFinite(r) && r > 0)) return;
-  const oldGeo3 = mesh.geometry;
-  mesh.geometry = new THREE.CylinderGeometry(r, r, len3, 24);
-  oldGeo3?.dispose && oldGeo3.dispose();
-  const dir3 = new THREE.Vector3(dx3, dy3, dz3).normalize();
-  mesh.quaternion.setFromUnitVectors(new THREE.Vector3(0, 1, 0), dir3);
-  mesh.position.set((ep.x1 + ep.x2) / 2, (yCenter1 + yCenter2) / 2, (ep.y1 + ep.y2) / 2);
-
-  // 色は layer 優先で更新（透明設定は維持）
-  const color = colorFromLayer(props.layer) ?? colorFromMaterial(props.material);
-  if (mesh.material && !Array.isArray(mesh.material)) {
-    mesh.material.color = new THREE.Color(color);
-    mesh.material.transparent = true;
-    mesh.material.opacity = 0.75;
-    mesh.material.depthWrite = false;
+/**
+ * 選択対象のワールド座標のバウンディングボックス。
+ */
+export function getPipeBounds(item, target = new THREE.Box3()) {
+  if (!item.isPipeInstance) return target.setFromObject(item);
+  const { instancedMesh, index } = item;
+  if (!instancedMesh.geometry.boundingBox) instancedMesh.geometry.computeBoundingBox();
+  const matrix = new THREE.Matrix4();
+  instancedMesh.getMatrixAt(index, matrix);
+  matrix.premultiply(instancedMesh.matrixWorld);
+  return target.copy(instancedMesh.geometry.boundingBox).applyMatrix4(matrix);
+}
+
+/**
+ * 選択対象の断面（chooseSection の戻り値、構築時の取込プロファイルで読む）。無効なら null。
+ */
+export function getPipeSection(item) {
+  return chooseSection(item.userData.properties || {}, item.userData.buildOptions);
+}
+
+/**
+ * 管の中心線（ワールド座標の点列）。点施設・構造物は空配列。
+ */
+export function getPipeCenterline(item) {
+  const { kind, centerline } = item.userData;
+  if (kind === 'segment') {
+    const layout = segmentLayout(item.userData);
+    return layout ? [layout.start, layout.end] : [];
   }
+  if ((kind === 'tube' || kind === 'arc') && Array.isArray(centerline)) {
+    return centerline.map(p => new THREE.Vector3().fromArray(p));
+  }
+  return [];
 }
 
 /**
- * 円弧メッシュを再構築。
+ * 選択対象の現在色を取得。
  */
-function rebuildArcMesh(mesh, props) {
-  const arcData = mesh.userData.arcData;
-  if (!arcData) return;
+export function getPipeColor(item) {
+  if (item.isPipeInstance) return item.getColor();
+  return item.material?.color?.clone() ?? new THREE.Color();
+}
 
-  const radius = chooseRadius(props);
-  if (!(isFinite(radius) && radius > 0)) return;
+/**
+ * 管の userData（属性・座標・構築オプション）から形状とスタイルを作り直す（属性・頂点の編集後に呼ぶ）。
+ * 種別ごとに、区間は両端の深さ・標高から配置と断面、連続管は頂点列、曲管は曲げ半径と角度、
+ * 点施設・構造物は寸法と深さから作り直す。インスタンス描画の区間はインスタンスの行列と色を更新する。
+ * 曲管は角度などが無効になったら非表示にする。
+ */
+export function rebuildPipeMeshFromUserData(mesh) {
+  if (!mesh?.userData) return;
 
-  const startAngle = toNumber(props.startAngle);
-  const endAngle = toNumber(props.endAngle);
+  // 曲管メッシュの場合（角度が無効になったら非表示）
+  if (mesh.userData.kind === 'arc') {
+    mesh.visible = updateArcGeometry(mesh);
+    if (mesh.visible) applyPipeStyle(mesh);
+    return;
+  }
   
-  if (!(isFinite(startAngle) && isFinite(endAngle))) {
-    // 角度が無効な場合は表示しない（メッシュを非表示にする）
-    mesh.visible = false;
+  // 連続管メッシュの場合
+  if (mesh.userData.kind === 'tube') {
+    if (updateTubeGeometry(mesh)) applyPipeStyle(mesh);
     return;
   }
 
-  // 円弧のジオメトリを再作成
-  const curve = new THREE.EllipseCurve(
-    0, 0, // 中心
-    radius, radius, // 半径
-    startAngle, endAngle, // 開始・終了角度
-    false, // 時計回り
-    0 // 回転
-  );
-
-  const points = curve.getPoints(50);
-  const oldGeo = mesh.geometry;
-  mesh.geometry = new THREE.BufferGeometry().setFromPoints(points);
-  oldGeo?.dispose && oldGeo.dispose();
+  // 点施設・構造物の場合
+  if (mesh.userData.kind === 'node' || mesh.userData.kind === 'polygon') {
+    if (mesh.userData.kind === 'node') updateNodeGeometry(mesh);
+    else updatePolygonGeometry(mesh);
+    applyPipeStyle(mesh);
+    return;
+  }
 
-  // 線の太さを更新
-  const lineWidth = Math.max(0.01, radius * 0.1);
-  if (mesh.material) {
-    mesh.material.linewidth = lineWidth;
+  // インスタンス描画の区間の場合
+  if (mesh.isPipeInstance) {
+    mesh.update();
+    return;
   }
 
-  // 色を更新
-  const color = colorFromLayer(props.layer) ?? colorFromMaterial(props.material);
-  if (mesh.material) {
-    mesh.material.color = new THREE.Color(color);
+  // パイプメッシュの場合
+  const ep = mesh.userData.endpoints || null;
+  if (!ep) return;
+
+  const layout = segmentLayout(mesh.userData);
+  if (!layout) return;
+  updateSegmentGeometry(mesh, layout);
+
+  applyPipeStyle(mesh);
+}
+
+/**
+ * スタイルの色・不透明度と透明の設定をマテリアルに反映。
+ */
+function applyPipeStyle(mesh) {
+  const { color, opacity } = pipeStyle(mesh.userData);
+  if (mesh.material && !Array.isArray(mesh.material)) {
+    mesh.material.color = color;
+    Object.assign(mesh.material, transparencyState(mesh.userData, opacity));
   }
+}
+
+/**
+ * グループ全体にスタイルを適用し直す。
+ * 色・不透明度のみの変更ならマテリアル・インスタンス色だけを更新し、円周分割数が変わった場合は形状も作り直す。
+ */
+export function restylePipes(group, style) {
+  if (!group) return;
+  const buildOptions = { ...DEFAULT_BUILD_OPTIONS, ...group.userData.buildOptions, style };
+  group.userData.buildOptions = buildOptions;
+  forEachPipe(group, item => {
+    item.userData.buildOptions = { ...item.userData.buildOptions, style };
+    if (item.isPipeInstance) {
+      item.update();
+      return;
+    }
+    const { radialSegments } = pipeStyle(item.userData);
+    if (item.userData.radialSegments != null && item.userData.radialSegments !== radialSegments) {
+      rebuildPipeMeshFromUserData(item);
+    } else {
+      applyPipeStyle(item);
+    }
+  });
+  updateInstanceMaterials(group);
+}
 
-  // arcData を更新
-  mesh.userData.arcData = { startAngle, endAngle, radius };
+/**
+ * 管の前後関係を正しく描く（不透明・深度書き込み）か、スタイルどおりの半透明で描くかを切り替える。
+ */
+export function setPipesDepthCorrect(group, depthCorrect) {
+  if (!group) return;
+  group.userData.buildOptions = { ...DEFAULT_BUILD_OPTIONS, ...group.userData.buildOptions, depthCorrect };
+  forEachPipe(group, item => {
+    item.userData.buildOptions = { ...item.userData.buildOptions, depthCorrect };
+    if (!item.isPipeInstance) applyPipeStyle(item);
+  });
+  updateInstanceMaterials(group);
+}
+
+/**
+ * 管の深さを測る地表面を切り替え、管の配置を作り直す（編集した属性・形状はそのまま）。
+ * groundSurface は terrain.js の terrainSurface、null なら地表は Y=0。
+ */
+export function setPipesGroundSurface(group, groundSurface) {
+  if (!group) return;
+  group.userData.buildOptions = { ...DEFAULT_BUILD_OPTIONS, ...group.userData.buildOptions, groundSurface };
+  forEachPipe(group, item => {
+    item.userData.buildOptions = { ...item.userData.buildOptions, groundSurface };
+    rebuildPipeMeshFromUserData(item);
+  });
+}
+
+/**
+ * インスタンス描画のバケットは不透明度・透明の設定を先頭の区間に合わせる（色はインスタンス色）。
+ */
+function updateInstanceMaterials(group) {
+  group.traverse(obj => {
+    const first = obj.userData?.instances?.[0];
+    if (first) Object.assign(obj.material, transparencyState(first.userData, pipeStyle(first.userData).opacity));
+  });
 }
@@ -0,0 +1,147 @@
+import { getPipeCenterline, getPipeSection } from './pipes.js';
+import { sampleTerrain } from './terrain.js';
+import { escapeXml } from './section.js';
+
+// 地表線を求める間隔（m）と点数の上限
+const GROUND_STEP = 1;
+const MAX_GROUND_SAMPLES = 600;
+
+/**
+ * 一続きの管路（topology.js の tracePipeRun の戻り値）の縦断データ。
+ * 追加距離は管路の始点からの平面距離、高さはワールド Y（管底・管頂は中心線から断面の高さの半分ずつ）。
+ * 地表は grid（terrain.js の地表モデル）があればその標高から groundElevation を引いた Y、なければ Y=0。
+ *
+ * 戻り値: { length, ground: [{ chainage, y }], rows }
+ * rows は区間ごと [{ item, from, to, length, invert: [始, 終], crown: [始, 終], ground: [始, 終], slope, section }]
+ * （from / to は区間両端の追加距離、slope は進行方向に下る向きを正とした管底の勾配）。
+ */
+export function longitudinalProfile(run, { grid = null, groundElevation = 0 } = {}) {
+  const groundAt = ([x, y]) => {
+    const level = grid ? sampleTerrain(grid, x, y) - groundElevation : 0;
+    return isFinite(level) ? level : 0;
+  };
+
+  const rows = [];
+  let chainage = 0;
+  for (const { edge, reversed } of run) {
+    const start = reversed ? edge.to.position : edge.from.position;
+    const end = reversed ? edge.from.position : edge.to.position;
+    const length = Math.hypot(end[0] - start[0], end[1] - start[1]);
+    const section = getPipeSection(edge.item);
+    const half = section ? section.height / 2 : 0;
+    const line = getPipeCenterline(edge.item);
+    const centers = [levelAt(line, start), levelAt(line, end)];
+    const invert = centers.map(c => c - half);
+    rows.push({
+      item: edge.item,
+      from: chainage,
+      to: chainage + length,
+      length,
+      invert,
+      crown: centers.map(c => c + half),
+      ground: [groundAt(start), groundAt(end)],
+      slope: length > 0 ? (invert[0] - invert[1]) / length : 0,
+      section
+    });
+    chainage += length;
+  }
+
+  // 地表線は区間ごとに一定間隔で求める
+  const ground = [];
+  for (const [i, { edge, reversed }] of run.entries()) {
+    const start = reversed ? edge.to.position : edge.from.position;
+    const end = reversed ? edge.from.position : edge.to.position;
+    const row = rows[i];
+    const n = Math.max(1, Math.ceil(row.length / Math.max(GROUND_STEP, chainage / MAX_GROUND_SAMPLES)));
+    for (let k = i === 0 ? 0 : 1; k <= n; k++) {
+      const t = k / n;
+      ground.push({
+        chainage: row.from + row.length * t,
+        y: groundAt([start[0] + (end[0] - start[0]) * t, start[1] + (end[1] - start[1]) * t])
+      });
+    }
+  }
+  return { length: chainage, ground, rows };
+}
+
+/**
+ * 中心線上で平面位置に最も近い点の高さ。
+ */
+function levelAt(line, [x, y]) {
+  let best = NaN;
+  let bestDist = Infinity;
+  for (const p of line) {
+    const d = Math.hypot(p.x - x, p.z - y);
+    if (d < bestDist) {
+      best = p.y;
+      bestDist = d;
+    }
+  }
+  return best;
+}
+
+/**
+ * 縦断図の SVG 文字列。横軸は追加距離、縦軸は高さ（縦方向を exaggeration 倍に拡大）。
+ * 地表線・管頂・管底を描き、区間ごとに勾配（‰）と延長、区間の境に管底高を添える。
+ */
+export function profileToSVG(profile, { width = 760, exaggeration = 10, title = '' } = {}) {
+  const { length, ground, rows } = profile;
+  const margin = { left: 56, right: 24, top: title ? 36 : 16, bottom: 40 };
+
+  let minY = Math.min(...ground.map(g => g.y));
+  let maxY = Math.max(...ground.map(g => g.y));
+  for (const r of rows) {
+    minY = Math.min(minY, ...r.invert);
+    maxY = Math.max(maxY, ...r.crown);
+  }
+  minY = Math.floor(minY - 0.5);
+  maxY = Math.ceil(maxY + 0.5);
+
+  const scaleX = (width - margin.left - margin.right) / Math.max(length, 1);
+  const scaleY = scaleX * exaggeration;
+  const height = Math.min(1200, Math.max(200, margin.top + margin.bottom + (maxY - minY) * scaleY));
+  // 高さ方向が収まらない場合は縦の縮尺を詰める
+  const sy0 = (height - margin.top - margin.bottom) / (maxY - minY);
+  const sx = (c) => margin.left + c * scaleX;
+  const sy = (y) => margin.top + (maxY - y) * Math.min(scaleY, sy0);
+  const n = (v) => Number(v.toFixed(2));
+
+  const parts = [];
+  parts.push(`<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${n(height)}" viewBox="0 0 ${width} ${n(height)}" font-family="sans-serif" font-size="10">`);
+  parts.push(`<rect width="${width}" height="${n(height)}" fill="#ffffff"/>`);
+  if (title) parts.push(`<text x="${margin.left}" y="18" font-size="13" font-weight="bold">${escapeXml(title)}</text>`);
+
+  // 高さの目盛
+  const tick = Math.max(1, Math.ceil(16 / Math.min(scaleY, sy0)));
+  for (let y = Math.ceil(minY / tick) * tick; y <= maxY; y += tick) {
+    parts.push(`<line x1="${margin.left}" y1="${n(sy(y))}" x2="${width - margin.right}" y2="${n(sy(y))}" stroke="#eef0f3"/>`);
+    parts.push(`<text x="${margin.left - 6}" y="${n(sy(y) + 3)}" text-anchor="end" fill="#6b7280">${y} m</text>`);
+  }
+
+  // 地表線
+  const groundPath = ground.map((g, i) => `${i === 0 ? 'M' : 'L'}${n(sx(g.chainage))},${n(sy(g.y))}`).join(' ');
+  parts.push(`<path d="${groundPath}" fill="none" stroke="#7c5e3c" stroke-width="1.5"/>`);
+
+  // 管（管頂と管底の間を塗る）と区間ごとの注記
+  for (const r of rows) {
+    const x1 = sx(r.from);
+    const x2 = sx(r.to);
+    parts.push(`<path d="M${n(x1)},${n(sy(r.crown[0]))} L${n(x2)},${n(sy(r.crown[1]))} L${n(x2)},${n(sy(r.invert[1]))} L${n(x1)},${n(sy(r.invert[0]))} Z" fill="#bfdbfe" stroke="#1d4ed8" stroke-width="1"/>`);
+    const mid = (x1 + x2) / 2;
+    const labelY = sy(Math.max(...r.crown)) - 6;
+    parts.push(`<text x="${n(mid)}" y="${n(labelY)}" text-anchor="middle" fill="#1f2937">${(r.slope * 1000).toFixed(1)}‰ L=${r.length.toFixed(1)}</text>`);
+  }
+
+  // 区間の境（管底高と追加距離）
+  const stations = rows.length > 0 ? [{ chainage: 0, invert: rows[0].invert[0] }] : [];
+  rows.forEach((r, i) => stations.push({ chainage: r.to, invert: rows[i + 1] ? Math.min(r.invert[1], rows[i + 1].invert[0]) : r.invert[1] }));
+  for (const s of stations) {
+    const x = sx(s.chainage);
+    parts.push(`<line x1="${n(x)}" y1="${margin.top}" x2="${n(x)}" y2="${n(height - margin.bottom)}" stroke="#d1d5db" stroke-dasharray="3 3"/>`);
+    parts.push(`<text x="${n(x)}" y="${n(height - margin.bottom + 14)}" text-anchor="middle" fill="#6b7280">${s.chainage.toFixed(1)}</text>`);
+    parts.push(`<text x="${n(x)}" y="${n(height - margin.bottom + 28)}" text-anchor="middle" fill="#1d4ed8">${s.invert.toFixed(2)}</text>`);
+  }
+
+  parts.push('</svg>');
+  return parts.join('\n');
+}
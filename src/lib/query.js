@@ -0,0 +1,245 @@
+import { toNumber } from './numbers.js';
+
+const STORAGE_KEY = 'pipeQueryViews';
+
+const KEYWORDS = new Set(['AND', 'OR', 'NOT', 'IN', 'BETWEEN', 'LIKE', 'CONTAINS', 'IS', 'NULL']);
+const COMPARISONS = new Set(['=', '!=', '<>', '<', '<=', '>', '>=']);
+
+/**
+ * 属性の絞り込み式を解釈し、属性 → 一致するかの関数を返す。空の式なら null。不正なら Error を投げる。
+ *
+ * 式の例: diameter >= 150 AND material = 'DIP'、NOT (layer LIKE '下水%' OR depth BETWEEN 1 AND 2)
+ *   比較: =, != (<>), <, <=, >, >=。数値と比べるときは属性値を toNumber で読む（"150mm" → 150）
+ *   文字列: = は大文字小文字と前後の空白を無視した一致、LIKE（% と _ のワイルドカード）、CONTAINS（部分一致）
+ *   範囲・列挙: BETWEEN a AND b（両端を含む）、IN (a, b, ...)
+ *   空欄: IS NULL / IS NOT NULL（属性がない・空文字も NULL とみなす）
+ *   組み合わせ: AND, OR, NOT と括弧。キーワードは大文字小文字を区別しない
+ * 属性名は左辺に書く（空白や記号を含む名前は "..." で囲む）。値は数値、'...'、または空白を含まない語。
+ */
+export function compileQuery(text) {
+  const tokens = tokenize(String(text ?? ''));
+  if (tokens.length === 0) return null;
+  const parser = createParser(tokens);
+  const test = parser.parseOr();
+  if (!parser.done()) parser.fail('式の終わりに余分な語があります');
+  return (props = {}) => test(props ?? {});
+}
+
+/**
+ * ブラウザに保存した名前付きの表示（{ name, query, hiddenLayers }）の一覧。
+ */
+export function loadSavedViews() {
+  try {
+    const list = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+    return Array.isArray(list) ? list.filter(v => v && typeof v.name === 'string').map(normalizeView) : [];
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * 表示を保存（同名は上書き）し、保存後の一覧を返す。
+ */
+export function saveView(view) {
+  const list = loadSavedViews().filter(v => v.name !== view.name);
+  list.push(normalizeView(view));
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(list));
+  return list;
+}
+
+/**
+ * 保存済みの表示を削除し、削除後の一覧を返す。
+ */
+export function removeSavedView(name) {
+  const list = loadSavedViews().filter(v => v.name !== name);
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(list));
+  return list;
+}
+
+function normalizeView(view) {
+  return {
+    name: String(view.name),
+    query: String(view.query ?? ''),
+    hiddenLayers: Array.isArray(view.hiddenLayers) ? view.hiddenLayers.map(String) : []
+  };
+}
+
+// 字句に分ける。{ type: 'op' | 'punct' | 'string' | 'field' | 'word', value, at }
+function tokenize(text) {
+  const tokens = [];
+  const pattern = /\s+|(<=|>=|!=|<>|=|<|>)|([(),])|'((?:[^']|'')*)'|"((?:[^"]|"")*)"|([^\s()',=<>!"]+)/y;
+  let at = 0;
+  while (at < text.length) {
+    pattern.lastIndex = at;
+    const m = pattern.exec(text);
+    if (!m) throw new Error(`${at + 1} 文字目: 解釈できない文字があります（${text[at]}）`);
+    if (m[1]) tokens.push({ type: 'op', value: m[1], at });
+    else if (m[2]) tokens.push({ type: 'punct', value: m[2], at });
+    else if (m[3] != null) tokens.push({ type: 'string', value: m[3].replace(/''/g, "'"), at });
+    else if (m[4] != null) tokens.push({ type: 'field', value: m[4].replace(/""/g, '"'), at });
+    else if (m[5]) tokens.push({ type: 'word', value: m[5], at });
+    at = pattern.lastIndex;
+  }
+  return tokens;
+}
+
+// 再帰下降で式を読み、属性 → 真偽の関数を組み立てる
+function createParser(tokens) {
+  let pos = 0;
+  const peek = () => tokens[pos];
+  const isKeyword = (token, word) => token?.type === 'word' && token.value.toUpperCase() === word;
+  const accept = (word) => {
+    if (!isKeyword(peek(), word)) return false;
+    pos++;
+    return true;
+  };
+  const acceptPunct = (value) => {
+    if (peek()?.type !== 'punct' || peek().value !== value) return false;
+    pos++;
+    return true;
+  };
+
+  function fail(message) {
+    const token = peek();
+    throw new Error(token ? `${token.at + 1} 文字目: ${message}` : `式の終わり: ${message}`);
+  }
+
+  function parseOr() {
+    const parts = [parseAnd()];
+    while (accept('OR')) parts.push(parseAnd());
+    return parts.length === 1 ? parts[0] : props => parts.some(test => test(props));
+  }
+
+  function parseAnd() {
+    const parts = [parseNot()];
+    while (accept('AND')) parts.push(parseNot());
+    return parts.length === 1 ? parts[0] : props => parts.every(test => test(props));
+  }
+
+  function parseNot() {
+    if (accept('NOT')) {
+      const test = parseNot();
+      return props => !test(props);
+    }
+    if (acceptPunct('(')) {
+      const test = parseOr();
+      if (!acceptPunct(')')) fail(') がありません');
+      return test;
+    }
+    return parseComparison();
+  }
+
+  function parseField() {
+    const token = peek();
+    if (token?.type === 'field' || (token?.type === 'word' && !KEYWORDS.has(token.value.toUpperCase()))) {
+      pos++;
+      return token.value;
+    }
+    return fail('属性名が必要です');
+  }
+
+  // 値（数値として読める語は number も持つ）
+  function parseLiteral() {
+    const token = peek();
+    if (token?.type === 'string') {
+      pos++;
+      return { text: token.value, number: NaN };
+    }
+    if (token?.type === 'word' && !KEYWORDS.has(token.value.toUpperCase())) {
+      pos++;
+      const number = Number(token.value);
+      return { text: token.value, number: Number.isFinite(number) ? number : NaN };
+    }
+    return fail('値が必要です');
+  }
+
+  function parseNumber() {
+    const literal = parseLiteral();
+    if (!Number.isFinite(literal.number)) {
+      pos--;
+      fail('数値が必要です');
+    }
+    return literal.number;
+  }
+
+  function parseComparison() {
+    const field = parseField();
+    const read = props => props[field];
+    const negated = accept('NOT');
+
+    let test;
+    if (accept('BETWEEN')) {
+      const min = parseNumber();
+      if (!accept('AND')) fail('BETWEEN には AND が必要です');
+      const max = parseNumber();
+      test = props => {
+        const n = numberOf(read(props));
+        return n >= Math.min(min, max) && n <= Math.max(min, max);
+      };
+    } else if (accept('IN')) {
+      if (!acceptPunct('(')) fail('IN の後には ( が必要です');
+      const list = [parseLiteral()];
+      while (acceptPunct(',')) list.push(parseLiteral());
+      if (!acceptPunct(')')) fail(') がありません');
+      test = props => list.some(literal => equals(read(props), literal));
+    } else if (accept('LIKE')) {
+      const regex = likePattern(parseLiteral().text);
+      test = props => regex.test(textOf(read(props)));
+    } else if (accept('CONTAINS')) {
+      const needle = parseLiteral().text.toLowerCase();
+      test = props => textOf(read(props)).toLowerCase().includes(needle);
+    } else if (!negated && accept('IS')) {
+      const not = accept('NOT');
+      if (!accept('NULL')) fail('IS の後には NULL が必要です');
+      return props => isEmpty(read(props)) !== not;
+    } else if (!negated && peek()?.type === 'op' && COMPARISONS.has(peek().value)) {
+      const op = tokens[pos++].value;
+      return compareTest(op, read);
+    } else {
+      return fail(negated ? 'NOT の後には BETWEEN / IN / LIKE / CONTAINS が必要です' : '比較演算子が必要です');
+    }
+    return negated ? props => !test(props) : test;
+  }
+
+  function compareTest(op, read) {
+    if (op === '=' || op === '!=' || op === '<>') {
+      const literal = parseLiteral();
+      return op === '=' ? props => equals(read(props), literal) : props => !equals(read(props), literal);
+    }
+    const limit = parseNumber();
+    const compare = {
+      '<': n => n < limit,
+      '<=': n => n <= limit,
+      '>': n => n > limit,
+      '>=': n => n >= limit
+    }[op];
+    return props => compare(numberOf(read(props)));
+  }
+
+  return { parseOr, fail, done: () => pos >= tokens.length };
+}
+
+function textOf(value) {
+  return value == null ? '' : String(value).trim();
+}
+
+function isEmpty(value) {
+  return textOf(value) === '';
+}
+
+// 数字を含まない値は数値として扱わない（toNumber は "abc" を 0 と読むため）
+function numberOf(value) {
+  if (typeof value === 'number') return value;
+  return /\d/.test(textOf(value)) ? toNumber(value) : NaN;
+}
+
+// 値が数値ならどちらも数値として、それ以外は大文字小文字を区別せずに比べる
+function equals(value, literal) {
+  if (Number.isFinite(literal.number)) return numberOf(value) === literal.number;
+  return textOf(value).toLowerCase() === literal.text.trim().toLowerCase();
+}
+
+function likePattern(pattern) {
+  const source = pattern.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/%/g, '.*').replace(/_/g, '.');
+  return new RegExp(`^${source}$`, 'i');
+}
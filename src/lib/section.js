@@ -0,0 +1,163 @@
+import { forEachPipe, getPipeCenterline, getPipeColor, getPipeSection } from './pipes.js';
+import { readProfileValue } from './importProfile.js';
+import { sampleTerrain } from './terrain.js';
+
+// 地表線を求める間隔の上限（m）と点数の上限
+const GROUND_STEP = 0.5;
+const MAX_GROUND_SAMPLES = 400;
+
+/**
+ * 断面線（平面上の 2 点、ワールド座標の x / z）と交わる管を求める。
+ * 地表は grid（terrain.js の地表モデル）があればその標高から groundElevation を引いた Y、なければ Y=0。
+ *
+ * 戻り値: { length, ground: [{ offset, y }], crossings }
+ * crossings は断面線の始点からの距離の順 [{ item, offset, center, invert, top, ground, depth, section, layer, material, color }]
+ * （center / invert / top は管の中心・管底・管頂の Y、ground はその位置の地表の Y、depth は地表から管底までの深さ）。
+ */
+export function crossSection(group, start, end, { grid = null, groundElevation = 0 } = {}) {
+  const dx = end.x - start.x;
+  const dz = end.z - start.z;
+  const length = Math.hypot(dx, dz);
+  const groundAt = (x, z) => {
+    const y = grid ? sampleTerrain(grid, x, z) - groundElevation : 0;
+    return isFinite(y) ? y : 0;
+  };
+
+  const samples = Math.min(MAX_GROUND_SAMPLES, Math.max(1, Math.ceil(length / GROUND_STEP)));
+  const ground = [];
+  for (let i = 0; i <= samples; i++) {
+    const t = i / samples;
+    ground.push({ offset: length * t, y: groundAt(start.x + dx * t, start.z + dz * t) });
+  }
+
+  const crossings = [];
+  if (!(length > 0)) return { length, ground, crossings };
+  // 折れ点ちょうどで交わる場合に前後の区間で 2 回数えないよう、同じ折れ線（区間ごとの要素は座標を共有）の交点を記録
+  const hitsByLine = new Map();
+  forEachPipe(group, item => {
+    if (item.visible === false) return;
+    const section = getPipeSection(item);
+    const line = getPipeCenterline(item);
+    if (!section || line.length < 2) return;
+    const { properties = {}, layer, buildOptions } = item.userData;
+
+    const lineKey = item.userData.coordinates ?? item;
+    if (!hitsByLine.has(lineKey)) hitsByLine.set(lineKey, []);
+    const offsets = hitsByLine.get(lineKey);
+    for (let i = 0; i < line.length - 1; i++) {
+      const hit = intersectPlan(start, end, line[i], line[i + 1]);
+      if (!hit || offsets.some(o => Math.abs(o - length * hit.t) < 1e-6)) continue;
+      offsets.push(length * hit.t);
+      const center = line[i].y + (line[i + 1].y - line[i].y) * hit.u;
+      const invert = center - section.height / 2;
+      const x = start.x + dx * hit.t;
+      const z = start.z + dz * hit.t;
+      const groundY = groundAt(x, z);
+      crossings.push({
+        item,
+        offset: length * hit.t,
+        center,
+        invert,
+        top: center + section.height / 2,
+        ground: groundY,
+        depth: groundY - invert,
+        section,
+        layer: layer ?? '',
+        material: readProfileValue(properties, buildOptions?.profile, 'material') ?? '',
+        color: `#${getPipeColor(item).getHexString()}`
+      });
+    }
+  });
+  crossings.sort((a, b) => a.offset - b.offset);
+  return { length, ground, crossings };
+}
+
+/**
+ * 平面（x / z）上の線分 a-b と p-q の交点。a-b 上の割合 t と p-q 上の割合 u、交わらなければ null。
+ */
+function intersectPlan(a, b, p, q) {
+  const rx = b.x - a.x;
+  const rz = b.z - a.z;
+  const sx = q.x - p.x;
+  const sz = q.z - p.z;
+  const denom = rx * sz - rz * sx;
+  if (Math.abs(denom) < 1e-12) return null;
+  const t = ((p.x - a.x) * sz - (p.z - a.z) * sx) / denom;
+  const u = ((p.x - a.x) * rz - (p.z - a.z) * rx) / denom;
+  if (t < 0 || t > 1 || u < 0 || u > 1) return null;
+  return { t, u };
+}
+
+/**
+ * 断面図の SVG 文字列。縦横同じ縮尺で、管は実際の深さ・寸法の円で描く（矩形断面は矩形、卵形などは外形の幅・高さの楕円）。
+ * 管ごとにレイヤー・材質・深さを添え、地表線と 1 m ごとの高さの目盛を描く。
+ */
+export function sectionToSVG(section, { width = 720, title = '' } = {}) {
+  const { length, ground, crossings } = section;
+  const margin = { left: 48, right: 16, top: title ? 130 : 110, bottom: 32 };
+
+  let minY = Math.min(...ground.map(g => g.y), 0);
+  let maxY = Math.max(...ground.map(g => g.y), 0);
+  for (const c of crossings) {
+    minY = Math.min(minY, c.invert);
+    maxY = Math.max(maxY, c.top);
+  }
+  minY = Math.floor(minY - 0.5);
+  maxY = Math.ceil(maxY + 0.2);
+
+  const scale = (width - margin.left - margin.right) / Math.max(length, 1);
+  const height = Math.max(160, margin.top + margin.bottom + (maxY - minY) * scale);
+  const sx = (offset) => margin.left + offset * scale;
+  const sy = (y) => margin.top + (maxY - y) * scale;
+  const n = (v) => Number(v.toFixed(2));
+
+  const parts = [];
+  parts.push(`<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${n(height)}" viewBox="0 0 ${width} ${n(height)}" font-family="sans-serif" font-size="11">`);
+  parts.push(`<rect width="${width}" height="${n(height)}" fill="#ffffff"/>`);
+  if (title) parts.push(`<text x="${margin.left}" y="18" font-size="13" font-weight="bold">${escapeXml(title)}</text>`);
+
+  // 高さの目盛（1 m ごと、目盛が細かすぎる場合は間引く）
+  const tick = Math.max(1, Math.ceil(14 / scale));
+  for (let y = Math.ceil(minY / tick) * tick; y <= maxY; y += tick) {
+    parts.push(`<line x1="${margin.left}" y1="${n(sy(y))}" x2="${width - margin.right}" y2="${n(sy(y))}" stroke="#e5e7eb"/>`);
+    parts.push(`<text x="${margin.left - 6}" y="${n(sy(y) + 4)}" text-anchor="end" fill="#6b7280">${y} m</text>`);
+  }
+  // 距離の目盛（両端と中間）
+  for (const offset of [0, length / 2, length]) {
+    parts.push(`<text x="${n(sx(offset))}" y="${n(height - 10)}" text-anchor="middle" fill="#6b7280">${offset.toFixed(1)} m</text>`);
+  }
+
+  // 地表（地表線より上は塗らない）
+  const groundPath = ground.map((g, i) => `${i === 0 ? 'M' : 'L'}${n(sx(g.offset))},${n(sy(g.y))}`).join(' ');
+  parts.push(`<path d="${groundPath} L${n(sx(length))},${n(sy(minY))} L${n(sx(0))},${n(sy(minY))} Z" fill="#f3ede2"/>`);
+  parts.push(`<path d="${groundPath}" fill="none" stroke="#7c5e3c" stroke-width="1.5"/>`);
+
+  // 管と注記（注記は斜めに書いて隣の管と重なりにくくする）
+  for (const c of crossings) {
+    const cx = sx(c.offset);
+    const cy = sy(c.center);
+    if (c.section.kind === 'rect') {
+      const w = c.section.width * scale;
+      const h = c.section.height * scale;
+      parts.push(`<rect x="${n(cx - w / 2)}" y="${n(cy - h / 2)}" width="${n(w)}" height="${n(h)}" fill="${c.color}" stroke="#111827" stroke-width="0.75"/>`);
+    } else {
+      const rx = Math.max(1.5, (c.section.width / 2) * scale);
+      const ry = Math.max(1.5, (c.section.height / 2) * scale);
+      parts.push(`<ellipse cx="${n(cx)}" cy="${n(cy)}" rx="${n(rx)}" ry="${n(ry)}" fill="${c.color}" stroke="#111827" stroke-width="0.75"/>`);
+    }
+    const labelY = sy(Math.max(c.ground, c.top)) - 6;
+    parts.push(`<line x1="${n(cx)}" y1="${n(sy(c.top))}" x2="${n(cx)}" y2="${n(labelY)}" stroke="#9ca3af" stroke-dasharray="2 2"/>`);
+    const label = [c.layer, c.material, `深さ ${c.depth.toFixed(2)} m`].filter(Boolean).join(' / ');
+    parts.push(`<text x="${n(cx)}" y="${n(labelY)}" transform="rotate(-40 ${n(cx)} ${n(labelY)})">${escapeXml(label)}</text>`);
+  }
+
+  parts.push('</svg>');
+  return parts.join('\n');
+}
+
+/**
+ * SVG・XML のテキストに入れる文字列をエスケープする。
+ */
+export function escapeXml(value) {
+  return String(value).replace(/[&<>"']/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;' }[ch]));
+}
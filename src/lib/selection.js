@@ -0,0 +1,134 @@
+import * as THREE from 'three';
+import { forEachPipe, getPipeBounds } from './pipes.js';
+
+const HIGHLIGHT_EMISSIVE = new THREE.Color(0xffff00);
+const HIGHLIGHT_INTENSITY = 0.6;
+
+/**
+ * 選択した管のハイライト。メッシュはマテリアルを複製せず発光色を書き換え、解除時に元の値へ戻す。
+ * インスタンス描画の区間はインスタンス色で示す。
+ */
+export function createHighlighter() {
+  // 管 → 元の発光色と強さ（インスタンスは null）
+  const saved = new Map();
+
+  function on(item) {
+    const material = item.material;
+    if (item.isPipeInstance) {
+      item.setHighlight(true);
+      saved.set(item, null);
+    } else if (material?.emissive) {
+      saved.set(item, { emissive: material.emissive.clone(), intensity: material.emissiveIntensity });
+      material.emissive.copy(HIGHLIGHT_EMISSIVE);
+      material.emissiveIntensity = HIGHLIGHT_INTENSITY;
+    } else {
+      saved.set(item, null);
+    }
+  }
+
+  function off(item) {
+    const original = saved.get(item);
+    saved.delete(item);
+    if (item.isPipeInstance) item.setHighlight(false);
+    else if (original && item.material?.emissive) {
+      item.material.emissive.copy(original.emissive);
+      item.material.emissiveIntensity = original.intensity;
+    }
+  }
+
+  return {
+    /**
+     * ハイライトする管を items に置き換える。
+     */
+    set(items) {
+      const next = new Set(items);
+      for (const item of [...saved.keys()]) {
+        if (!next.has(item)) off(item);
+      }
+      for (const item of next) {
+        if (!saved.has(item)) on(item);
+      }
+    },
+    clear() {
+      for (const item of [...saved.keys()]) off(item);
+    }
+  };
+}
+
+/**
+ * 画面上の矩形（正規化デバイス座標 [x0, y0, x1, y1]）に中心が入る、表示中の管。
+ * planes（切断面）があれば、切り取られた側にある管は除く。
+ */
+export function pipesInRect(group, camera, [x0, y0, x1, y1], planes = []) {
+  const [minX, maxX] = [Math.min(x0, x1), Math.max(x0, x1)];
+  const [minY, maxY] = [Math.min(y0, y1), Math.max(y0, y1)];
+  const box = new THREE.Box3();
+  const center = new THREE.Vector3();
+  const items = [];
+  forEachPipe(group, item => {
+    if (!item.visible) return;
+    getPipeBounds(item, box).getCenter(center);
+    if (!planes.every(plane => plane.distanceToPoint(center) >= 0)) return;
+    const p = center.clone().project(camera);
+    if (p.z > -1 && p.z < 1 && p.x >= minX && p.x <= maxX && p.y >= minY && p.y <= maxY) items.push(item);
+  });
+  return items;
+}
+
+/**
+ * 表示中の管のうち、レイヤーが layer のもの。
+ */
+export function pipesByLayer(group, layer) {
+  const items = [];
+  forEachPipe(group, item => {
+    if (item.visible && (item.userData.layer || '') === layer) items.push(item);
+  });
+  return items;
+}
+
+/**
+ * 表示中の管のうち、属性 key の値（文字列として比較、前後の空白は無視）が value のもの。
+ */
+export function pipesByProperty(group, key, value) {
+  const target = String(value).trim();
+  const items = [];
+  forEachPipe(group, item => {
+    if (item.visible && String(item.userData.properties?.[key] ?? '').trim() === target) items.push(item);
+  });
+  return items;
+}
+
+/**
+ * 表示中の管のうち、属性が test（query.js の compileQuery の結果）に一致するもの。
+ */
+export function pipesByQuery(group, test) {
+  const items = [];
+  forEachPipe(group, item => {
+    if (item.visible && test(item.userData.properties ?? {})) items.push(item);
+  });
+  return items;
+}
+
+/**
+ * 選択した管の属性の一覧（一括編集用）。[{ key, value, mixed }]
+ * 値がそろっていない属性・一部の管にしかない属性は mixed: true で value は ''。
+ */
+export function summarizeProperties(items) {
+  const keys = [];
+  const values = new Map();
+  for (const item of items) {
+    for (const [key, value] of Object.entries(item.userData.properties ?? {})) {
+      if (!values.has(key)) {
+        keys.push(key);
+        values.set(key, new Set());
+      }
+      values.get(key).add(String(value ?? ''));
+    }
+  }
+  return keys.map(key => {
+    const set = values.get(key);
+    const everyHas = items.every(item => key in (item.userData.properties ?? {}));
+    const mixed = set.size > 1 || !everyHas;
+    return { key, value: mixed ? '' : [...set][0], mixed };
+  });
+}
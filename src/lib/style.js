@@ -0,0 +1,186 @@
+import * as THREE from 'three';
+import { toNumber } from './numbers.js';
+
+/**
+ * 既定のスタイル設定。
+ * rules は上から順に評価し、when に一致したルールの値で上書きしていく（後のルールほど優先）。
+ * 材質 → レイヤーの順に並べ、レイヤーに一致しない場合は材質の色が残るようにしている。
+ */
+export const DEFAULT_STYLE = {
+  version: 1,
+  default: { color: '#2e8b57', opacity: 0.75, radialSegments: 24 },
+  rules: [
+    { name: '塩ビ管', when: { material: { regex: '^(pvc|pv|vp|vu|hivp)' } }, color: '#1e90ff' },
+    { name: 'コンクリート管', when: { material: { regex: '^(con|concrete|rc|hp|hume)' } }, color: '#8b8b83' },
+    { name: '鋼管・鋳鉄管', when: { material: { regex: '^(dip|dcip|ductile|steel|sgp|stpg|st|sp)$' } }, color: '#8888ff' },
+    { name: '水道', when: { layer: { contains: ['水道', 'water'] } }, color: '#1e90ff' },
+    { name: '下水道', when: { layer: { contains: ['下水', 'sewer'] } }, color: '#8b4513' },
+    { name: 'ガス', when: { layer: { contains: ['ガス', 'gas'] } }, color: '#ff8c00' },
+    { name: '電気', when: { layer: { contains: ['電', 'power', 'cable'] } }, color: '#696969' }
+  ]
+};
+
+const STYLE_KEYS = ['color', 'opacity', 'radialSegments'];
+
+/**
+ * 属性に対してスタイルを評価し、{ color: THREE.Color, opacity, radialSegments } を返す。
+ * context は属性以外の計算値（'$diameter' のように $ 付きの名前で参照）。
+ *
+ * when の条件（プロパティ名 → 条件、すべて満たすと一致）:
+ *   値そのもの（大文字小文字を区別しない一致）, { in: [...] }, { contains: 文字列 | [...] },
+ *   { regex: '...' }, { min, max }（数値範囲）, { exists: true | false }
+ * 値（color / opacity / radialSegments）:
+ *   固定値, { property, map: { 値: 結果 }, default }（分類）, { property, stops: [[数値, 結果], ...] }（段階補間）
+ */
+export function evaluateStyle(style, props = {}, context = {}) {
+  const result = {
+    ...DEFAULT_STYLE.default,
+    ...resolveValues(style?.default ?? {}, props, context, DEFAULT_STYLE.default)
+  };
+  for (const rule of style?.rules ?? []) {
+    if (!matchesWhen(rule.when, props, context)) continue;
+    Object.assign(result, resolveValues(rule, props, context, result));
+  }
+
+  const opacity = toNumber(result.opacity);
+  const radialSegments = Math.round(toNumber(result.radialSegments));
+  return {
+    color: new THREE.Color(result.color),
+    opacity: isFinite(opacity) ? Math.min(1, Math.max(0, opacity)) : DEFAULT_STYLE.default.opacity,
+    radialSegments: isFinite(radialSegments) && radialSegments >= 3 ? radialSegments : DEFAULT_STYLE.default.radialSegments
+  };
+}
+
+/**
+ * 凡例の項目を作る。
+ * 固定色のルールは { label, color }、分類は値ごとの { label, color }、段階補間は { label, stops } を返す。
+ */
+export function styleLegend(style) {
+  const entries = [];
+  const pushValue = (label, value) => {
+    if (value == null) return;
+    if (typeof value !== 'object') {
+      entries.push({ label, color: colorString(value) });
+    } else if (value.map) {
+      for (const [key, color] of Object.entries(value.map)) entries.push({ label: `${label}: ${key}`, color: colorString(color) });
+      if (value.default != null) entries.push({ label: `${label}: その他`, color: colorString(value.default) });
+    } else if (Array.isArray(value.stops)) {
+      entries.push({
+        label: `${label}（${value.property}）`,
+        stops: value.stops.map(([v, color]) => ({ value: v, color: colorString(color) }))
+      });
+    }
+  };
+  pushValue('既定', style?.default?.color);
+  (style?.rules ?? []).forEach((rule, i) => pushValue(rule.name || `ルール ${i + 1}`, rule.color));
+  return entries;
+}
+
+/**
+ * レイヤー色の上書きルールを追加（既存の同レイヤー用ルールがあれば置き換え）した新しいスタイルを返す。
+ */
+export function withLayerColor(style, layer, color) {
+  const rules = (style?.rules ?? []).filter(rule => !isLayerOverride(rule, layer));
+  return {
+    ...style,
+    rules: [...rules, { name: `${layer || '(レイヤー名なし)'}（レイヤー設定）`, when: { layer: { equals: layer } }, color }]
+  };
+}
+
+/**
+ * スタイル JSON の簡易検証。問題があればメッセージ、なければ null。
+ */
+export function validateStyle(style) {
+  if (!style || typeof style !== 'object' || Array.isArray(style)) return 'スタイルはオブジェクトで指定してください。';
+  if (style.rules != null && !Array.isArray(style.rules)) return 'rules は配列で指定してください。';
+  for (const [i, rule] of (style.rules ?? []).entries()) {
+    if (!rule || typeof rule !== 'object') return `rules[${i}] がオブジェクトではありません。`;
+    if (rule.when != null && typeof rule.when !== 'object') return `rules[${i}].when はオブジェクトで指定してください。`;
+  }
+  return null;
+}
+
+function isLayerOverride(rule, layer) {
+  const keys = Object.keys(rule?.when ?? {});
+  return keys.length === 1 && keys[0] === 'layer' && rule.when.layer?.equals === layer;
+}
+
+function colorString(value) {
+  return '#' + new THREE.Color(value).getHexString();
+}
+
+function readValue(name, props, context) {
+  if (typeof name === 'string' && name.startsWith('$')) return context[name.slice(1)];
+  return props?.[name];
+}
+
+function matchesWhen(when, props, context) {
+  if (!when) return true;
+  return Object.entries(when).every(([name, cond]) => matchesCondition(readValue(name, props, context), cond));
+}
+
+function matchesCondition(value, cond) {
+  const text = value == null ? '' : String(value).toLowerCase();
+  const same = (expected) => text === String(expected).toLowerCase();
+
+  if (cond == null || typeof cond !== 'object') return same(cond);
+  if (cond.exists != null && (value != null && value !== '') !== !!cond.exists) return false;
+  if (cond.equals != null && !same(cond.equals)) return false;
+  if (Array.isArray(cond.in) && !cond.in.some(same)) return false;
+  if (cond.contains != null) {
+    const list = Array.isArray(cond.contains) ? cond.contains : [cond.contains];
+    if (!list.some(c => text.includes(String(c).toLowerCase()))) return false;
+  }
+  if (cond.regex != null) {
+    try {
+      if (!new RegExp(cond.regex, 'i').test(text)) return false;
+    } catch {
+      return false;
+    }
+  }
+  if (cond.min != null || cond.max != null) {
+    const n = toNumber(value);
+    if (!isFinite(n)) return false;
+    if (cond.min != null && n < toNumber(cond.min)) return false;
+    if (cond.max != null && n > toNumber(cond.max)) return false;
+  }
+  return true;
+}
+
+function resolveValues(source, props, context, current) {
+  const out = {};
+  for (const key of STYLE_KEYS) {
+    if (source[key] === undefined) continue;
+    const value = resolveValue(source[key], props, context, key);
+    if (value !== undefined) out[key] = value;
+    else if (current[key] !== undefined) out[key] = current[key];
+  }
+  return out;
+}
+
+function resolveValue(spec, props, context, key) {
+  if (spec == null || typeof spec !== 'object') return spec;
+  const value = readValue(spec.property, props, context);
+
+  if (spec.map) {
+    const hit = Object.keys(spec.map).find(k => String(value ?? '').toLowerCase() === k.toLowerCase());
+    return hit !== undefined ? spec.map[hit] : spec.default;
+  }
+
+  if (Array.isArray(spec.stops) && spec.stops.length > 0) {
+    const n = toNumber(value);
+    if (!isFinite(n)) return spec.default;
+    const stops = spec.stops.slice().sort((a, b) => toNumber(a[0]) - toNumber(b[0]));
+    if (n <= toNumber(stops[0][0])) return stops[0][1];
+    const last = stops[stops.length - 1];
+    if (n >= toNumber(last[0])) return last[1];
+    const i = stops.findIndex(s => toNumber(s[0]) > n);
+    const [v0, out0] = stops[i - 1];
+    const [v1, out1] = stops[i];
+    const t = (n - toNumber(v0)) / (toNumber(v1) - toNumber(v0));
+    if (key === 'color') return '#' + new THREE.Color(out0).lerp(new THREE.Color(out1), t).getHexString();
+    return toNumber(out0) + (toNumber(out1) - toNumber(out0)) * t;
+  }
+
+  return spec.default;
+}
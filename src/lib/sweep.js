@@ -0,0 +1,197 @@
+import * as THREE from 'three';
+
+const UP = new THREE.Vector3(0, 1, 0);
+// これより鋭い折れ角ではマイターが伸びすぎるため直角切りにする（cos 値）
+const MITER_LIMIT = 0.25;
+
+/**
+ * 半径 r の円形断面（反時計回り）。
+ */
+export function circleProfile(r, segments = 24) {
+  const points = [];
+  for (let i = 0; i < segments; i++) {
+    const a = (i / segments) * Math.PI * 2;
+    points.push(new THREE.Vector2(Math.cos(a) * r, Math.sin(a) * r));
+  }
+  return points;
+}
+
+/**
+ * 幅 w・高さ h の矩形断面（中心基準、反時計回り）。
+ */
+export function rectProfile(w, h) {
+  return [
+    new THREE.Vector2(-w / 2, -h / 2),
+    new THREE.Vector2(w / 2, -h / 2),
+    new THREE.Vector2(w / 2, h / 2),
+    new THREE.Vector2(-w / 2, h / 2)
+  ];
+}
+
+/**
+ * 卵形断面（下すぼまり、近似）。幅 w・高さ h に収まるよう正規化する。
+ */
+export function eggProfile(w, h, segments = 32) {
+  const raw = [];
+  for (let i = 0; i < segments; i++) {
+    const a = (i / segments) * Math.PI * 2;
+    raw.push([Math.cos(a) * (1 + 0.3 * Math.sin(a)), Math.sin(a)]);
+  }
+  const maxX = Math.max(...raw.map(([x]) => Math.abs(x)));
+  return raw.map(([x, y]) => new THREE.Vector2((x / maxX) * w / 2, (y * h) / 2));
+}
+
+/**
+ * アーチ断面（馬蹄形の近似：平底＋鉛直側壁＋半円頂部）。
+ */
+export function archProfile(w, h, segments = 16) {
+  const r = Math.min(w / 2, h);
+  const springY = h / 2 - r;
+  const points = [
+    new THREE.Vector2(-w / 2, -h / 2),
+    new THREE.Vector2(w / 2, -h / 2)
+  ];
+  for (let i = 0; i <= segments; i++) {
+    const a = (i / segments) * Math.PI;
+    points.push(new THREE.Vector2(Math.cos(a) * w / 2, springY + Math.sin(a) * r));
+  }
+  return points;
+}
+
+/**
+ * 折れ点を円弧状に丸めた中心線を返す（エルボ継手用）。
+ * 円弧は二次ベジェで近似し、丸め長さは前後区間の半分までに制限する。
+ */
+export function filletPath(path, bendRadius, steps = 8) {
+  if (path.length < 3 || !(bendRadius > 0)) return path.map(p => p.clone());
+
+  const out = [path[0].clone()];
+  for (let i = 1; i < path.length - 1; i++) {
+    const v = path[i];
+    const dIn = new THREE.Vector3().subVectors(v, path[i - 1]);
+    const dOut = new THREE.Vector3().subVectors(path[i + 1], v);
+    const lenIn = dIn.length();
+    const lenOut = dOut.length();
+    if (lenIn <= 0 || lenOut <= 0) continue;
+    dIn.divideScalar(lenIn);
+    dOut.divideScalar(lenOut);
+
+    const angle = dIn.angleTo(dOut);
+    if (angle < 1e-3) {
+      out.push(v.clone());
+      continue;
+    }
+    const tangentLen = Math.min(bendRadius * Math.tan(angle / 2), lenIn / 2, lenOut / 2);
+    const a = v.clone().addScaledVector(dIn, -tangentLen);
+    const b = v.clone().addScaledVector(dOut, tangentLen);
+    for (let s = 0; s <= steps; s++) {
+      const t = s / steps;
+      out.push(new THREE.Vector3()
+        .addScaledVector(a, (1 - t) * (1 - t))
+        .addScaledVector(v, 2 * (1 - t) * t)
+        .addScaledVector(b, t * t));
+    }
+  }
+  out.push(path[path.length - 1].clone());
+  return out;
+}
+
+/**
+ * 断面形状（2D 点列）を中心線に沿って掃引し、1 つの BufferGeometry を生成。
+ * 断面は x: 水平方向, y: 鉛直上向き のローカル座標で与え、
+ * 折れ点では前後方向の二等分面で断面を切る（マイター継手）。
+ * flat=true の場合は断面の辺ごとに頂点を分け、角を立てて陰影付けする（矩形用）。
+ */
+export function sweepProfile(path, profile, { flat = false, caps = true } = {}) {
+  const pts = [];
+  for (const p of path) {
+    if (!pts.length || pts[pts.length - 1].distanceToSquared(p) > 1e-12) pts.push(p);
+  }
+  if (pts.length < 2 || !profile || profile.length < 3) return null;
+
+  const shape = THREE.ShapeUtils.isClockWise(profile) ? profile.slice().reverse() : profile;
+  const m = shape.length;
+  const n = pts.length;
+
+  const dirs = [];
+  for (let i = 0; i < n - 1; i++) dirs.push(new THREE.Vector3().subVectors(pts[i + 1], pts[i]).normalize());
+
+  // 各頂点の断面リング（ワールド座標）
+  const rings = [];
+  let prevSide = new THREE.Vector3(1, 0, 0);
+  for (let i = 0; i < n; i++) {
+    const dIn = dirs[Math.max(0, i - 1)];
+    const dOut = dirs[Math.min(n - 2, i)];
+    const d = i === 0 ? dOut : dIn;
+
+    const side = new THREE.Vector3().crossVectors(d, UP);
+    if (side.lengthSq() < 1e-12) side.copy(prevSide);
+    side.normalize();
+    const up = new THREE.Vector3().crossVectors(side, d).normalize();
+    prevSide = side;
+
+    let normal = new THREE.Vector3().addVectors(dIn, dOut);
+    if (normal.lengthSq() < 1e-12) normal = d.clone();
+    normal.normalize();
+    let denom = d.dot(normal);
+    if (denom < MITER_LIMIT) {
+      normal = d.clone();
+      denom = 1;
+    }
+
+    const ring = shape.map(p => {
+      const q = pts[i].clone().addScaledVector(side, p.x).addScaledVector(up, p.y);
+      const t = new THREE.Vector3().subVectors(pts[i], q).dot(normal) / denom;
+      return q.addScaledVector(d, t);
+    });
+    rings.push(ring);
+  }
+
+  const positions = [];
+  const indices = [];
+  const pushVertex = (v) => {
+    positions.push(v.x, v.y, v.z);
+    return positions.length / 3 - 1;
+  };
+
+  // 側面
+  if (flat) {
+    for (let i = 0; i < n - 1; i++) {
+      for (let j = 0; j < m; j++) {
+        const k = (j + 1) % m;
+        const a0 = pushVertex(rings[i][j]);
+        const b0 = pushVertex(rings[i][k]);
+        const a1 = pushVertex(rings[i + 1][j]);
+        const b1 = pushVertex(rings[i + 1][k]);
+        indices.push(a0, a1, b0, b0, a1, b1);
+      }
+    }
+  } else {
+    const base = rings.map(ring => ring.map(pushVertex));
+    for (let i = 0; i < n - 1; i++) {
+      for (let j = 0; j < m; j++) {
+        const k = (j + 1) % m;
+        indices.push(base[i][j], base[i + 1][j], base[i][k], base[i][k], base[i + 1][j], base[i + 1][k]);
+      }
+    }
+  }
+
+  // 端面（始点側は反時計回りで -d 向き、終点側は逆順）
+  if (caps) {
+    const faces = THREE.ShapeUtils.triangulateShape(shape, []);
+    const start = rings[0].map(pushVertex);
+    const end = rings[n - 1].map(pushVertex);
+    for (const [a, b, c] of faces) {
+      const ccw = THREE.ShapeUtils.area([shape[a], shape[b], shape[c]]) > 0;
+      const [i0, i1, i2] = ccw ? [a, b, c] : [a, c, b];
+      indices.push(start[i0], start[i1], start[i2]);
+      indices.push(end[i0], end[i2], end[i1]);
+    }
+  }
+
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+  geometry.setIndex(indices);
+  geometry.computeVertexNormals();
+  return geometry;
+}
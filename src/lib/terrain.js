@@ -0,0 +1,379 @@
+import * as THREE from 'three';
+import { forEachPipe, getPipeCenterline, getPipeSection } from './pipes.js';
+
+// LAS の分類コードで地表面（Ground）を表す値
+export const LAS_GROUND_CLASS = 2;
+
+/**
+ * 地表モデルの既定値。
+ * cellSize: 格子の大きさ（m、平面）
+ */
+export const DEFAULT_TERRAIN_OPTIONS = { cellSize: 1 };
+
+// 格子が大きくなりすぎる場合は格子を粗くする（セル数の上限）
+const MAX_CELLS = 4000000;
+// 地表面メッシュの頂点数の上限（超える場合は格子を間引いて張る）
+const MAX_MESH_VERTICES = 250000;
+// 等高線の本数の上限（超える場合は間隔を広げる）
+const MAX_CONTOUR_LEVELS = 200;
+
+/**
+ * 土被りチェックの既定値。
+ * rules: レイヤーごとの最小土被り [{ layer, minCover }]（layer はレイヤー名の部分一致、minCover は m）
+ * defaultMinCover: どのルールにも当たらないレイヤーの最小土被り（null なら対象外）
+ * step: 管に沿って地表を調べる間隔（m）
+ * groundElevation: Y=0（記録された深さの基準とした地表）に当たる標高（m）
+ */
+export const DEFAULT_COVER_OPTIONS = {
+  rules: [
+    { layer: '下水', minCover: 1.0 },
+    { layer: 'ガス', minCover: 0.6 },
+    { layer: '水道', minCover: 0.6 }
+  ],
+  defaultMinCover: 0.6,
+  step: 1,
+  groundElevation: 0
+};
+
+// 判定の表示色
+export const COVER_COLORS = { ok: '#16a34a', shallow: '#f59e0b', exposed: '#dc2626', nodata: '#9ca3af' };
+
+/**
+ * LAS の座標（[X, Y, Z] の並び、元の CRS）をローカル平面座標と標高の並び [x, y, 標高] に変換する。
+ * frame は crs.js の createLocalFrame の戻り値（null ならそのまま）。GeoJSON と同じ CRS の点群を前提とする。
+ */
+export function localizePointCloud(positions, frame) {
+  const count = Math.floor(positions.length / 3);
+  const local = new Float64Array(count * 3);
+  for (let i = 0; i < count; i++) {
+    const x = positions[i * 3];
+    const y = positions[i * 3 + 1];
+    const [lx, ly] = frame ? frame.forward([x, y]) : [x, y];
+    local[i * 3] = lx;
+    local[i * 3 + 1] = ly;
+    local[i * 3 + 2] = positions[i * 3 + 2];
+  }
+  return local;
+}
+
+/**
+ * 点群から地表の格子モデルを作る。points はローカル座標の [x, y, 標高] の並び。
+ * 地表に分類された点（LAS_GROUND_CLASS）があればその平均、なければセルごとの最低点を地表とみなす。
+ *
+ * 戻り値: { cellSize, minX, minY, cols, rows, heights, source, pointCount }
+ * heights はセルごとの標高（点のないセルは NaN）、source は 'ground' | 'lowest'。
+ * 点がなければ null。
+ */
+export function buildTerrainGrid(points, classifications = null, options = {}) {
+  let { cellSize } = { ...DEFAULT_TERRAIN_OPTIONS, ...options };
+  const count = Math.floor(points.length / 3);
+  let useGround = false;
+  if (classifications) {
+    for (let i = 0; i < count && !useGround; i++) useGround = classifications[i] === LAS_GROUND_CLASS;
+  }
+  const used = (i) => !useGround || classifications[i] === LAS_GROUND_CLASS;
+
+  let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+  let pointCount = 0;
+  for (let i = 0; i < count; i++) {
+    const x = points[i * 3];
+    const y = points[i * 3 + 1];
+    if (!used(i) || !isFinite(x) || !isFinite(y) || !isFinite(points[i * 3 + 2])) continue;
+    minX = Math.min(minX, x);
+    minY = Math.min(minY, y);
+    maxX = Math.max(maxX, x);
+    maxY = Math.max(maxY, y);
+    pointCount++;
+  }
+  if (pointCount === 0) return null;
+
+  let cols, rows;
+  for (;;) {
+    cols = Math.floor((maxX - minX) / cellSize) + 1;
+    rows = Math.floor((maxY - minY) / cellSize) + 1;
+    if (cols * rows <= MAX_CELLS) break;
+    cellSize *= 2;
+  }
+
+  const heights = new Float64Array(cols * rows).fill(NaN);
+  const counts = new Uint32Array(cols * rows);
+  for (let i = 0; i < count; i++) {
+    const x = points[i * 3];
+    const y = points[i * 3 + 1];
+    const z = points[i * 3 + 2];
+    if (!used(i) || !isFinite(x) || !isFinite(y) || !isFinite(z)) continue;
+    const cell = Math.floor((y - minY) / cellSize) * cols + Math.floor((x - minX) / cellSize);
+    if (useGround) {
+      // 平均（逐次更新）
+      counts[cell]++;
+      heights[cell] = counts[cell] === 1 ? z : heights[cell] + (z - heights[cell]) / counts[cell];
+    } else if (!(heights[cell] <= z)) {
+      heights[cell] = z;
+    }
+  }
+  return { cellSize, minX, minY, cols, rows, heights, source: useGround ? 'ground' : 'lowest', pointCount };
+}
+
+/**
+ * 平面位置 (x, y) の地表の標高。セル中心の値を双一次補間する（点のないセルは除いて重み付け）。
+ * 格子の外や周りに点がない場合は NaN。
+ */
+export function sampleTerrain(grid, x, y) {
+  if (!grid) return NaN;
+  const { cellSize, minX, minY, cols, rows, heights } = grid;
+  const fx = (x - minX) / cellSize;
+  const fy = (y - minY) / cellSize;
+  if (fx < 0 || fy < 0 || fx > cols || fy > rows) return NaN;
+
+  const gx = fx - 0.5;
+  const gy = fy - 0.5;
+  const i0 = Math.floor(gx);
+  const j0 = Math.floor(gy);
+  const tx = gx - i0;
+  const ty = gy - j0;
+  let sum = 0;
+  let weight = 0;
+  for (const [di, dj, w] of [[0, 0, (1 - tx) * (1 - ty)], [1, 0, tx * (1 - ty)], [0, 1, (1 - tx) * ty], [1, 1, tx * ty]]) {
+    const i = i0 + di;
+    const j = j0 + dj;
+    if (i < 0 || j < 0 || i >= cols || j >= rows || w <= 0) continue;
+    const h = heights[j * cols + i];
+    if (!isFinite(h)) continue;
+    sum += h * w;
+    weight += w;
+  }
+  return weight > 0 ? sum / weight : NaN;
+}
+
+/**
+ * 地表面の高さ（ワールド Y）を返す関数 (x, y) => Y。深さを地表面から測る構築オプション groundSurface に渡す。
+ * groundElevation は Y=0 に当たる標高。
+ */
+export function terrainSurface(grid, groundElevation = 0) {
+  return (x, y) => sampleTerrain(grid, x, y) - groundElevation;
+}
+
+/**
+ * 管ごとに、中心線に沿って地表から管頂までの土被りを調べる。
+ * 管頂は中心線の高さに断面の高さの半分を足した位置、地表の高さは標高から groundElevation を引いた値（ワールド Y）。
+ *
+ * 戻り値: [{ item, required, minCover, status, samples, worst, shortfalls, groundAtStart, groundAtEnd }]
+ * status: 'ok' | 'shallow'（最小土被り未満）| 'exposed'（管頂が地表より上）| 'nodata'（地表が得られない）
+ * samples は [{ chainage, point, ground, cover }]（point は管頂、ground は地表のワールド Y）、worst は土被りが最小の sample（なければ null）。
+ * shortfalls は土被りが足りない連続区間 [{ from, to, cover, point }]（from / to は始点からの平面距離、point は最も浅い箇所の管頂）
+ * groundAtStart / groundAtEnd は始点・終点の地表のワールド Y（記録された深さの基準 Y=0 との差）。
+ */
+export function analyzeCover(group, grid, options = {}) {
+  const { rules, defaultMinCover, step, groundElevation } = { ...DEFAULT_COVER_OPTIONS, ...options };
+  const interval = step > 0 ? step : DEFAULT_COVER_OPTIONS.step;
+  const results = [];
+  forEachPipe(group, item => {
+    if (item.visible === false) return;
+    const required = minCoverFor(item.userData.layer, rules, defaultMinCover);
+    if (required == null) return;
+    const section = getPipeSection(item);
+    const line = getPipeCenterline(item);
+    if (!section || line.length < 2) return;
+
+    const samples = [];
+    let chainage = 0;
+    for (let i = 0; i < line.length - 1; i++) {
+      const start = line[i];
+      const end = line[i + 1];
+      const run = Math.hypot(end.x - start.x, end.z - start.z);
+      const n = Math.max(1, Math.ceil(run / interval));
+      for (let k = i === 0 ? 0 : 1; k <= n; k++) {
+        const point = start.clone().lerp(end, k / n);
+        point.y += section.height / 2;
+        const ground = sampleTerrain(grid, point.x, point.z) - groundElevation;
+        samples.push({ chainage: chainage + (run * k) / n, point, ground, cover: ground - point.y });
+      }
+      chainage += run;
+    }
+
+    const valid = samples.filter(s => isFinite(s.cover));
+    const worst = valid.reduce((min, s) => (!min || s.cover < min.cover ? s : min), null);
+    const minCover = worst ? worst.cover : NaN;
+    const status = !worst ? 'nodata' : minCover < 0 ? 'exposed' : minCover < required ? 'shallow' : 'ok';
+    results.push({
+      item,
+      required,
+      minCover,
+      status,
+      samples,
+      worst,
+      shortfalls: shortfallRanges(samples, required),
+      groundAtStart: samples[0].ground,
+      groundAtEnd: samples[samples.length - 1].ground
+    });
+  });
+  return results;
+}
+
+/**
+ * 判定ごとの件数。
+ */
+export function countCoverStatus(results) {
+  const counts = { ok: 0, shallow: 0, exposed: 0, nodata: 0 };
+  for (const r of results) counts[r.status]++;
+  return counts;
+}
+
+/**
+ * 地表の格子から地表面メッシュ（セル中心を頂点とする三角形網）を作る。
+ * 頂点の Y は標高のまま（表示時に Y=0 の標高だけ下げる）、点のないセルにかかる三角形は張らない。
+ */
+export function createTerrainMesh(grid, { opacity = 0.6, color = 0x9c8b6e } = {}) {
+  const lattice = meshLattice(grid);
+  const { nx, ny } = lattice;
+  const positions = new Float32Array(nx * ny * 3);
+  for (let j = 0; j < ny; j++) {
+    for (let i = 0; i < nx; i++) {
+      const k = (j * nx + i) * 3;
+      const h = lattice.height(i, j);
+      positions[k] = lattice.x(i);
+      positions[k + 1] = isFinite(h) ? h : 0;
+      positions[k + 2] = lattice.y(j);
+    }
+  }
+
+  const index = [];
+  const valid = (i, j) => isFinite(lattice.height(i, j));
+  for (let j = 0; j < ny - 1; j++) {
+    for (let i = 0; i < nx - 1; i++) {
+      const a = j * nx + i;
+      const b = a + 1;
+      const c = a + nx;
+      const d = c + 1;
+      if (valid(i, j) && valid(i, j + 1) && valid(i + 1, j)) index.push(a, c, b);
+      if (valid(i + 1, j) && valid(i, j + 1) && valid(i + 1, j + 1)) index.push(b, c, d);
+    }
+  }
+
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+  geometry.setIndex(index);
+  geometry.computeVertexNormals();
+  const material = new THREE.MeshStandardMaterial({
+    color,
+    roughness: 1,
+    metalness: 0,
+    side: THREE.DoubleSide,
+    transparent: opacity < 1,
+    opacity,
+    // 半透明でも地中の管が隠れないよう深度は書き込まない
+    depthWrite: opacity >= 1
+  });
+  return new THREE.Mesh(geometry, material);
+}
+
+/**
+ * 地表面メッシュの不透明度を変える。
+ */
+export function setTerrainOpacity(mesh, opacity) {
+  mesh.material.opacity = opacity;
+  mesh.material.transparent = opacity < 1;
+  mesh.material.depthWrite = opacity >= 1;
+  mesh.material.needsUpdate = true;
+}
+
+/**
+ * 地表の格子から等高線（interval m ごと、標高の倍数）を作る。頂点の Y は標高のまま。
+ * 等高線が多すぎる場合は間隔を広げる。
+ */
+export function createContourLines(grid, { interval = 1, color = 0x5b4636 } = {}) {
+  const lattice = meshLattice(grid);
+  const { nx, ny } = lattice;
+  let minH = Infinity;
+  let maxH = -Infinity;
+  for (let j = 0; j < ny; j++) {
+    for (let i = 0; i < nx; i++) {
+      const h = lattice.height(i, j);
+      if (!isFinite(h)) continue;
+      minH = Math.min(minH, h);
+      maxH = Math.max(maxH, h);
+    }
+  }
+  let step = interval > 0 ? interval : 1;
+  if ((maxH - minH) / step > MAX_CONTOUR_LEVELS) step = (maxH - minH) / MAX_CONTOUR_LEVELS;
+
+  const positions = [];
+  for (let j = 0; j < ny - 1; j++) {
+    for (let i = 0; i < nx - 1; i++) {
+      // セルの四隅（反時計回り）
+      const corners = [[i, j], [i + 1, j], [i + 1, j + 1], [i, j + 1]].map(([ci, cj]) => ({
+        x: lattice.x(ci),
+        y: lattice.y(cj),
+        h: lattice.height(ci, cj)
+      }));
+      if (!corners.every(c => isFinite(c.h))) continue;
+      const low = Math.min(...corners.map(c => c.h));
+      const high = Math.max(...corners.map(c => c.h));
+      for (let level = Math.ceil(low / step) * step; level <= high; level += step) {
+        // 四辺それぞれで等高線の通る点を求め、順に 2 点ずつ結ぶ（鞍点は辺の順で近似）
+        const crossings = [];
+        for (let e = 0; e < 4; e++) {
+          const p = corners[e];
+          const q = corners[(e + 1) % 4];
+          if ((p.h < level) === (q.h < level)) continue;
+          const t = (level - p.h) / (q.h - p.h);
+          crossings.push([p.x + (q.x - p.x) * t, level, p.y + (q.y - p.y) * t]);
+        }
+        for (let k = 0; k + 1 < crossings.length; k += 2) positions.push(...crossings[k], ...crossings[k + 1]);
+      }
+    }
+  }
+
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+  return new THREE.LineSegments(geometry, new THREE.LineBasicMaterial({ color }));
+}
+
+/**
+ * メッシュ・等高線用に格子を間引いた格子点（セル中心）。x / y はローカル平面座標（y はワールド Z）。
+ */
+function meshLattice(grid) {
+  const { cellSize, minX, minY, cols, rows, heights } = grid;
+  const stride = Math.max(1, Math.ceil(Math.sqrt((cols * rows) / MAX_MESH_VERTICES)));
+  const nx = Math.ceil(cols / stride);
+  const ny = Math.ceil(rows / stride);
+  return {
+    nx,
+    ny,
+    x: (i) => minX + (i * stride + 0.5) * cellSize,
+    y: (j) => minY + (j * stride + 0.5) * cellSize,
+    height: (i, j) => heights[j * stride * cols + i * stride]
+  };
+}
+
+function shortfallRanges(samples, required) {
+  const ranges = [];
+  let current = null;
+  for (const s of samples) {
+    if (isFinite(s.cover) && s.cover < required) {
+      if (!current) {
+        current = { from: s.chainage, to: s.chainage, cover: s.cover, point: s.point };
+        ranges.push(current);
+      }
+      current.to = s.chainage;
+      if (s.cover < current.cover) {
+        current.cover = s.cover;
+        current.point = s.point;
+      }
+    } else {
+      current = null;
+    }
+  }
+  return ranges;
+}
+
+function minCoverFor(layer, rules, defaultMinCover) {
+  const l = String(layer ?? '').toLowerCase();
+  let required = null;
+  for (const rule of rules) {
+    if (rule.layer && l.includes(String(rule.layer).toLowerCase())) {
+      required = Math.max(required ?? 0, Number(rule.minCover) || 0);
+    }
+  }
+  return required ?? defaultMinCover;
+}
@@ -0,0 +1,233 @@
+import * as THREE from 'three';
+import { forEachPipe, getPipeCenterline } from './pipes.js';
+
+// 端点をまとめる既定の許容距離（m、平面距離）
+export const DEFAULT_SNAP_TOLERANCE = 0.05;
+
+/**
+ * 管のつながりをレイヤーごとのグラフとして構築する。
+ * 端点（折れ線の頂点、曲管の両端）を tolerance 以内でまとめてノードとし、
+ * 区間はデジタイズ方向（始点 → 終点）を流下方向とみなした有向辺にする。
+ * 点施設（マンホール等）はレイヤーを問わず近くのノードに付属させる。
+ *
+ * 戻り値: { tolerance, layers: Map<layer, graph>, edgesByItem: Map<item, edge[]> }
+ * graph: { layer, nodes: [{ id, position: [x, y], in: edge[], out: edge[], facilities: item[] }], edges: [{ id, item, from, to }] }
+ */
+export function buildTopology(group, { tolerance = DEFAULT_SNAP_TOLERANCE } = {}) {
+  const layers = new Map();
+  const edgesByItem = new Map();
+  const facilities = [];
+
+  forEachPipe(group, item => {
+    const { kind, layer = '' } = item.userData;
+    if (kind === 'node') {
+      facilities.push(item);
+      return;
+    }
+    if (!layers.has(layer)) layers.set(layer, createGraph(layer, tolerance));
+    const graph = layers.get(layer);
+    for (const [a, b] of itemEnds(item.userData)) {
+      const from = graph.snap(a);
+      const to = graph.snap(b);
+      if (from === to) continue;
+      const edge = { id: graph.edges.length, item, from: graph.nodes[from], to: graph.nodes[to] };
+      graph.edges.push(edge);
+      edge.from.out.push(edge);
+      edge.to.in.push(edge);
+      if (!edgesByItem.has(item)) edgesByItem.set(item, []);
+      edgesByItem.get(item).push(edge);
+    }
+  });
+
+  for (const item of facilities) {
+    const [x, y] = item.userData.coordinates;
+    for (const graph of layers.values()) {
+      const node = graph.find([x, y]);
+      if (node) node.facilities.push(item);
+    }
+  }
+
+  return { tolerance, layers, edgesByItem };
+}
+
+/**
+ * 選択した管から上流・下流・接続範囲をたどり、該当する管の集合を返す（選択した管を含む）。
+ * direction: 'upstream'（流入側）| 'downstream'（流出側）| 'connected'（向きを問わない）
+ */
+export function traceNetwork(topology, item, direction = 'downstream') {
+  const items = new Set([item]);
+  const start = topology.edgesByItem.get(item) ?? [];
+  const visited = new Set(start);
+  const queue = [...start];
+  while (queue.length) {
+    const edge = queue.shift();
+    const next = [];
+    if (direction !== 'upstream') next.push(...edge.to.out, ...(direction === 'connected' ? edge.to.in : []));
+    if (direction !== 'downstream') next.push(...edge.from.in, ...(direction === 'connected' ? edge.from.out : []));
+    for (const e of next) {
+      if (visited.has(e)) continue;
+      visited.add(e);
+      items.add(e.item);
+      queue.push(e);
+    }
+  }
+  return items;
+}
+
+/**
+ * 選択した管から、分岐のない範囲で前後につながる管をたどって一続きの管路にする（縦断図用）。
+ * 流下方向の先は流出する辺が 1 本ならそれを、流出がなく流入が 1 本だけならその辺を逆向きにたどる。上流側も同様。
+ *
+ * 戻り値: 始点側からの順 [{ edge, reversed }]（reversed はデジタイズ方向と逆向きにたどった辺）
+ */
+export function tracePipeRun(topology, item) {
+  const own = topology.edgesByItem.get(item) ?? [];
+  if (own.length === 0) return [];
+  const used = new Set(own);
+  const run = own.map(edge => ({ edge, reversed: false }));
+
+  const step = (node, forward) => {
+    const ahead = (forward ? node.out : node.in).filter(e => !used.has(e));
+    const behind = (forward ? node.in : node.out).filter(e => !used.has(e));
+    if (ahead.length === 1) return { edge: ahead[0], reversed: false };
+    if (ahead.length === 0 && behind.length === 1) return { edge: behind[0], reversed: true };
+    return null;
+  };
+  const endOf = ({ edge, reversed }, forward) => ((forward !== reversed) ? edge.to : edge.from);
+
+  // 下流側へ
+  for (let next = step(endOf(run[run.length - 1], true), true); next; next = step(endOf(next, true), true)) {
+    used.add(next.edge);
+    run.push(next);
+  }
+  // 上流側へ
+  for (let prev = step(endOf(run[0], false), false); prev; prev = step(endOf(prev, false), false)) {
+    used.add(prev.edge);
+    run.unshift(prev);
+  }
+  return run;
+}
+
+/**
+ * レイヤーごとの連結成分（島）を辺の多い順に返す。
+ * 各要素は { layer, items: Set, edges: edge[], nodes: node[] }。各レイヤーの先頭が本線網、残りが孤立した島。
+ */
+export function findIslands(topology) {
+  const islands = [];
+  for (const [layer, graph] of topology.layers) {
+    const seen = new Set();
+    const layerIslands = [];
+    for (const node of graph.nodes) {
+      if (seen.has(node)) continue;
+      const island = { layer, items: new Set(), edges: [], nodes: [] };
+      const stack = [node];
+      seen.add(node);
+      while (stack.length) {
+        const n = stack.pop();
+        island.nodes.push(n);
+        for (const edge of n.out) {
+          island.edges.push(edge);
+          island.items.add(edge.item);
+        }
+        for (const other of [...n.out.map(e => e.to), ...n.in.map(e => e.from)]) {
+          if (seen.has(other)) continue;
+          seen.add(other);
+          stack.push(other);
+        }
+      }
+      layerIslands.push(island);
+    }
+    layerIslands.sort((a, b) => b.edges.length - a.edges.length);
+    islands.push(...layerIslands);
+  }
+  return islands;
+}
+
+/**
+ * 行き止まりの端点（つながる辺が 1 本で、点施設も付いていないノード）を返す。
+ * 各要素は { layer, node, position: THREE.Vector3 }（高さは接続する管の中心線から求める）。
+ */
+export function findDanglingEnds(topology) {
+  const ends = [];
+  for (const [layer, graph] of topology.layers) {
+    for (const node of graph.nodes) {
+      if (node.in.length + node.out.length !== 1 || node.facilities.length > 0) continue;
+      const edge = node.in[0] ?? node.out[0];
+      ends.push({ layer, node, position: positionOnItem(edge.item, node.position) });
+    }
+  }
+  return ends;
+}
+
+/**
+ * レイヤーのグラフ（空間ハッシュで端点をまとめる）。
+ */
+function createGraph(layer, tolerance) {
+  const cellSize = Math.max(tolerance, 1e-6);
+  const cells = new Map();
+  const nodes = [];
+  const cellKey = (ix, iy) => `${ix},${iy}`;
+
+  function find([x, y]) {
+    const ix = Math.floor(x / cellSize);
+    const iy = Math.floor(y / cellSize);
+    let best = null;
+    let bestDist = tolerance;
+    for (let dx = -1; dx <= 1; dx++) {
+      for (let dy = -1; dy <= 1; dy++) {
+        for (const node of cells.get(cellKey(ix + dx, iy + dy)) ?? []) {
+          const d = Math.hypot(node.position[0] - x, node.position[1] - y);
+          if (d <= bestDist) {
+            best = node;
+            bestDist = d;
+          }
+        }
+      }
+    }
+    return best;
+  }
+
+  function snap(point) {
+    const found = find(point);
+    if (found) return found.id;
+    const node = { id: nodes.length, position: [point[0], point[1]], in: [], out: [], facilities: [] };
+    nodes.push(node);
+    const key = cellKey(Math.floor(point[0] / cellSize), Math.floor(point[1] / cellSize));
+    if (!cells.has(key)) cells.set(key, []);
+    cells.get(key).push(node);
+    return node.id;
+  }
+
+  return { layer, nodes, edges: [], find, snap };
+}
+
+/**
+ * 管の区間ごとの両端（平面座標）。区間は 1 組、連続管は頂点間ごと、曲管は弧の両端。
+ */
+function itemEnds(userData) {
+  const { kind, coordinates, segmentIndex, arcData } = userData;
+  if (kind === 'segment') return [[coordinates[segmentIndex], coordinates[segmentIndex + 1]]];
+  if (kind === 'tube') return coordinates.slice(1).map((c, i) => [coordinates[i], c]);
+  if (kind === 'arc' && arcData) {
+    const [cx, cy] = coordinates;
+    const at = (a) => [cx + Math.cos(a) * arcData.radius, cy + Math.sin(a) * arcData.radius];
+    return [[at(arcData.startAngle), at(arcData.endAngle)]];
+  }
+  return [];
+}
+
+/**
+ * 平面位置に最も近い管の中心線上の点（ワールド座標）。
+ */
+function positionOnItem(item, [x, y]) {
+  let best = new THREE.Vector3(x, 0, y);
+  let bestDist = Infinity;
+  for (const p of getPipeCenterline(item)) {
+    const d = Math.hypot(p.x - x, p.z - y);
+    if (d < bestDist) {
+      best = p;
+      bestDist = d;
+    }
+  }
+  return best;
+}